@@ -1,13 +1,8 @@
-import mysql from "mysql2/promise";
-import dotenv from "dotenv";
-dotenv.config();
+import "dotenv/config";
+import { createRepository } from "./lib/storage/index.js";
 
-const db = await mysql.createPool({
-  host: process.env.DB_HOST,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASS,
-  database: process.env.DB_NAME,
-});
-
-const [rows] = await db.query("SELECT NOW() AS now");
-console.log("✅ MySQL connected! Server time:", rows[0].now);
+// Connectivity check for the configured storage backend
+const repo = createRepository();
+await repo.ping();
+console.log(`✅ ${repo.backend} storage connected!`);
+await repo.close();
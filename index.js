@@ -1,333 +1,983 @@
 import express from "express";
-import fetch from "node-fetch";
 import cors from "cors";
-import OpenAI from "openai";
 import "dotenv/config";
 import path from "path";
 import { fileURLToPath } from "url";
-import pkg from "pg";
+import { generateSalesOrderPdf } from "./lib/pdfReport.js";
+import { summarizeERPData, toDateString, BOOKED_STATUSES, bookedOrders, weightedGp } from "./lib/salesOrders.js";
+import { readSalesOrderRows, exportSalesOrdersToXlsx } from "./lib/xlsx.js";
+import { createSyncEngine } from "./lib/sync.js";
+import { erpClientFromEnv, salesOrderQuery } from "./lib/erpClient.js";
+import { createRepository } from "./lib/storage/index.js";
+import { createConversationStore, refineParsed } from "./lib/conversation.js";
+import { parseQuestionLocally } from "./lib/ruleParser.js";
+import { validateIntent } from "./lib/intentSchema.js";
+import { resolveDateRange, inDateRange, DATE_FIELDS } from "./lib/dateRange.js";
+import {
+  orderTablePayload, rankingPayload, monthlyTotalsPayload, detailPayload, comparePayload, growthPayload,
+  marginPayload, gpDistributionPayload, SEARCH_FIELDS
+} from "./lib/payloads.js";
+import { createAuth, dataScope, inScope, publicUser } from "./lib/auth.js";
+import { openEventStream } from "./lib/sse.js";
+import { auditEntry, summarizeQuestions, UNHANDLED_ANSWER } from "./lib/audit.js";
+import {
+  COMPARISON_INTENTS, comparisonRanges, compareTotals, growthRange, growthSeries, percentChange
+} from "./lib/comparison.js";
+import { marginByGroup, gpDistribution, lowestMarginOrders } from "./lib/margin.js";
+import { createTransports } from "./lib/transports.js";
+import { createReportScheduler, validateReport } from "./lib/reports.js";
+import { createAlertEngine, validateAlertRule } from "./lib/alerts.js";
+import { healthReport, stalenessWarning, withWarning } from "./lib/health.js";
+import { localizer, resolveLanguage } from "./lib/i18n.js";
+import { llmFromEnv } from "./lib/llm.js";
+import { runToolPipeline, DEFAULT_MAX_STEPS } from "./lib/queryTools.js";
+import { buildDataContext, groundingMessages, answerSources, withSources, factsAnswer } from "./lib/grounding.js";
+import { createEntityIndex, loadEntityAliases, ENTITY_KINDS } from "./lib/entities.js";
 
-const { Pool } = pkg;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 app.use(express.json());
-app.use(cors());
+// Cross-origin calls only from CORS_ORIGINS (comma-separated); same-origin otherwise
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "").split(",").map(o => o.trim()).filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : false }));
 app.use(express.static(path.join(__dirname, "public")));
 
-// PostgreSQL connection
-const pool = new Pool({
-  host: process.env.DB_HOST,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASS,
-  database: process.env.DB_NAME,
-  port: process.env.DB_PORT || 5432,
-  ssl: {
-    rejectUnauthorized: false // allows self-signed SSL certs
-  }
-});
-
-// ERP API details
-const ERP_API = process.env.ERP_API;
-const TOKEN = process.env.ERP_TOKEN;
-const LOCATION_PK = process.env.LOCATION_PK;
-const EMPL_PK = process.env.EMPL_PK;
-const PREPARED_BY = process.env.PREPARED_BY;
+// Sales order storage (STORAGE_BACKEND=postgres|mysql|file)
+const repo = createRepository();
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// Users and login sessions live in the same storage
+const auth = createAuth({
+  store: repo,
+  sessionTtlMs: (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000
+});
+const requireLogin = auth.authenticate();
+const requireAdmin = [requireLogin, auth.requireRole("admin")];
+
+// ERP API client (ERP_API, ERP_TOKEN, ERP_TIMEOUT_MS, ERP_MAX_RETRIES, ERP_MAX_PAGES, ...)
+const erp = erpClientFromEnv();
+
+// LLM client (OPENAI_API_KEY or LLM_BASE_URL for an OpenAI-compatible server, LLM_MODEL,
+// LLM_PARSE_MODEL, LLM_ANSWER_MODEL, LLM_TOOLS_MODEL, LLM_TIMEOUT_MS, PARSE_TIMEOUT_MS, LLM_PRICES,
+// LLM_CACHE_SIZE, LLM_CACHE_TTL_MINUTES). LLM_REDACT_CUSTOMERS=true masks customer names
+// before anything is sent, for sites that may not share them with a public API.
+const llm = llmFromEnv(process.env, { customerNames: () => knownEntities().customers });
+
+// Other names for customers, sales reps and divisions, e.g. { "customer": { "JFC": "Jollibee Foods" } }
+const entityAliases = loadEntityAliases(process.env.ENTITY_ALIASES_FILE);
+
+// LLM_DISABLED=true answers from the rule-based parser only (offline mode); so does having no LLM configured
+const LLM_SWITCHED_OFF = ["1", "true"].includes(String(process.env.LLM_DISABLED).toLowerCase());
+const LLM_DISABLED = LLM_SWITCHED_OFF || !llm.configured;
+if (!LLM_SWITCHED_OFF && !llm.configured) console.warn("Neither OPENAI_API_KEY nor LLM_BASE_URL is set; answering in offline mode");
+// CHAT_PIPELINE=tools answers with tool calls instead of one parsed intent (requests can also
+// send pipeline: "tools"); TOOL_MAX_STEPS caps the model turns per question
+const CHAT_PIPELINE = process.env.CHAT_PIPELINE === "tools" ? "tools" : "intents";
+const TOOL_MAX_STEPS = Number(process.env.TOOL_MAX_STEPS) || DEFAULT_MAX_STEPS;
 
 // In-memory cache
 let allERPData = [];
 
+// Questions are refused until the cache is loaded from storage and, on an empty
+// database, the first ERP sync has finished
+const cacheState = { loaded: false, firstSyncDone: false };
+const cacheReady = () => cacheState.loaded && (allERPData.length > 0 || cacheState.firstSyncDone);
+
+// Answers get a warning once the last successful sync is older than this
+const DATA_STALE_MS = (Number(process.env.DATA_STALE_MINUTES) || 30) * 60 * 1000;
+
+// Per-session conversation memory (follow-ups refine the previous question)
+const conversations = createConversationStore({
+  maxTurns: Number(process.env.CONVERSATION_MAX_TURNS) || 10
+});
+
 // Load existing ERP data from DB into memory
 async function loadDataFromDB() {
   try {
-    const res = await pool.query("SELECT * FROM sales_orders");
-    allERPData = res.rows;
-    console.log(`✅ Loaded ${allERPData.length} ERP records from PostgreSQL`);
+    allERPData = await repo.loadSalesOrders();
+    cacheState.loaded = true;
+    console.log(`✅ Loaded ${allERPData.length} ERP records from ${repo.backend} storage`);
   } catch (err) {
     console.error("Error loading data from DB:", err);
   }
 }
 
-// Utility
-function formatPeso(amount) {
-  return new Intl.NumberFormat("en-PH", { style: "currency", currency: "PHP" }).format(amount);
-}
+// Spreadsheet rows without an ERP primary key are keyed by their SO number (lib/xlsx.js)
+const keyedBySoNumber = (so) => String(so.so_pk) === String(so.so_number);
 
-// Call ERP API
-async function callERP(payload) {
-  try {
-    const response = await fetch(ERP_API, {
-      method: "POST",
-      headers: { Authorization: `Bearer ${TOKEN}`, "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
-    });
-    return await response.json();
-  } catch (err) {
-    console.error("ERP API error:", err);
-    return { data: [] };
+// Merge new ERP data into DB and memory (insert new orders, update changed ones)
+async function mergeNewData(newData) {
+  if (newData.length === 0) return;
+
+  // An order keeps one key however it arrived first: imported rows take the key of the synced
+  // order with their SO number, and a synced order takes over a row imported under its SO number
+  const bySoNumber = new Map(allERPData.map(o => [String(o.so_number).toUpperCase(), o]));
+  const rekeys = [];
+  const rows = newData.map(so => {
+    const existing = so.so_number && so.so_number !== "Unknown" && bySoNumber.get(String(so.so_number).toUpperCase());
+    if (!existing || String(existing.so_pk) === String(so.so_pk)) return so;
+    if (keyedBySoNumber(so)) return { ...so, so_pk: existing.so_pk };
+    if (keyedBySoNumber(existing)) rekeys.push({ from: existing.so_pk, to: so.so_pk });
+    return so;
+  });
+  if (rekeys.length) {
+    await repo.rekeySalesOrders(rekeys);
+    const moved = new Map(rekeys.map(({ from, to }) => [String(from), to]));
+    allERPData = allERPData.map(o => (moved.has(String(o.so_pk)) ? { ...o, so_pk: moved.get(String(o.so_pk)) } : o));
   }
-}
 
-// Fetch all sales orders with pagination
-async function fetchAllSalesOrders(payload) {
-  let allData = [];
-  let offset = 0;
-  const limit = 500;
-
-  while (true) {
-    const res = await callERP({ ...payload, limit, offset });
-    const soList = res.data?.[0] || [];
-    allData = allData.concat(soList);
-    if (soList.length < limit) break;
-    offset += limit;
-  }
+  const { added, updated } = await repo.upsertSalesOrders(rows);
 
-  return allData;
+  // Only touch memory once the storage write succeeded
+  const byPk = new Map(allERPData.map(o => [String(o.so_pk), o]));
+  for (const so of rows) byPk.set(String(so.so_pk), so);
+  allERPData = [...byPk.values()];
+  console.log(`✅ Added ${added} and updated ${updated} ERP records in ${repo.backend} storage`);
 }
 
-// Summarize ERP data for DB
-function summarizeERPData(erpData) {
-  return erpData.map((so) => ({
-    so_pk: so.so_pk,
-    so_number: so.so_upk || "Unknown",
-    date_created: so.DateCreated_TransH || null,
-    amount: Number(so.TotalAmount_TransH || 0),
-    gp_rate: parseFloat((so.gpRate || 0).toString().replace("%", "").replace(",", "")),
-    status: so.Status_TransH || "Unknown",
-    division: so.Name_Dept || "Unknown",
-    salesRep: so.Name_Empl || "Unknown",
-    customer: so.Name_Cust || "Unknown",
-    contract_description: so.ContractDescription_TransH || "",
-    memo: so.Memo_TransH || ""
-  }));
+// Fetch one sync range (a calendar year) from the ERP; failures throw so the range is retried next run
+async function fetchERPRange(range) {
+  return summarizeERPData(await erp.fetchAll(salesOrderQuery(range)));
 }
 
-// Merge new ERP data into DB and memory
-async function mergeNewData(newData) {
-  const existingSO = new Set(allERPData.map(o => o.so_pk));
-  const filteredNew = newData.filter(o => !existingSO.has(o.so_pk));
+// Outgoing delivery for scheduled reports and alerts: email (SMTP_HOST) and webhooks
+const transports = createTransports();
+// Non-admins may only send reports and alerts to webhooks on these hosts (comma-separated)
+const WEBHOOK_HOSTS = (process.env.WEBHOOK_HOSTS || "").split(",").map(h => h.trim().toLowerCase()).filter(Boolean);
+
+// User-defined alert rules, checked after every sync run
+const alertEngine = createAlertEngine({ store: repo, webhook: transports.webhook, webhookHosts: WEBHOOK_HOSTS });
+
+// Incremental ERP sync (open years every SYNC_OPEN_INTERVAL_MS, closed years once a day)
+const erpSync = createSyncEngine({
+  fetchRange: fetchERPRange,
+  mergeRows: mergeNewData,
+  currentRows: () => allERPData,
+  store: repo,
+  afterSync: ({ changes, initial }) => alertEngine.evaluate({ changes, initial, orders: allERPData, index: knownEntities().index }),
+  startYear: Number(process.env.SYNC_START_YEAR) || 2020,
+  openYears: Number(process.env.SYNC_OPEN_YEARS) || 2,
+  openResyncMs: Number(process.env.SYNC_OPEN_INTERVAL_MS) || 5 * 60 * 1000
+});
 
-  if (filteredNew.length === 0) return;
+// Import sales orders from an .xlsx workbook (file path or Buffer) -> DB -> memory.
+// fixtures/sales-orders-sample.xlsx shows a sheet it reads (XLSX_IMPORT_FILE loads one at startup).
+async function importWorkbook(source) {
+  const rows = await readSalesOrderRows(source);
+  const summarized = summarizeERPData(rows);
+  await mergeNewData(summarized);
+  console.log(`✅ Imported ${summarized.length} sales orders from workbook`);
+  return summarized.length;
+}
 
-  allERPData.push(...filteredNew);
-  console.log(`✅ Added ${filteredNew.length} new ERP records`);
+// Earlier turns of the session, so follow-ups can be parsed relative to them
+function describeHistory(turns) {
+  if (!turns.length) return "";
+  return `
+Previous questions in this conversation (most recent last) and the JSON returned for them:
+${turns.map((t, i) => `${i + 1}. "${t.question}" -> ${JSON.stringify(t.parsed)}`).join("\n")}
+If the new question only refines the last one (e.g. "now only the billed ones", "what about 2024?"),
+set followUp to true and include only the fields that change. Otherwise set followUp to false.
+`;
+}
 
-  // Insert into PostgreSQL
-  const client = await pool.connect();
-  try {
-    for (const so of filteredNew) {
-      await client.query(
-        `INSERT INTO sales_orders 
-        (so_pk, so_number, date_created, status, customer_name, sales_rep, division, amount, gp_rate, memo)
-        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
-        ON CONFLICT (so_pk) DO NOTHING`,
-        [
-          so.so_pk,
-          so.so_number,
-          so.date_created,
-          so.status,
-          so.customer,
-          so.salesRep,
-          so.division,
-          so.amount,
-          so.gp_rate,
-          so.memo
-        ]
-      );
-    }
-    console.log("✅ ERP data stored in PostgreSQL");
-  } catch (err) {
-    console.error("DB insert error:", err);
-  } finally {
-    client.release();
-  }
+// GPT parse question (throws on API, timeout or JSON errors so the caller can fall back)
+async function parseQuestionWithGPT(question, history = [], { signal, usage } = {}) {
+  // Identical questions (with the same history) parse the same, so they are cached
+  const message = await llm.complete("parse", {
+    messages: [
+      { role: "system", content: `
+You are an ERP assistant. Return a JSON for the question in the last message.
+Include fields: intent (count, list, sample, topCustomers, topDivision, topSales, monthlyTotals, statusChanges, orderHistory, detail, search, compare, growth,
+margin, gpDistribution, lowestMargin, general),
+date (YYYY-MM-DD, a single day), dateFrom and dateTo (YYYY-MM-DD, for "from ... to ..." ranges), month (YYYY-MM),
+quarter ("2025-Q1"), lastNDays (for "last 30 days"), period (thisWeek, lastWeek for the previous Monday to Sunday, thisMonth for "this month"/"month to date", lastMonth, thisQuarter, lastQuarter, ytd, thisYear, lastYear),
+fiscalYear (e.g. 2025 for "FY2025"), year (YYYY), status, salesRep, customer, division (names as the user wrote them, even partly), gpThreshold ({ "operator": ">", "value": 55 } if any), topN (number of results, e.g. 10 for "top 10"), fields (["so_number","gp_rate","amount","status"]),
+format ("pdf" if the user asks for a PDF or printable report, "xlsx" if they ask for Excel or a spreadsheet, otherwise "text"),
+soNumber (for orderHistory and detail, e.g. "SO-1234"), searchText (for search, the words to look for),
+groupBy (division, customer, salesRep or status, for compare/growth "by division"), compareTo (for compare: "previousYear", "previousPeriod", or the baseline's date fields like { "quarter": "2024-Q1" }),
+direction ("decrease" for "dropped the most" or "lowest margin", "increase" for "grew the most"), interval (month, quarter or year, for growth), days (for statusChanges, how far back to look; 7 for "this week").
+Use statusChanges for questions about orders that changed status, and orderHistory for when a single order changed (e.g. "when was SO-1234 billed?").
+Use compare for comparing two periods (e.g. "Q1 2025 vs Q1 2024 by division", "which customers dropped the most year over year") with the current period in the date fields,
+and growth for period-over-period trends (e.g. "month-over-month growth for Juan").
+Use topDivision, topCustomers or topSales with groupBy set for totals broken down by group without a top N (e.g. "billed orders by division").
+Use margin for weighted average GP (optionally groupBy, e.g. "average GP by sales rep"), gpDistribution for GP buckets, and lowestMargin for the lowest-GP orders;
+questions like "orders below 20% GP this month" are list with a gpThreshold.
+The question may be in English, Filipino (Tagalog) or a mix of both (Taglish), e.g. "ilan ang billed orders ni Juan ngayong buwan?" is a count for this month;
+Filipino month names (Enero, Pebrero, Marso, Abril, Mayo, Hunyo, Hulyo, Agosto, Setyembre, Oktubre, Nobyembre, Disyembre) are months, and "nakaraang buwan" is last month.
+Use detail for everything else about one order (e.g. "show SO-2025-00123"), and search for finding orders by words in the customer, memo or contract description (e.g. "orders mentioning boiler repair").
+      ` },
+      // The user's own words go in their own message, the only one customer names are masked in
+      { role: "user", content: `${describeHistory(history)}
+Question: "${question}"` }
+    ],
+    temperature: 0
+  }, { signal, usage, cache: true });
+
+  const content = message.content.replace(/```(json)?/g, "").trim();
+  return JSON.parse(content); // validateIntent coerces and fills in missing fields
 }
 
-// Preload ERP data from API -> DB -> memory
-async function preloadERPData() {
-  const startYear = 2020;
-  const endYear = new Date().getFullYear();
-
-  for (let year = startYear; year <= endYear; year++) {
-    console.log(`Fetching ERP data for year ${year}...`);
-    const payload = {
-      empl_pk: EMPL_PK,
-      preparedBy: PREPARED_BY,
-      viewAll: 1,
-      searchKey: "",
-      customerPK: null,
-      departmentPK: null,
-      filterDate: {
-        filter: "range",
-        date1: { hide: false, date: `${year}-01-01` },
-        date2: { hide: false, date: `${year}-12-31` }
-      },
-      limit: 500,
-      offset: 0,
-      locationPK: LOCATION_PK,
-      salesRepPK: null,
-      status: "",
+// Customer, sales rep, division and status names the rule-based parser can recognize, and the
+// entity index that resolves names as users type them
+let entityCache = { source: null, entities: null };
+function knownEntities() {
+  if (entityCache.source !== allERPData) {
+    const distinct = (key) => [...new Set(allERPData.map(o => o[key]).filter(Boolean))];
+    entityCache = {
+      source: allERPData,
+      entities: {
+        customers: distinct("customer"),
+        salesReps: distinct("salesRep"),
+        divisions: distinct("division"),
+        statuses: distinct("status"),
+        index: createEntityIndex(allERPData, entityAliases)
+      }
     };
-    const rawData = await fetchAllSalesOrders(payload);
-    const summarized = summarizeERPData(rawData);
-    await mergeNewData(summarized);
-    console.log(`✅ Completed loading year ${year} with ${summarized.length} records`);
   }
+  return entityCache.entities;
 }
 
-// GPT parse question
-async function parseQuestionWithGPT(question) {
-  try {
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        { role: "user", content: `
-You are an ERP assistant. Return a JSON for the following question.
-Include fields: intent (count, list, topCustomers, topDivision, topSales, monthlyTotals, general),
-date (YYYY-MM-DD), year (YYYY), status, salesRep, customer, gpThreshold (if any), topN (1-3), fields (["so_number","gp_rate","amount","status"]).
-Question: "${question}"
-        ` }
-      ],
-      temperature: 0
-    });
+// Replace the customer, sales rep and division a question names with the names in the data
+// the user can see. A name that fits several of them, or none, gets a reply instead; `clarify`
+// lets the next message answer "Did you mean ...?" with just the name.
+function resolveNames(parsed, scope, language = "en") {
+  if (!cacheReady()) return { ok: true, parsed };
+  const { index } = knownEntities();
+  const visible = scope && filterOrders(allERPData, {}, scope);
+  const resolved = { ...parsed };
+  for (const kind of ENTITY_KINDS) {
+    if (!parsed[kind]) continue;
+    const match = index.resolve(kind, parsed[kind], { within: visible && visible.map(o => o[kind]) });
+    if (match.status === "match") {
+      resolved[kind] = match.name;
+      continue;
+    }
+    const l = localizer(language);
+    return match.status === "ambiguous"
+      ? { ok: false, reply: l.t("didYouMean", match.candidates), clarify: { kind, candidates: match.candidates } }
+      : { ok: false, reply: l.t("unknownName", kind, parsed[kind]) };
+  }
+  return { ok: true, parsed: resolved };
+}
 
-    let content = completion.choices[0].message.content.replace(/```/g, "").trim();
-    let parsed = JSON.parse(content);
-    if (!parsed.intent) parsed.intent = "general";
-    parsed.customer = parsed.customer || null;
-    parsed.salesRep = parsed.salesRep || null;
-    parsed.status = parsed.status || null;
-    parsed.date = parsed.date || null;
-    parsed.year = parsed.year || null;
-    parsed.gpThreshold = parsed.gpThreshold || null;
-    parsed.topN = parsed.topN || null;
-    parsed.fields = parsed.fields || [];
-    return parsed;
+// Parse with GPT, or locally when the LLM is disabled, fails or times out
+async function parseQuestion(question, history = [], { signal, usage } = {}) {
+  if (LLM_DISABLED) return parseQuestionLocally(question, knownEntities());
+  try {
+    return await parseQuestionWithGPT(question, history, { signal, usage });
   } catch (err) {
-    console.error("GPT JSON parse error:", err);
-    return { intent: "general" };
+    if (signal?.aborted) throw err;
+    console.error("GPT parse failed, using rule-based parser:", err.message);
+    return parseQuestionLocally(question, knownEntities());
   }
 }
 
-// Filter orders based on parsed intent
-function filterOrders(orders, parsed) {
-  let filtered = [...orders];
-
-  if (parsed.customer) filtered = filtered.filter(o => o.customer.toLowerCase().includes(parsed.customer.toLowerCase()));
-  if (parsed.salesRep) filtered = filtered.filter(o => o.salesRep.toLowerCase() === parsed.salesRep.toLowerCase());
+// Filter orders based on parsed intent, limited to what the user's scope allows
+function filterOrders(orders, parsed, scope = null) {
+  let filtered = scope ? orders.filter(o => inScope(o, scope)) : [...orders];
+
+  if (parsed.soNumber) filtered = filtered.filter(o => String(o.so_number).toUpperCase() === parsed.soNumber);
+  // Names come resolved (resolveNames); every spelling of that customer, rep or division matches
+  const { index } = knownEntities();
+  const sameName = (kind) => {
+    const key = index.keyOf(parsed[kind]);
+    return o => index.keyOf(o[kind]) === key;
+  };
+  if (parsed.customer) filtered = filtered.filter(sameName("customer"));
+  if (parsed.salesRep) filtered = filtered.filter(sameName("salesRep"));
+  if (parsed.division) filtered = filtered.filter(sameName("division"));
   if (parsed.status) filtered = filtered.filter(o => o.status.toLowerCase() === parsed.status.toLowerCase());
-  if (parsed.date) filtered = filtered.filter(o => new Date(o.date_created).toISOString().split("T")[0] === parsed.date);
-  if (parsed.year) filtered = filtered.filter(o => new Date(o.date_created).getFullYear() === parseInt(parsed.year));
+  const range = resolveDateRange(parsed);
+  if (range) filtered = filtered.filter(o => inDateRange(o, range));
+  if (parsed.gpThreshold != null) {
+    // Older prompts returned a bare number meaning "at least"
+    const { operator, value } = typeof parsed.gpThreshold === "object"
+      ? parsed.gpThreshold
+      : { operator: ">=", value: Number(parsed.gpThreshold) };
+    filtered = filtered.filter(o => {
+      switch (operator) {
+        case ">": return o.gp_rate > value;
+        case "<": return o.gp_rate < value;
+        case ">=": return o.gp_rate >= value;
+        case "<=": return o.gp_rate <= value;
+        case "=": return o.gp_rate === value;
+        default: return true;
+      }
+    });
+  }
   return filtered;
 }
 
-// Format chatbot response
-async function formatResponse(orders, parsed, question) {
-  if (parsed.intent === "general") {
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [{ role: "user", content: question }],
-      temperature: 0
-    });
-    return completion.choices[0].message.content;
+// Free-form answer from an exact summary of the matching orders, citing each data figure.
+// Offline mode answers with the summary itself.
+async function groundedAnswer(orders, parsed, question, { onToken, signal, usage, language } = {}) {
+  const l = localizer(language);
+  const context = buildDataContext(orders, parsed);
+  if (LLM_DISABLED) return l.t("offlineFacts", factsAnswer(context));
+  const request = { messages: groundingMessages(context, question, l), temperature: 0 };
+  // The facts are part of the prompt, so a cached answer is reused only while the data is unchanged
+  const text = onToken
+    ? await llm.stream("answer", request, { signal, usage, onToken, cache: true })
+    : (await llm.complete("answer", request, { signal, usage, cache: true })).content || "";
+  const sources = answerSources(text, context);
+  return { type: "text", data: withSources(text, sources, l), sources };
+}
+
+// Format chatbot response in the question's language; onToken receives GPT text as it streams in,
+// usage collects token counts
+async function formatResponse(orders, parsed, question, scope = null, { onToken, signal, usage, language } = {}) {
+  const l = localizer(language);
+  if (parsed.intent === "general") return groundedAnswer(orders, parsed, question, { onToken, signal, usage, language });
+
+  // History rows come straight from storage, so limit them to orders in scope
+  const visible = scope && new Set(filterOrders(allERPData, {}, scope).map(o => String(o.so_pk)));
+
+  if (parsed.intent === "statusChanges") {
+    const days = parsed.days || 7;
+    // Names come resolved, so compare them the way filterOrders does
+    const { index } = knownEntities();
+    const sameName = (value, name) => !name || index.keyOf(value) === index.keyOf(name);
+    const changes = (await repo.recentStatusChanges(days))
+      .filter(h => !visible || visible.has(String(h.so_pk)))
+      .filter(h => sameName(h.customer_name, parsed.customer))
+      .filter(h => sameName(h.sales_rep, parsed.salesRep))
+      .filter(h => !parsed.status || h.new_status.toLowerCase() === parsed.status.toLowerCase());
+    if (!changes.length) return l.t("noStatusChanges", days);
+    return changes.map(h => l.t("statusChange", h.so_number, h.old_status, h.new_status, l.dateTime(h.changed_at))).join("\n");
   }
 
-  if (!orders.length) return "No matching sales orders.";
+  if (parsed.intent === "orderHistory") {
+    if (!parsed.soNumber) return l.t("whichOrder");
+    const history = (await repo.orderHistory(parsed.soNumber)).filter(h => !visible || visible.has(String(h.so_pk)));
+    if (!history.length) return l.t("noHistory", parsed.soNumber);
+    return history.map(h => {
+      const when = l.dateTime(h.changed_at);
+      if (h.old_status == null) return l.t("firstRecorded", when, h.new_status, l.peso(h.new_amount), l.percent(h.new_gp_rate));
+      const parts = [];
+      if (h.old_status !== h.new_status) parts.push(l.t("historyChange", "status", h.old_status, h.new_status));
+      if (Number(h.old_amount) !== Number(h.new_amount)) parts.push(l.t("historyChange", "amount", l.peso(h.old_amount), l.peso(h.new_amount)));
+      if (Number(h.old_gp_rate) !== Number(h.new_gp_rate)) parts.push(l.t("historyChange", "gp", l.percent(h.old_gp_rate), l.percent(h.new_gp_rate)));
+      return `${when}: ${parts.join(", ")}`;
+    }).join("\n");
+  }
+
+  if (parsed.intent === "detail" && !orders.length) return l.t("noOrder", parsed.soNumber);
+  if (parsed.intent === "search" && !orders.length) return l.t("noSearchHits", parsed.searchText);
+  if (!orders.length) return l.t("noMatches");
+
+  if (parsed.format === "pdf") return generateSalesOrderPdf(orders, parsed);
+  if (parsed.format === "xlsx" && parsed.intent === "list") return exportSalesOrdersToXlsx(orders);
 
   if (parsed.intent === "count") {
     const totalAmount = orders.reduce((sum, o) => sum + o.amount, 0);
-    const highestGp = Math.max(...orders.map(o => o.gp_rate));
-    return `Total Sales Orders: ${orders.length}\nTotal Amount: ${formatPeso(totalAmount)}\nHighest GP Rate: ${highestGp.toFixed(2)}%`;
+    const highestGp = orders.reduce((max, o) => (o.gp_rate > max ? o.gp_rate : max), -Infinity);
+    return l.t("countSummary", orders.length, l.peso(totalAmount), l.percent(weightedGp(orders)), l.percent(highestGp));
   }
 
+  // Requested fields only, or the default summary line
+  const mapFields = (o) => {
+    if (!parsed.fields || !parsed.fields.length) {
+      return `so_number: ${o.so_number} - amount: ${l.peso(o.amount)} - gp_rate: ${o.gp_rate}% - status: ${o.status}`;
+    }
+    return parsed.fields.map(f => {
+      switch (f) {
+        case "amount": return `amount: ${l.peso(o.amount)}`;
+        case "gp_rate": return `gp_rate: ${o.gp_rate}%`;
+        default: return `${f}: ${o[f] ?? "N/A"}`;
+      }
+    }).join(" - ");
+  };
+
   if (parsed.intent === "list") {
-    return orders.map(o => `so_number: ${o.so_number} - amount: ${formatPeso(o.amount)} - gp_rate: ${o.gp_rate}% - status: ${o.status}`).join("\n");
+    return orderTablePayload(orders.map(mapFields).join("\n"), orders, parsed.fields);
   }
 
-  if (parsed.intent === "topSales") {
-    const salesMap = {};
-    orders.forEach(o => { salesMap[o.salesRep] = (salesMap[o.salesRep] || 0) + o.amount; });
-    const sorted = Object.entries(salesMap).sort((a, b) => b[1] - a[1]);
-    const topN = parsed.topN || 1;
-    return sorted.slice(0, topN).map(([rep, amt], i) =>
-      `Top ${i + 1} Sales Personnel: ${rep} - Total Amount: ${formatPeso(amt)}`
-    ).join("\n");
+  if (parsed.intent === "sample") {
+    return mapFields(orders[0]);
   }
 
-  if (parsed.intent === "topCustomers") {
-    const customerMap = {};
-    orders.forEach(o => { customerMap[o.customer] = (customerMap[o.customer] || 0) + o.amount; });
-    const sorted = Object.entries(customerMap).sort((a, b) => b[1] - a[1]);
-    const topN = parsed.topN || 1;
-    return sorted.slice(0, topN).map(([cust, amt], i) =>
-      `Top ${i + 1} Customer: ${cust} - Total Amount: ${formatPeso(amt)}`
-    ).join("\n");
+  if (parsed.intent === "detail") {
+    const [order] = orders;
+    const none = l.t("notAvailable");
+    const day = toDateString(order.date_created);
+    const values = [
+      order.so_number,
+      day ? l.date(day) : none,
+      order.customer,
+      order.salesRep,
+      order.division,
+      order.status,
+      l.peso(order.amount),
+      l.percent(order.gp_rate),
+      order.contract_description || none,
+      order.memo || none
+    ];
+    const details = l.t("detailLabels").map((label, i) => [label, values[i]]);
+    return detailPayload(details.map(([label, value]) => `${label}: ${value}`).join("\n"), details);
   }
 
-  if (parsed.intent === "topDivision") {
-    const divisionMap = {};
-    orders.forEach(o => { divisionMap[o.division] = (divisionMap[o.division] || 0) + o.amount; });
-    const sorted = Object.entries(divisionMap).sort((a, b) => b[1] - a[1]);
-    const topN = parsed.topN || 1;
-    return sorted.slice(0, topN).map(([div, amt], i) =>
-      `Top ${i + 1} Division: ${div} - Total Amount: ${formatPeso(amt)}`
-    ).join("\n");
+  // Orders arrive ranked by relevance from repo.searchSalesOrders
+  if (parsed.intent === "search") {
+    const hits = orders.slice(0, parsed.topN || 20);
+    const summary = [
+      l.t("searchSummary", orders.length, parsed.searchText, orders.length > hits.length ? hits.length : null),
+      ...hits.map(o => `${o.so_number} - ${o.customer} - ${l.peso(o.amount)} - ${o.contract_description || o.memo || l.t("noDescription")}`)
+    ].join("\n");
+    return orderTablePayload(summary, hits, parsed.fields.length ? parsed.fields : SEARCH_FIELDS);
   }
 
-  if (parsed.intent === "monthlyTotals" && parsed.year && parsed.salesRep) {
-    const monthlyMap = {};
-    const validStatuses = [
-      "BILLED",
-      "PARTIALLYBILLED/PARTIALLY DELIVERED",
-      "PARTIALLY DELIVERED",
-      "PENDING BILLING",
-      "PENDING DELIVERY",
-      "JO IN-PROCESS"
-    ];
-
-    orders.forEach(o => {
-      if (!o.date_created) return;
-      if (!validStatuses.includes(o.status)) return;
-      if (o.salesRep.toLowerCase() !== parsed.salesRep.toLowerCase()) return;
+  // Top-N rankings: total amount per sales rep, customer or division
+  const rankingKey = { topSales: "salesRep", topCustomers: "customer", topDivision: "division" }[parsed.intent];
+  if (rankingKey) {
+    const ranking = { key: rankingKey, ...l.t("ranking", rankingKey) };
+    const totals = {};
+    orders.forEach(o => { totals[o[ranking.key]] = (totals[o[ranking.key]] || 0) + o.amount; });
+    // "Sales by division" (groupBy set, no top N) lists every group
+    const top = Object.entries(totals).sort((a, b) => b[1] - a[1]).slice(0, parsed.topN || (parsed.groupBy ? Infinity : 1));
+    const summary = top.map(([name, amt], i) => l.t("rankingLine", i + 1, ranking.line, name, l.peso(amt))).join("\n");
+    return rankingPayload(summary, ranking, top);
+  }
 
-      const month = o.date_created.slice(0, 7);
+  // Orders are already narrowed to the requested rep and date range by filterOrders
+  if (parsed.intent === "monthlyTotals") {
+    const monthlyMap = {};
+    const range = resolveDateRange(parsed);
+    const counted = orders.filter(o => o.date_created && BOOKED_STATUSES.includes(o.status));
+    counted.forEach(o => {
+      const month = toDateString(o.date_created).slice(0, 7);
       monthlyMap[month] = (monthlyMap[month] || 0) + o.amount;
     });
 
-    return Object.entries(monthlyMap)
+    if (!counted.length) {
+      return l.t("noMonthlySales", parsed.salesRep, range?.label);
+    }
+    const summary = Object.entries(monthlyMap)
       .sort(([a], [b]) => a.localeCompare(b))
-      .map(([month, amt]) => `${month}: ${formatPeso(amt)}`)
-      .join("\n") || `No valid sales orders found for ${parsed.salesRep} in ${parsed.year}`;
+      .map(([month, amt]) => `${l.month(month)}: ${l.peso(amt)}`)
+      .join("\n");
+    const title = l.t("monthlyTitle", parsed.salesRep, range?.label);
+    return monthlyTotalsPayload(summary, title, counted);
+  }
+
+  if (parsed.intent === "compare") {
+    const ranges = comparisonRanges(parsed);
+    const rows = compareTotals(orders, parsed, ranges);
+    if (!rows.length) return l.t("noSalesIn", ranges.current.label, ranges.baseline.label);
+
+    const groupLabel = l.t("group", parsed.groupBy);
+    const shown = parsed.groupBy ? rows.slice(0, parsed.topN || 10) : rows;
+    const current = rows.reduce((sum, r) => sum + r.current, 0);
+    const baseline = rows.reduce((sum, r) => sum + r.baseline, 0);
+    const title = l.t("compareTitle", ranges.current.label, ranges.baseline.label, parsed.groupBy && groupLabel);
+    const summary = [
+      `${title}${shown.length < rows.length ? l.t("topOf", shown.length, rows.length) : ""}:`,
+      ...(parsed.groupBy ? shown.map(r =>
+        `${r.name}: ${l.t("versus", l.peso(r.current), l.peso(r.baseline), l.change(r.change, r.changePct))}`
+      ) : []),
+      `${l.t("total")}: ${l.t("versus", l.peso(current), l.peso(baseline), l.change(current - baseline, percentChange(current, baseline)))}`
+    ].join("\n");
+    return comparePayload(summary, {
+      title,
+      groupLabel,
+      currentLabel: ranges.current.label,
+      baselineLabel: ranges.baseline.label
+    }, shown);
+  }
+
+  if (parsed.intent === "growth") {
+    const range = growthRange(parsed);
+    const series = growthSeries(orders, parsed, range);
+    if (!series.length) return l.t("noSalesFound", range.label);
+
+    const interval = parsed.interval || "month";
+    const title = l.t("growthTitle", interval, [parsed.salesRep, parsed.customer].filter(Boolean).join(", "), range.label);
+    const summary = [
+      `${title}:`,
+      ...series.map(p => `${p.period}: ${l.peso(p.total)}${p.change == null ? "" : `, ${l.change(p.change, p.changePct)}`}`)
+    ].join("\n");
+    return growthPayload(summary, title, l.t("interval", interval), series);
   }
 
-  return "Intent not implemented yet.";
+  // Margin analytics only count booked sales, unless a status was asked for
+  if (parsed.intent === "margin") {
+    const booked = bookedOrders(orders, parsed);
+    if (!booked.length) return l.t("noBooked");
+    const rows = marginByGroup(booked, parsed.groupBy, parsed.direction);
+    const shown = parsed.groupBy ? rows.slice(0, parsed.topN || 10) : rows;
+    const groupLabel = parsed.groupBy ? l.t("group", parsed.groupBy) : l.t("orders");
+    const title = l.t("marginTitle", parsed.groupBy && groupLabel);
+    const summary = [
+      l.t("marginOverall", title, l.percent(weightedGp(booked)), l.peso(booked.reduce((sum, o) => sum + o.amount, 0))),
+      ...(parsed.groupBy ? shown.map(r => l.t("marginLine", r.name, l.percent(r.gpRate), l.peso(r.amount), r.orders)) : [])
+    ].join("\n");
+    return marginPayload(summary, { title, groupLabel }, shown);
+  }
+
+  if (parsed.intent === "gpDistribution") {
+    const booked = bookedOrders(orders, parsed);
+    if (!booked.length) return l.t("noBooked");
+    const rows = gpDistribution(booked);
+    const summary = [
+      l.t("gpDistributionSummary", booked.length),
+      ...rows.map(r => l.t("bucketLine", r.bucket, r.orders, l.peso(r.amount)))
+    ].join("\n");
+    return gpDistributionPayload(summary, l.t("gpDistributionTitle"), rows);
+  }
+
+  if (parsed.intent === "lowestMargin") {
+    const lowest = lowestMarginOrders(bookedOrders(orders, parsed), parsed.topN || 10);
+    if (!lowest.length) return l.t("noBooked");
+    const summary = lowest.map(o => l.t("lowMarginLine", o.so_number, o.customer, l.percent(o.gp_rate), l.peso(o.amount), o.salesRep)).join("\n");
+    return orderTablePayload(summary, lowest, parsed.fields);
+  }
+
+  // Anything else gets a grounded free-form answer rather than none
+  if (LLM_DISABLED) return UNHANDLED_ANSWER;
+  return { ...(await groundedAnswer(orders, parsed, question, { onToken, signal, usage, language })), unhandled: true };
+}
+
+
+// Filter and answer an already parsed question within a user's scope
+async function answerParsed(parsed, question, scope, { onProgress = () => {}, onToken, signal, usage, language = "en" } = {}) {
+  onProgress("filtering", "Finding matching sales orders...");
+  // Search candidates come ranked from the storage index; everything else filters the cache
+  const source = parsed.intent === "search" ? await repo.searchSalesOrders(parsed.searchText) : allERPData;
+  // Comparisons need orders from both periods, so they pick their own date ranges
+  const filterBy = COMPARISON_INTENTS.includes(parsed.intent)
+    ? { ...parsed, ...Object.fromEntries(DATE_FIELDS.map(f => [f, null])) }
+    : parsed;
+  const filtered = filterOrders(source, filterBy, scope);
+
+  onProgress("summarizing", parsed.intent === "general"
+    ? "Writing an answer..."
+    : `Summarizing ${filtered.length} sales order${filtered.length === 1 ? "" : "s"}...`);
+  const answer = await formatResponse(filtered, parsed, question, scope, { onToken, signal, usage, language });
+  // The UI formats table and chart values in the answer's language
+  const payload = { ...(typeof answer === "string" ? { type: "text", data: answer } : answer), language };
+  // Answers from the sales data (general ones included) say so when that data is out of date
+  const warning = stalenessWarning(erpSync.status().lastSuccessAt, { staleAfterMs: DATA_STALE_MS, language });
+  return { answer: withWarning(payload, warning), matchCount: filtered.length };
+}
+
+// Answer with the tool-calling pipeline: the model composes filter, groupBy, topN, ... calls
+// over the orders in scope. Every call is logged and returned with the answer.
+async function answerWithTools(question, scope, { onProgress = () => {}, signal, usage, language = "en" } = {}) {
+  const l = localizer(language);
+  const orders = filterOrders(allERPData, {}, scope);
+  onProgress("tools", "Querying the sales orders...");
+  const { text, calls, stepLimitReached } = await runToolPipeline({
+    llm,
+    question,
+    orders,
+    index: knownEntities().index,
+    maxSteps: TOOL_MAX_STEPS,
+    signal,
+    usage,
+    instruction: l.instruction,
+    onCall: (call) => {
+      console.log(`🔧 Step ${call.step}: ${call.name} ${JSON.stringify(call.arguments)} -> ${JSON.stringify(call.result).slice(0, 200)}`);
+      onProgress("tools", `Ran ${call.name} (step ${call.step})...`);
+    }
+  });
+  if (stepLimitReached) console.warn(`Tool pipeline stopped after ${TOOL_MAX_STEPS} steps: "${question}"`);
+  const payload = { type: "text", data: text || l.t("noToolAnswer"), toolCalls: calls, language };
+  const warning = stalenessWarning(erpSync.status().lastSuccessAt, { staleAfterMs: DATA_STALE_MS, language });
+  return { answer: withWarning(payload, warning), calls, stepLimitReached };
+}
+
+// Run a saved report with its owner's data scope, as they would see it in the chat
+async function runReport(report) {
+  const owner = await repo.findUser(report.owner);
+  if (!owner) throw new Error(`Report owner "${report.owner}" no longer exists`);
+  const scope = dataScope(owner);
+  const names = resolveNames(report.parsed, scope);
+  if (!names.ok) return { type: "text", data: names.reply };
+  return (await answerParsed(names.parsed, report.question, scope)).answer;
 }
 
+const reportScheduler = createReportScheduler({ store: repo, runReport, transports, webhookHosts: WEBHOOK_HOSTS });
+
+// Parse, filter and answer one /chatbot request. The streaming endpoint passes
+// onProgress/onToken to report each stage and a signal to stop when the client goes away.
+async function answerQuestion(req, { onProgress = () => {}, onToken, signal } = {}) {
+  const { question } = req.body;
+  // Conversations are per user, so a leaked session id can't continue someone else's
+  const sessionId = req.body.sessionId && `${req.user.username}:${req.body.sessionId}`;
+  const scope = dataScope(req.user);
+  const history = sessionId ? conversations.turns(sessionId) : [];
+  // The UI can pick "en" or "fil"; otherwise answers follow the question's language
+  const language = resolveLanguage(req.body.language, question);
+  // What the audit log records about this question, filled in as it is answered
+  const audit = {
+    user: req.user,
+    sessionId: req.body.sessionId,
+    question,
+    startedAt: Date.now(),
+    usage: { prompt_tokens: 0, completion_tokens: 0 }
+  };
+
+  try {
+    if (!cacheReady()) {
+      audit.error = "Sales data not loaded yet";
+      return (audit.answer = { type: "text", data: localizer(language).t("loading"), language });
+    }
+    if ((req.body.pipeline || CHAT_PIPELINE) === "tools" && !LLM_DISABLED) {
+      const { answer, calls, stepLimitReached } = await answerWithTools(question, scope, { onProgress, signal, usage: audit.usage, language });
+      // The audit log keeps each call without its (possibly large) result
+      audit.parsed = {
+        intent: "tools",
+        stepLimitReached,
+        calls: calls.map(({ step, name, arguments: args, result, ms }) => ({ step, name, arguments: args, error: result?.error, ms }))
+      };
+      return (audit.answer = answer);
+    }
+
+    // A reply to "Did you mean ...?" naming one of the candidates reruns the question with it
+    const last = history[history.length - 1];
+    const choice = last?.clarify && knownEntities().index.pick(last.clarify.kind, last.clarify.candidates, question);
+    let parsed;
+    if (choice) {
+      parsed = { ...last.parsed, [last.clarify.kind]: choice };
+    } else {
+      onProgress("parsing", "Understanding your question...");
+      audit.parsed = await parseQuestion(question, history, { signal, usage: audit.usage });
+      const checked = validateIntent(audit.parsed, knownEntities());
+      if (!checked.ok) {
+        console.warn("Rejected parsed intent:", checked.errors.join("; "));
+        audit.error = `Rejected intent: ${checked.errors.join("; ")}`;
+        return (audit.answer = { type: "text", data: checked.reply });
+      }
+      parsed = refineParsed(sessionId ? conversations.lastParsed(sessionId) : null, checked.parsed);
+    }
+    audit.parsed = parsed;
+    const names = resolveNames(parsed, scope, language);
+    if (sessionId) conversations.addTurn(sessionId, { question, parsed: names.ok ? names.parsed : parsed, clarify: names.clarify });
+    if (!names.ok) return (audit.answer = { type: "text", data: names.reply, language });
+    parsed = names.parsed;
+    audit.parsed = parsed;
+
+    const { answer, matchCount } = await answerParsed(parsed, question, scope, { onProgress, onToken, signal, usage: audit.usage, language });
+    audit.matchCount = matchCount;
+    return (audit.answer = answer);
+  } catch (err) {
+    audit.error = err;
+    throw err;
+  } finally {
+    if (signal?.aborted) audit.error = "Cancelled by the client";
+    repo.recordQuestion(auditEntry(audit)).catch(err => console.error("Audit log error:", err));
+  }
+}
 
 // Chatbot endpoint
-app.post("/chatbot", async (req, res) => {
+app.post("/chatbot", requireLogin, async (req, res) => {
   try {
-    const { question } = req.body;
-    const parsed = await parseQuestionWithGPT(question);
-    const filtered = filterOrders(allERPData, parsed);
-    const answer = await formatResponse(filtered, parsed, question);
-    res.json({ type: "text", data: answer });
+    res.json(await answerQuestion(req));
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "Chatbot failed" });
   }
 });
 
+// Streaming chatbot endpoint (Server-Sent Events): progress, token, answer, then done
+app.post("/chatbot/stream", requireLogin, async (req, res) => {
+  const stream = openEventStream(res);
+  try {
+    const answer = await answerQuestion(req, {
+      onProgress: (stage, message) => stream.send("progress", { stage, message }),
+      onToken: (text) => stream.send("token", { text }),
+      signal: stream.signal
+    });
+    stream.send("answer", answer);
+  } catch (err) {
+    if (!stream.signal.aborted) {
+      console.error(err);
+      stream.send("error", { error: "Chatbot failed" });
+    }
+  } finally {
+    // The OpenAI SDK ends an aborted stream quietly, so check the signal rather than catching
+    if (stream.signal.aborted) console.log("Chat stream cancelled by the client");
+    stream.send("done", {});
+    stream.close();
+  }
+});
+
+// Excel import endpoint (raw .xlsx body)
+app.post("/import-xlsx", requireAdmin, express.raw({ type: () => true, limit: "20mb" }), async (req, res) => {
+  try {
+    const imported = await importWorkbook(req.body);
+    res.json({ success: true, imported });
+  } catch (err) {
+    console.error("Excel import error:", err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Recent ERP sync runs
+app.get("/sync/history", requireAdmin, async (req, res) => {
+  try {
+    res.json(await repo.syncHistory(Number(req.query.limit) || 50));
+  } catch (err) {
+    console.error("Sync history error:", err);
+    res.status(500).json({ error: "Could not load sync history" });
+  }
+});
+
 // Reset memory
-app.post("/reset-memory", (req, res) => res.json({ success: true }));
+app.post("/reset-memory", requireLogin, (req, res) => {
+  if (req.body?.sessionId) conversations.reset(`${req.user.username}:${req.body.sessionId}`);
+  res.json({ success: true });
+});
+
+// Login: returns a bearer token for the Authorization header
+app.post("/auth/login", async (req, res) => {
+  try {
+    const session = await auth.login(req.body?.username, req.body?.password);
+    if (!session) return res.status(401).json({ error: "Invalid username or password" });
+    res.json(session);
+  } catch (err) {
+    console.error("Login error:", err);
+    res.status(500).json({ error: "Login failed" });
+  }
+});
+
+app.post("/auth/logout", requireLogin, async (req, res) => {
+  await auth.logout(req);
+  res.json({ success: true });
+});
+
+app.get("/auth/me", requireLogin, (req, res) => {
+  res.json(publicUser(req.user));
+});
+
+// User management (admin only)
+app.get("/users", requireAdmin, async (req, res) => {
+  res.json((await repo.listUsers()).map(publicUser));
+});
+
+app.post("/users", requireAdmin, async (req, res) => {
+  try {
+    res.json(await auth.saveUser(req.body || {}));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Question analytics for the last N days (admin only)
+app.get("/admin/analytics", requireAdmin, async (req, res) => {
+  const days = Math.min(Number(req.query.days) || 30, 366);
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const entries = await repo.auditEntries({ since, limit: 100_000 });
+  res.json({ days, since, ...summarizeQuestions(entries) });
+});
+
+// Raw audit entries, e.g. who asked about margins (admin only)
+app.get("/admin/audit", requireAdmin, async (req, res) => {
+  const days = Math.min(Number(req.query.days) || 30, 366);
+  res.json(await repo.auditEntries({
+    since: new Date(Date.now() - days * 24 * 60 * 60 * 1000),
+    username: req.query.username || null,
+    limit: Math.min(Number(req.query.limit) || 200, 5000)
+  }));
+});
+
+// Scheduled reports: admins manage all of them, managers their own
+const requireReports = [requireLogin, auth.requireRole("admin", "manager")];
+
+async function findOwnReport(req) {
+  const report = await repo.findReport(Number(req.params.id));
+  return report && (req.user.role === "admin" || report.owner === req.user.username) ? report : null;
+}
+
+// Check a definition for its owner; a new question is parsed and validated like a chat question
+async function checkReport(body, owner) {
+  let parsed = body.parsed;
+  if (!parsed) {
+    if (!body.question) return { ok: false, errors: ["question or parsed is required"] };
+    parsed = await parseQuestion(String(body.question));
+  }
+  const checked = validateIntent(parsed, knownEntities());
+  if (!checked.ok) return { ok: false, errors: checked.errors };
+  // Names are saved as the data spells them, so the report keeps matching the same entity
+  const names = resolveNames(checked.parsed, null);
+  if (!names.ok) return { ok: false, errors: [names.reply] };
+  return validateReport(body, { parsed: names.parsed, transports, owner, webhookHosts: WEBHOOK_HOSTS });
+}
+
+app.get("/reports", requireReports, async (req, res) => {
+  res.json(await repo.listReports(req.user.role === "admin" ? null : req.user.username));
+});
+
+app.post("/reports", requireReports, async (req, res) => {
+  const checked = await checkReport(req.body || {}, req.user);
+  if (!checked.ok) return res.status(400).json({ error: checked.errors.join("; ") });
+  res.status(201).json(await repo.saveReport({ ...checked.report, owner: req.user.username }));
+});
+
+// Partial update; sending a new question re-parses it
+app.put("/reports/:id", requireReports, async (req, res) => {
+  const existing = await findOwnReport(req);
+  if (!existing) return res.status(404).json({ error: "Report not found" });
+  const body = req.body || {};
+  // Webhooks are allowed or not by the report owner's role, whoever edits it
+  const owner = existing.owner === req.user.username ? req.user : await repo.findUser(existing.owner);
+  const checked = await checkReport({
+    ...existing,
+    ...body,
+    parsed: body.parsed || (body.question ? null : existing.parsed)
+  }, owner);
+  if (!checked.ok) return res.status(400).json({ error: checked.errors.join("; ") });
+  res.json(await repo.saveReport({ ...checked.report, id: existing.id, owner: existing.owner }));
+});
+
+app.delete("/reports/:id", requireReports, async (req, res) => {
+  if (!await findOwnReport(req)) return res.status(404).json({ error: "Report not found" });
+  await repo.deleteReport(Number(req.params.id));
+  res.json({ success: true });
+});
+
+// Run and deliver a report now, e.g. to check the recipients get it
+app.post("/reports/:id/run", requireReports, async (req, res) => {
+  const report = await findOwnReport(req);
+  if (!report) return res.status(404).json({ error: "Report not found" });
+  const run = await reportScheduler.deliver(report);
+  res.status(run.error ? 502 : 200).json(run);
+});
+
+// Alert rules: every user manages their own (admins see all); alerts only cover orders in the owner's scope
+async function findOwnAlertRule(req) {
+  const rule = await repo.findAlertRule(Number(req.params.id));
+  return rule && (req.user.role === "admin" || rule.owner === req.user.username) ? rule : null;
+}
+
+app.get("/alerts/rules", requireLogin, async (req, res) => {
+  res.json(await repo.listAlertRules(req.user.role === "admin" ? null : req.user.username));
+});
+
+// Check a rule for its owner; customer and sales rep names are saved as the data spells them
+function checkAlertRule(body, owner) {
+  const checked = validateAlertRule(body, { webhook: transports.webhook, owner, webhookHosts: WEBHOOK_HOSTS });
+  if (!checked.ok) return checked;
+  const names = resolveNames(checked.rule.params, null);
+  if (!names.ok) return { ok: false, errors: [names.reply] };
+  return { ok: true, rule: { ...checked.rule, params: names.parsed } };
+}
+
+app.post("/alerts/rules", requireLogin, async (req, res) => {
+  const checked = checkAlertRule(req.body || {}, req.user);
+  if (!checked.ok) return res.status(400).json({ error: checked.errors.join("; ") });
+  res.status(201).json(await repo.saveAlertRule({ ...checked.rule, owner: req.user.username }));
+});
+
+app.put("/alerts/rules/:id", requireLogin, async (req, res) => {
+  const existing = await findOwnAlertRule(req);
+  if (!existing) return res.status(404).json({ error: "Alert rule not found" });
+  // Webhooks are allowed or not by the rule owner's role, whoever edits it
+  const owner = existing.owner === req.user.username ? req.user : await repo.findUser(existing.owner);
+  const checked = checkAlertRule({ ...existing, ...req.body }, owner);
+  if (!checked.ok) return res.status(400).json({ error: checked.errors.join("; ") });
+  res.json(await repo.saveAlertRule({ ...checked.rule, id: existing.id, owner: existing.owner }));
+});
+
+app.delete("/alerts/rules/:id", requireLogin, async (req, res) => {
+  if (!await findOwnAlertRule(req)) return res.status(404).json({ error: "Alert rule not found" });
+  await repo.deleteAlertRule(Number(req.params.id));
+  res.json({ success: true });
+});
+
+// The user's notification feed, newest first, with the unread count for the chat UI badge
+app.get("/alerts/notifications", requireLogin, async (req, res) => {
+  const [notifications, unread] = await Promise.all([
+    repo.notifications(req.user.username, {
+      unreadOnly: req.query.unread === "true",
+      limit: Math.min(Number(req.query.limit) || 50, 500)
+    }),
+    repo.notifications(req.user.username, { unreadOnly: true, limit: 1000 })
+  ]);
+  res.json({ unread: unread.length, notifications });
+});
 
-// Start server
-app.listen(3000, async () => {
-  console.log("✅ Chatbot running on http://localhost:3000");
+// Mark notifications read: { ids: [...] }, or all of them without ids
+app.post("/alerts/notifications/read", requireLogin, async (req, res) => {
+  const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(Number).filter(Number.isInteger) : null;
+  await repo.markNotificationsRead(req.user.username, ids);
+  res.json({ success: true });
+});
+
+// LLM requests, tokens, estimated cost and cache hits since startup
+app.get("/llm/usage", requireAdmin, (req, res) => {
+  res.json(llm.stats());
+});
+
+// Liveness and details for monitoring: storage, LLM, ERP sync and cached data
+async function currentHealth() {
+  return healthReport({
+    store: repo,
+    cache: { ready: cacheReady(), records: allERPData.length },
+    sync: erpSync,
+    llm: { disabled: LLM_SWITCHED_OFF, configured: llm.configured, baseURL: llm.baseURL || null, models: llm.models },
+    erpConfigured: !!process.env.ERP_API,
+    staleAfterMs: DATA_STALE_MS
+  });
+}
+
+app.get("/health", async (req, res) => {
+  res.json(await currentHealth());
+});
+
+// Readiness for load balancers: 503 until storage answers and the cache is loaded
+app.get("/ready", async (req, res) => {
+  const health = await currentHealth();
+  res.status(health.ready ? 200 : 503).json({ ready: health.ready, status: health.status });
+});
+
+// Audit entries older than AUDIT_RETENTION_DAYS (default 90) are deleted at startup and hourly
+const AUDIT_RETENTION_MS = (Number(process.env.AUDIT_RETENTION_DAYS) || 90) * 24 * 60 * 60 * 1000;
+async function pruneAuditLog() {
+  try {
+    const removed = await repo.pruneQuestions(new Date(Date.now() - AUDIT_RETENTION_MS));
+    if (removed) console.log(`✅ Removed ${removed} audit log entries past the retention period`);
+  } catch (err) {
+    console.error("Audit log retention error:", err);
+  }
+}
+
+// First admin account from ADMIN_USERNAME / ADMIN_PASSWORD, if it doesn't exist yet
+async function ensureAdminUser() {
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD || await repo.findUser(ADMIN_USERNAME)) return;
+  await auth.saveUser({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: "admin" });
+  console.log(`✅ Created admin user ${ADMIN_USERNAME}`);
+}
+
+// Start server once the schema is current; a server that can't migrate shouldn't take requests
+const PORT = Number(process.env.PORT) || 3000;
+
+async function start() {
+  await repo.migrate();        // Bring the canonical schema up to date
+  await ensureAdminUser();
+  app.listen(PORT, () => {
+    console.log(`✅ Chatbot listening on http://localhost:${PORT} (loading data, /ready reports when it can answer)`);
+  });
+  await pruneAuditLog();
+  setInterval(pruneAuditLog, 60 * 60 * 1000).unref();
   await loadDataFromDB();      // Load DB into memory
-  await preloadERPData();       // Fetch new ERP data and merge into DB
-  setInterval(preloadERPData, 60_000); // Auto-update ERP data every minute
+  if (process.env.XLSX_IMPORT_FILE) {
+    await importWorkbook(process.env.XLSX_IMPORT_FILE).catch(err => console.error("Excel import error:", err));
+  }
+  const readyBeforeSync = cacheReady();
+  if (readyBeforeSync) console.log(`✅ Chatbot ready with ${allERPData.length} cached records`);
+  await erpSync.start(Number(process.env.SYNC_INTERVAL_MS) || 60_000); // Sync now, then again after each run finishes
+  cacheState.firstSyncDone = true;
+  if (!readyBeforeSync) {
+    if (cacheReady()) console.log(`✅ Chatbot ready with ${allERPData.length} records after the first ERP sync`);
+    else console.error("Chatbot not ready: sales orders could not be loaded from storage");
+  }
+  if (process.env.REPORT_SCHEDULER !== "false") reportScheduler.start(); // Check for due reports every minute
+}
+
+start().catch(err => {
+  console.error("Startup failed:", err);
+  process.exit(1);
 });
@@ -0,0 +1,222 @@
+// Alert rules checked after each ERP sync, and the notifications they raise
+import { dataScope, inScope } from "./auth.js";
+import { toDateString } from "./salesOrders.js";
+import { formatPeso } from "./format.js";
+import { webhookAllowed } from "./transports.js";
+import { createEntityIndex } from "./entities.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CANCELLED = "CANCELLED";
+// Reps without an order for this long have left; inactivity alerts ignore them
+const FORMER_REP_DAYS = 365;
+// A webhook push that keeps failing is given up after this many tries, one per sync
+const MAX_DELIVERY_ATTEMPTS = 5;
+
+export const ALERT_DELIVERIES = ["feed", "webhook"];
+
+const orderDetails = (o) => ({
+  so_pk: o.so_pk,
+  so_number: o.so_number,
+  customer: o.customer,
+  salesRep: o.salesRep,
+  division: o.division,
+  status: o.status,
+  amount: o.amount,
+  gp_rate: o.gp_rate,
+  date_created: toDateString(o.date_created)
+});
+
+// Optional customer and sales rep filters every rule type accepts. Names are saved as the data
+// spells them; every spelling of that customer or rep matches.
+function matchesFilters(o, params, index) {
+  if (params.customer && index.keyOf(o.customer) !== index.keyOf(params.customer)) return false;
+  if (params.salesRep && index.keyOf(o.salesRep) !== index.keyOf(params.salesRep)) return false;
+  return true;
+}
+
+function requireNumber(params, key, { min = -Infinity, max = Infinity } = {}) {
+  const value = Number(params[key]);
+  if (params[key] == null || params[key] === "" || !(value >= min && value <= max)) {
+    throw new Error(`${key} must be a number between ${min} and ${max}`);
+  }
+  return value;
+}
+
+// Each type coerces its params (throwing on bad ones) and turns a sync into alerts
+// { key, message, details }. The key identifies what was alerted on, for deduplication.
+export const ALERT_TYPES = {
+  // A new order at or above an amount
+  largeOrder: {
+    params: (p) => ({ amount: requireNumber(p, "amount", { min: 0 }) }),
+    check: (rule, { changes }) => changes
+      .filter(({ before, after }) => !before && after.amount >= rule.params.amount)
+      .map(({ after: o }) => ({
+        key: `order:${o.so_pk}`,
+        message: `New order ${o.so_number} for ${o.customer}: ${formatPeso(o.amount)}`,
+        details: orderDetails(o)
+      }))
+  },
+
+  // A new or changed order whose GP rate dropped below a threshold
+  lowGp: {
+    params: (p) => ({ gpRate: requireNumber(p, "gpRate", { min: -100, max: 100 }) }),
+    check: (rule, { changes }) => changes
+      .filter(({ before, after }) => after.gp_rate < rule.params.gpRate && (!before || before.gp_rate >= rule.params.gpRate))
+      .map(({ after: o }) => ({
+        key: `order:${o.so_pk}`,
+        message: `Order ${o.so_number} for ${o.customer} has ${o.gp_rate}% GP (below ${rule.params.gpRate}%)`,
+        details: orderDetails(o)
+      }))
+  },
+
+  // An existing order moving to CANCELLED
+  cancelled: {
+    params: () => ({}),
+    check: (rule, { changes }) => changes
+      .filter(({ before, after }) => before && before.status !== CANCELLED && after.status === CANCELLED)
+      .map(({ before, after: o }) => ({
+        key: `order:${o.so_pk}`,
+        message: `Order ${o.so_number} for ${o.customer} (${formatPeso(o.amount)}) was cancelled (was ${before.status})`,
+        details: orderDetails(o)
+      }))
+  },
+
+  // A sales rep with no new orders in N days; alerts again if they sell and then go quiet again
+  inactiveRep: {
+    params: (p) => ({ days: requireNumber(p, "days", { min: 1, max: FORMER_REP_DAYS }) }),
+    check: (rule, { orders, now }) => {
+      const lastOrder = new Map();
+      for (const o of orders) {
+        const day = toDateString(o.date_created);
+        if (!day || !o.salesRep || o.salesRep === "Unknown") continue;
+        if (!lastOrder.has(o.salesRep) || day > lastOrder.get(o.salesRep)) lastOrder.set(o.salesRep, day);
+      }
+      const quietSince = toDateString(new Date(now - rule.params.days * DAY_MS));
+      const formerSince = toDateString(new Date(now - FORMER_REP_DAYS * DAY_MS));
+      return [...lastOrder.entries()]
+        .filter(([, day]) => day < quietSince && day >= formerSince)
+        .map(([rep, day]) => ({
+          key: `rep:${rep}:${day}`,
+          message: `${rep} has no orders in the last ${rule.params.days} days (last order ${day})`,
+          details: { salesRep: rep, lastOrder: day }
+        }));
+    }
+  }
+};
+
+// Check a rule from the API for its owner. Returns { ok, rule } or { ok: false, errors }.
+export function validateAlertRule(input, { webhook, owner, webhookHosts = [] }) {
+  const errors = [];
+  const name = String(input.name || "").trim().slice(0, 200);
+  if (!name) errors.push("name is required");
+
+  const type = ALERT_TYPES[input.type];
+  let params = {};
+  if (!type) {
+    errors.push(`type must be one of: ${Object.keys(ALERT_TYPES).join(", ")}`);
+  } else {
+    try {
+      params = type.params(input.params || {});
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+  for (const key of ["customer", "salesRep"]) {
+    const value = String(input.params?.[key] || "").trim();
+    if (value) params[key] = value;
+  }
+
+  const delivery = input.delivery || "feed";
+  const target = delivery === "webhook" ? String(input.target || "").trim() : null;
+  if (!ALERT_DELIVERIES.includes(delivery)) errors.push(`delivery must be one of: ${ALERT_DELIVERIES.join(", ")}`);
+  if (delivery === "webhook") {
+    if (!webhook.validRecipient(target)) errors.push("webhook delivery needs an http(s) target URL");
+    else if (!webhookAllowed(owner, target, webhookHosts)) {
+      errors.push(webhookHosts.length
+        ? `webhook targets must be on one of these hosts: ${webhookHosts.join(", ")}`
+        : "only admins can send alerts to a webhook");
+    }
+  }
+
+  if (errors.length) return { ok: false, errors };
+  return { ok: true, rule: { name, type: input.type, params, delivery, target, enabled: input.enabled !== false } };
+}
+
+export function createAlertEngine({
+  store,                       // repository holding rules, users and notifications
+  webhook,                     // webhook transport from createTransports()
+  webhookHosts = [],           // hosts non-admins may send alerts to
+  maxDeliveryAttempts = MAX_DELIVERY_ATTEMPTS,
+  now = () => new Date()
+}) {
+  // Record each alert once. Webhook alerts stay pending until deliverPending pushes them.
+  function raise(rule, alert) {
+    return store.recordNotification({
+      rule_id: rule.id,
+      username: rule.owner,
+      dedupe_key: alert.key,
+      message: alert.message,
+      details: alert.details,
+      delivery_pending: rule.delivery === "webhook"
+    });
+  }
+
+  // Push pending alerts to their rule's webhook. A failed push stays pending for the next
+  // sync until maxDeliveryAttempts; alerts of deleted, disabled or no longer allowed rules are dropped.
+  async function deliverPending() {
+    let delivered = 0;
+    for (const n of await store.pendingDeliveries()) {
+      const rule = await store.findAlertRule(n.rule_id);
+      const owner = rule && await store.findUser(rule.owner);
+      if (!rule?.enabled || rule.delivery !== "webhook" || !owner || !webhookAllowed(owner, rule.target, webhookHosts)) {
+        await store.updateDelivery(n.id, { pending: false, attempts: n.delivery_attempts, error: "rule no longer delivers to this webhook" });
+        continue;
+      }
+      const attempts = n.delivery_attempts + 1;
+      try {
+        await webhook.send(
+          { subject: rule.name, text: n.message },
+          [rule.target],
+          { alert: { rule: { id: rule.id, name: rule.name, type: rule.type }, message: n.message, details: n.details } }
+        );
+        await store.updateDelivery(n.id, { pending: false, attempts });
+        delivered++;
+      } catch (err) {
+        const retry = attempts < maxDeliveryAttempts;
+        console.error(`Alert webhook for "${rule.name}" failed (attempt ${attempts} of ${maxDeliveryAttempts}${retry ? "" : ", giving up"}):`, err.message);
+        await store.updateDelivery(n.id, { pending: retry, attempts, error: err.message });
+      }
+    }
+    return delivered;
+  }
+
+  // Check every enabled rule against a sync's changes and the full order list,
+  // limited to what the rule owner may see. The initial load raises no order alerts.
+  async function evaluate({ changes = [], initial = false, orders, index = createEntityIndex(orders) }) {
+    const current = now();
+    let raised = 0;
+    for (const rule of (await store.listAlertRules()).filter(r => r.enabled)) {
+      try {
+        const owner = await store.findUser(rule.owner);
+        if (!owner) continue;
+        const scope = dataScope(owner);
+        const visible = (o) => inScope(o, scope) && matchesFilters(o, rule.params, index);
+        const alerts = ALERT_TYPES[rule.type].check(rule, {
+          changes: initial ? [] : changes.filter(c => visible(c.after)),
+          orders: orders.filter(visible),
+          now: current
+        });
+        for (const alert of alerts) {
+          if (await raise(rule, alert)) raised++;
+        }
+      } catch (err) {
+        console.error(`Alert rule "${rule.name}" failed:`, err);
+      }
+    }
+    if (raised) console.log(`✅ Raised ${raised} alert${raised === 1 ? "" : "s"}`);
+    await deliverPending().catch(err => console.error("Alert delivery failed:", err));
+    return raised;
+  }
+
+  return { evaluate, deliverPending };
+}
@@ -0,0 +1,71 @@
+// Per-question audit entries and the analytics summary built from them
+
+export const UNHANDLED_ANSWER = "Intent not implemented yet.";
+
+// Add an OpenAI `usage` object to a running { prompt_tokens, completion_tokens } total
+export function addUsage(total, usage) {
+  if (!total || !usage) return;
+  total.prompt_tokens += usage.prompt_tokens || 0;
+  total.completion_tokens += usage.completion_tokens || 0;
+}
+
+// One chat_audit_log row for a finished (or failed) question
+export function auditEntry({ user, sessionId, question, parsed, matchCount, answer, error, startedAt, usage }) {
+  return {
+    asked_at: new Date(startedAt),
+    username: user?.username || null,
+    session_id: sessionId || null,
+    question: String(question ?? ""),
+    parsed: parsed || null,
+    intent: parsed?.intent || null,
+    match_count: matchCount ?? null,
+    answer_type: answer?.type || null,
+    unhandled: !!answer?.unhandled || answer?.data === UNHANDLED_ANSWER,
+    latency_ms: Date.now() - startedAt,
+    prompt_tokens: usage.prompt_tokens,
+    completion_tokens: usage.completion_tokens,
+    error: error ? String(error.message || error) : null
+  };
+}
+
+function countBy(entries, key, limit) {
+  const counts = new Map();
+  for (const e of entries) {
+    const value = key(e);
+    if (value == null) continue;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([value, count]) => ({ value, count }));
+}
+
+const normalizeQuestion = (q) => String(q || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+// Top intents, failing and unhandled questions, users, latency and token totals
+export function summarizeQuestions(entries, { limit = 20 } = {}) {
+  const failed = entries.filter(e => e.error);
+  const unhandled = entries.filter(e => e.unhandled);
+  const latencies = entries.map(e => Number(e.latency_ms)).filter(Number.isFinite).sort((a, b) => a - b);
+  const percentile = (p) => latencies.length ? latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * p))] : null;
+  const sum = (key) => entries.reduce((total, e) => total + (Number(e[key]) || 0), 0);
+
+  return {
+    questions: entries.length,
+    failed: failed.length,
+    unhandled: unhandled.length,
+    latencyMs: { median: percentile(0.5), p95: percentile(0.95) },
+    tokens: { prompt: sum("prompt_tokens"), completion: sum("completion_tokens") },
+    topIntents: countBy(entries, e => e.intent, limit).map(({ value, count }) => ({ intent: value, count })),
+    failingQuestions: countBy(failed, e => normalizeQuestion(e.question), limit)
+      .map(({ value, count }) => ({
+        question: value,
+        count,
+        lastError: failed.find(e => normalizeQuestion(e.question) === value).error
+      })),
+    unhandledQuestions: countBy(unhandled, e => normalizeQuestion(e.question), limit)
+      .map(({ value, count }) => ({ question: value, count })),
+    users: countBy(entries, e => e.username, limit).map(({ value, count }) => ({ username: value, count }))
+  };
+}
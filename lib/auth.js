@@ -0,0 +1,118 @@
+// Local users, session tokens, roles and row-level data scope
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = ["admin", "manager", "sales_rep"];
+
+const DEFAULT_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const KEY_LENGTH = 64;
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+// "scrypt$<salt>$<key>", both hex
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${key.toString("hex")}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hex] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hex) return false;
+  const expected = Buffer.from(hex, "hex");
+  const key = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+// Orders a user may see: admins everything, managers their division (if set),
+// sales reps only their own orders (and division, if set). null means no restriction.
+export function dataScope(user) {
+  if (!user || user.role === "admin") return null;
+  const scope = {};
+  if (user.division) scope.division = user.division;
+  if (user.role === "sales_rep") scope.salesRep = user.sales_rep || null;
+  return Object.keys(scope).length ? scope : null;
+}
+
+export function inScope(order, scope) {
+  if (!scope) return true;
+  return Object.entries(scope).every(([key, value]) =>
+    !!value && String(order[key] || "").toLowerCase() === value.toLowerCase()
+  );
+}
+
+// What the API returns about a user (never the password hash)
+export function publicUser(user) {
+  return { username: user.username, role: user.role, salesRep: user.sales_rep || null, division: user.division || null };
+}
+
+export function createAuth({ store, sessionTtlMs = DEFAULT_SESSION_TTL_MS }) {
+  function bearerToken(req) {
+    const header = req.get("authorization") || "";
+    return header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+  }
+
+  return {
+    // Create or update a user; the password is only changed when given
+    async saveUser({ username, password, role, salesRep, division }) {
+      if (!username || !/^[\w.@-]{3,64}$/.test(username)) throw new Error("Username must be 3-64 letters, digits or . _ @ -");
+      if (!ROLES.includes(role)) throw new Error(`Role must be one of ${ROLES.join(", ")}`);
+      const existing = await store.findUser(username);
+      if (!existing && !password) throw new Error("Password is required for a new user");
+      if (password && password.length < 8) throw new Error("Password must be at least 8 characters");
+
+      const user = {
+        username: existing?.username || username,
+        password_hash: password ? await hashPassword(password) : existing.password_hash,
+        role,
+        sales_rep: salesRep || null,
+        division: division || null
+      };
+      await store.saveUser(user);
+      return publicUser(user);
+    },
+
+    // Returns { token, user } or null when the credentials are wrong
+    async login(username, password) {
+      const user = username && await store.findUser(String(username));
+      if (!user || !(await verifyPassword(String(password || ""), user.password_hash))) return null;
+      const token = crypto.randomBytes(32).toString("base64url");
+      await store.createSession({
+        token_hash: sha256(token),
+        username: user.username,
+        expires_at: new Date(Date.now() + sessionTtlMs)
+      });
+      return { token, user: publicUser(user) };
+    },
+
+    async logout(req) {
+      const token = bearerToken(req);
+      if (token) await store.deleteSession(sha256(token));
+    },
+
+    // Express middleware: sets req.user or answers 401
+    authenticate() {
+      return async (req, res, next) => {
+        try {
+          const token = bearerToken(req);
+          const user = token && await store.sessionUser(sha256(token));
+          if (!user) return res.status(401).json({ error: "Login required" });
+          req.user = user;
+          next();
+        } catch (err) {
+          next(err);
+        }
+      };
+    },
+
+    // Express middleware, after authenticate(): 403 unless the user has one of the roles
+    requireRole(...roles) {
+      return (req, res, next) => {
+        if (!roles.includes(req.user?.role)) return res.status(403).json({ error: "Not allowed" });
+        next();
+      };
+    }
+  };
+}
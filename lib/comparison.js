@@ -0,0 +1,151 @@
+// Period-over-period comparisons and growth series over normalized sales orders
+import { resolveDateRange, rangeLabel, inDateRange } from "./dateRange.js";
+import { toDateString, bookedOrders } from "./salesOrders.js";
+
+export const COMPARISON_INTENTS = ["compare", "growth"];
+
+export const GROUP_FIELDS = { division: "Division", customer: "Customer", salesRep: "Sales Rep", status: "Status" };
+
+export const INTERVALS = ["month", "quarter", "year"];
+
+const pad = (n) => String(n).padStart(2, "0");
+const lastDay = (year, month) => new Date(year, month, 0).getDate();
+
+// Move a YYYY-MM-DD date by whole months; month ends stay month ends (Feb 28 -> Jan 31)
+function addMonths(day, months) {
+  const [y, m, d] = day.split("-").map(Number);
+  const target = new Date(y, m - 1 + months, 1);
+  const ty = target.getFullYear();
+  const tm = target.getMonth() + 1;
+  const td = d === lastDay(y, m) ? lastDay(ty, tm) : Math.min(d, lastDay(ty, tm));
+  return `${ty}-${pad(tm)}-${pad(td)}`;
+}
+
+function addDays(day, days) {
+  const d = new Date(`${day}T00:00:00`);
+  d.setDate(d.getDate() + days);
+  return toDateString(d);
+}
+
+// Baseline for a range: the same dates a year earlier, or the period just before it
+export function shiftRange(range, how) {
+  if (how === "previousYear") {
+    const from = addMonths(range.from, -12);
+    const to = addMonths(range.to, -12);
+    const label = /\d{4}/.test(range.label)
+      ? range.label.replace(/\d{4}/g, (y) => String(Number(y) - 1))
+      : rangeLabel(from, to);
+    return { from, to, label };
+  }
+
+  // Month-aligned ranges (months, quarters, years, month to date) shift by their length in months
+  const [fy, fm, fd] = range.from.split("-").map(Number);
+  const [ty, tm] = range.to.split("-").map(Number);
+  if (fd === 1) {
+    const months = (ty - fy) * 12 + tm - fm + 1;
+    const from = addMonths(range.from, -months);
+    const to = addMonths(range.to, -months);
+    return { from, to, label: rangeLabel(from, to) };
+  }
+  const days = Math.round((new Date(range.to) - new Date(range.from)) / 86_400_000) + 1;
+  const from = addDays(range.from, -days);
+  const to = addDays(range.to, -days);
+  return { from, to, label: rangeLabel(from, to) };
+}
+
+// Current and baseline ranges for a compare intent; no dates means this year to date
+export function comparisonRanges(parsed, now = new Date()) {
+  const requested = resolveDateRange(parsed, now);
+  const current = requested || resolveDateRange({ period: "ytd" }, now);
+  // The period before a year (or year to date) is the same stretch of the previous year
+  const yearly = !requested || parsed.year || parsed.fiscalYear || ["ytd", "thisYear", "lastYear"].includes(parsed.period);
+  const compareTo = parsed.compareTo || "previousPeriod";
+  const baseline = typeof compareTo !== "string"
+    ? resolveDateRange(compareTo, now)
+    : shiftRange(current, yearly ? "previousYear" : compareTo);
+  return { current, baseline };
+}
+
+// Change from baseline in percent; null when there is no baseline to compare against
+export function percentChange(current, baseline) {
+  return baseline ? ((current - baseline) / Math.abs(baseline)) * 100 : null;
+}
+
+// Totals per group in both ranges, with absolute and percentage change.
+// direction "decrease" puts the biggest drops first, "increase" the biggest gains.
+export function compareTotals(orders, parsed, { current, baseline }) {
+  const groups = new Map();
+  const key = (o) => (parsed.groupBy ? o[parsed.groupBy] || "Unknown" : "Total");
+
+  for (const o of bookedOrders(orders, parsed)) {
+    const inCurrent = inDateRange(o, current);
+    const inBaseline = inDateRange(o, baseline);
+    if (!inCurrent && !inBaseline) continue;
+    const group = groups.get(key(o)) || { name: key(o), current: 0, baseline: 0 };
+    if (inCurrent) group.current += o.amount;
+    if (inBaseline) group.baseline += o.amount;
+    groups.set(group.name, group);
+  }
+
+  const rows = [...groups.values()].map(g => ({
+    ...g,
+    change: g.current - g.baseline,
+    changePct: percentChange(g.current, g.baseline)
+  }));
+  if (parsed.direction === "decrease") rows.sort((a, b) => a.change - b.change);
+  else if (parsed.direction === "increase") rows.sort((a, b) => b.change - a.change);
+  else rows.sort((a, b) => b.current - a.current);
+  return rows;
+}
+
+function bucketKey(day, interval) {
+  const [y, m] = day.split("-");
+  if (interval === "year") return y;
+  if (interval === "quarter") return `${y}-Q${Math.floor((Number(m) - 1) / 3) + 1}`;
+  return `${y}-${m}`;
+}
+
+// Range for a growth series: the requested dates, or the last 12 months
+export function growthRange(parsed, now = new Date()) {
+  const requested = resolveDateRange(parsed, now);
+  if (requested) return requested;
+  const today = toDateString(now);
+  return { from: addMonths(`${today.slice(0, 7)}-01`, -11), to: today, label: "the last 12 months" };
+}
+
+// Totals per month/quarter/year across the range (empty periods included), each
+// compared with the period before it
+export function growthSeries(orders, parsed, range, now = new Date()) {
+  const interval = parsed.interval || "month";
+  const counted = bookedOrders(orders, parsed).filter(o => inDateRange(o, range));
+  const totals = new Map();
+  for (const o of counted) {
+    const bucket = bucketKey(toDateString(o.date_created), interval);
+    totals.set(bucket, (totals.get(bucket) || 0) + o.amount);
+  }
+
+  if (!counted.length) return [];
+
+  // Open-ended ranges start at the first order instead of year 0, and no range runs past today
+  const firstOrder = counted.map(o => toDateString(o.date_created)).sort()[0];
+  const [sy, sm] = (range.from.startsWith("0000") ? firstOrder : range.from).split("-").map(Number);
+  const end = range.to < toDateString(now) ? range.to : toDateString(now);
+  const step = { month: 1, quarter: 3, year: 12 }[interval];
+  const startMonth = interval === "year" ? 1 : interval === "quarter" ? Math.floor((sm - 1) / 3) * 3 + 1 : sm;
+  const periods = [];
+  for (let day = `${sy}-${pad(startMonth)}-01`; day <= end; day = addMonths(day, step)) {
+    const bucket = bucketKey(day, interval);
+    if (!periods.includes(bucket)) periods.push(bucket);
+  }
+
+  return periods.map((period, i) => {
+    const total = totals.get(period) || 0;
+    const previous = i ? totals.get(periods[i - 1]) || 0 : null;
+    return {
+      period,
+      total,
+      change: previous == null ? null : total - previous,
+      changePct: previous == null ? null : percentChange(total, previous)
+    };
+  });
+}
@@ -0,0 +1,63 @@
+// Session-scoped conversation memory for follow-up questions
+import { DATE_FIELDS } from "./dateRange.js";
+
+const DEFAULT_MAX_TURNS = 10;
+const DEFAULT_IDLE_MS = 60 * 60 * 1000; // forget sessions idle for an hour
+
+export function createConversationStore({ maxTurns = DEFAULT_MAX_TURNS, idleMs = DEFAULT_IDLE_MS } = {}) {
+  const sessions = new Map();
+
+  function prune(now) {
+    for (const [id, session] of sessions) {
+      if (now - session.updatedAt > idleMs) sessions.delete(id);
+    }
+  }
+
+  return {
+    turns(sessionId) {
+      return sessions.get(sessionId)?.turns || [];
+    },
+
+    lastParsed(sessionId) {
+      const turns = this.turns(sessionId);
+      return turns.length ? turns[turns.length - 1].parsed : null;
+    },
+
+    addTurn(sessionId, turn) {
+      const now = Date.now();
+      prune(now);
+      const session = sessions.get(sessionId) || { turns: [] };
+      session.turns.push({ ...turn, at: now });
+      if (session.turns.length > maxTurns) session.turns.splice(0, session.turns.length - maxTurns);
+      session.updatedAt = now;
+      sessions.set(sessionId, session);
+    },
+
+    reset(sessionId) {
+      sessions.delete(sessionId);
+    },
+
+    size: () => sessions.size
+  };
+}
+
+// Apply a follow-up's filters on top of the previous turn's parsed object
+export function refineParsed(previous, parsed) {
+  if (!previous || !parsed.followUp) return parsed;
+
+  const refined = { ...previous };
+  // Validation fills in format "text", so only a follow-up asking for a file changes the format
+  const changed = Object.entries(parsed)
+    .filter(([key, value]) => key !== "followUp" && value != null && !(Array.isArray(value) && !value.length))
+    .filter(([key, value]) => key !== "format" || value !== "text");
+
+  if (changed.some(([key]) => DATE_FIELDS.includes(key))) {
+    DATE_FIELDS.forEach(key => { refined[key] = null; });
+  }
+  for (const [key, value] of changed) refined[key] = value;
+
+  // "what about 2024?" keeps asking the previous question
+  if (!parsed.intent || parsed.intent === "general") refined.intent = previous.intent;
+  refined.followUp = true;
+  return refined;
+}
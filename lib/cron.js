@@ -0,0 +1,110 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week), local time.
+// Supports *, lists, ranges, steps and month/day names: "0 7 * * MON" is every Monday at 07:00.
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+  { name: "day of week", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] }
+];
+
+const MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+  "@yearly": "0 0 1 1 *"
+};
+
+// Don't look further ahead than this for the next run (e.g. "0 0 31 2 *" never matches).
+// Long enough for "0 0 29 2 *" across a century year that is not a leap year.
+const MAX_LOOKAHEAD_YEARS = 8;
+
+function parseValue(text, field, expr) {
+  const index = field.names?.indexOf(text.toLowerCase()) ?? -1;
+  if (index !== -1) return index + (field.name === "month" ? 1 : 0);
+  const value = /^\d+$/.test(text) ? Number(text) : NaN;
+  if (!(value >= field.min && value <= field.max)) {
+    throw new Error(`Invalid ${field.name} "${text}" in cron expression "${expr}"`);
+  }
+  return value;
+}
+
+// Set of allowed values for one field, plus whether it was a bare "*"
+function parseField(text, field, expr) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step "${stepText}" in cron expression "${expr}"`);
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== "*") {
+      const [start, end] = range.split("-");
+      from = parseValue(start, field, expr);
+      to = end === undefined ? (stepText === undefined ? from : field.max) : parseValue(end, field, expr);
+      if (from > to) throw new Error(`Invalid range "${range}" in cron expression "${expr}"`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  // Sunday is both 0 and 7
+  if (field.name === "day of week" && values.delete(7)) values.add(0);
+  return { values, any: text === "*" };
+}
+
+// Parse an expression into per-field value sets; throws on anything malformed
+export function parseCron(expr) {
+  const text = String(expr || "").trim();
+  const parts = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression "${text}" needs 5 fields (minute hour day month weekday)`);
+  const [minute, hour, day, month, weekday] = parts.map((part, i) => parseField(part, FIELDS[i], text));
+  return { expr: text, minute, hour, day, month, weekday };
+}
+
+// Like classic cron, when both day of month and day of week are restricted, either one
+// matching is enough
+function dayMatches(cron, date) {
+  const dayMatch = cron.day.values.has(date.getDate());
+  const weekdayMatch = cron.weekday.values.has(date.getDay());
+  if (cron.day.any || cron.weekday.any) return (cron.day.any || dayMatch) && (cron.weekday.any || weekdayMatch);
+  return dayMatch || weekdayMatch;
+}
+
+// Whether a schedule fires in the minute containing `date`
+export function cronMatches(schedule, date) {
+  const cron = typeof schedule === "string" ? parseCron(schedule) : schedule;
+  return cron.minute.values.has(date.getMinutes())
+    && cron.hour.values.has(date.getHours())
+    && cron.month.values.has(date.getMonth() + 1)
+    && dayMatches(cron, date);
+}
+
+// First minute strictly after `after` when the schedule fires, or null if it never does.
+// Skips a whole month, day or hour at a time when that field doesn't match.
+export function nextCronRun(schedule, after = new Date()) {
+  const cron = typeof schedule === "string" ? parseCron(schedule) : schedule;
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(date);
+  limit.setFullYear(limit.getFullYear() + MAX_LOOKAHEAD_YEARS);
+
+  while (date <= limit) {
+    if (!cron.month.values.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hour.values.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minute.values.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,136 @@
+// Resolve the date filters of a parsed intent into one inclusive { from, to } range.
+// All dates are YYYY-MM-DD strings on the local calendar, like toDateString().
+import { toDateString } from "./salesOrders.js";
+
+// Parsed fields that each describe the order date; a follow-up that sets one clears the rest
+export const DATE_FIELDS = [
+  "date", "dateFrom", "dateTo", "month", "quarter", "lastNDays", "period", "fiscalYear", "year"
+];
+
+export const PERIODS = ["thisWeek", "lastWeek", "thisMonth", "lastMonth", "thisQuarter", "lastQuarter", "ytd", "thisYear", "lastYear"];
+
+// Month the fiscal year starts in (1 = January). FY2025 is the fiscal year that ends in 2025.
+export const FISCAL_YEAR_START_MONTH = Number(process.env.FISCAL_YEAR_START_MONTH) || 1;
+
+const MONTH_NAMES = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December"
+];
+
+const ymd = (year, month, day) => toDateString(new Date(year, month - 1, day));
+const lastDay = (year, month) => new Date(year, month, 0).getDate();
+
+function monthRange(year, month) {
+  return { from: ymd(year, month, 1), to: ymd(year, month, lastDay(year, month)) };
+}
+
+function quarterRange(year, q) {
+  const first = (q - 1) * 3 + 1;
+  return { from: ymd(year, first, 1), to: ymd(year, first + 2, lastDay(year, first + 2)) };
+}
+
+function fiscalYearRange(fy, startMonth) {
+  if (startMonth === 1) return { from: `${fy}-01-01`, to: `${fy}-12-31` };
+  const startYear = fy - 1;
+  const endMonth = startMonth - 1;
+  return { from: ymd(startYear, startMonth, 1), to: ymd(fy, endMonth, lastDay(fy, endMonth)) };
+}
+
+function periodRange(period, now) {
+  const year = now.getFullYear();
+  const month = now.getMonth() + 1;
+  const today = toDateString(now);
+  const quarter = Math.floor((month - 1) / 3) + 1;
+
+  // Weeks run Monday to Sunday
+  const monday = new Date(year, month - 1, now.getDate() - ((now.getDay() + 6) % 7));
+  const daysFrom = (date, days) => toDateString(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days));
+
+  switch (period) {
+    case "thisWeek": return { from: toDateString(monday), to: today, label: "this week" };
+    case "lastWeek": {
+      const from = daysFrom(monday, -7);
+      return { from, to: daysFrom(monday, -1), label: `the week of ${from}` };
+    }
+    case "thisMonth": return { from: ymd(year, month, 1), to: today, label: "month to date" };
+    case "lastMonth": {
+      const d = new Date(year, month - 2, 1);
+      return { ...monthRange(d.getFullYear(), d.getMonth() + 1), label: `${MONTH_NAMES[d.getMonth()]} ${d.getFullYear()}` };
+    }
+    case "thisQuarter": return { from: quarterRange(year, quarter).from, to: today, label: `Q${quarter} ${year} to date` };
+    case "lastQuarter": {
+      const q = quarter === 1 ? 4 : quarter - 1;
+      const y = quarter === 1 ? year - 1 : year;
+      return { ...quarterRange(y, q), label: `Q${q} ${y}` };
+    }
+    case "ytd": return { from: `${year}-01-01`, to: today, label: `${year} year to date` };
+    case "thisYear": return { from: `${year}-01-01`, to: `${year}-12-31`, label: String(year) };
+    case "lastYear": return { from: `${year - 1}-01-01`, to: `${year - 1}-12-31`, label: String(year - 1) };
+    default: return null;
+  }
+}
+
+// The most specific date filter wins: exact date, explicit range, month, quarter, last N days, period, fiscal year, year
+export function resolveDateRange(parsed, now = new Date(), { fiscalStartMonth = FISCAL_YEAR_START_MONTH } = {}) {
+  if (parsed.date) return { from: parsed.date, to: parsed.date, label: parsed.date };
+
+  if (parsed.dateFrom || parsed.dateTo) {
+    const from = parsed.dateFrom || "0000-01-01";
+    const to = parsed.dateTo || toDateString(now);
+    return { from, to, label: `${parsed.dateFrom || "the beginning"} to ${parsed.dateTo || "today"}` };
+  }
+
+  if (parsed.month) {
+    const [y, m] = parsed.month.split("-").map(Number);
+    return { ...monthRange(y, m), label: `${MONTH_NAMES[m - 1]} ${y}` };
+  }
+
+  if (parsed.quarter) {
+    const [y, q] = parsed.quarter.split("-Q").map(Number);
+    return { ...quarterRange(y, q), label: `Q${q} ${y}` };
+  }
+
+  if (parsed.lastNDays) {
+    const from = new Date(now);
+    from.setDate(from.getDate() - (parsed.lastNDays - 1));
+    return { from: toDateString(from), to: toDateString(now), label: `last ${parsed.lastNDays} days` };
+  }
+
+  if (parsed.period) return periodRange(parsed.period, now);
+
+  if (parsed.fiscalYear) {
+    return { ...fiscalYearRange(Number(parsed.fiscalYear), fiscalStartMonth), label: `FY${parsed.fiscalYear}` };
+  }
+
+  if (parsed.year) return { from: `${parsed.year}-01-01`, to: `${parsed.year}-12-31`, label: String(parsed.year) };
+
+  return null;
+}
+
+// Readable label for an arbitrary range: a whole month, quarter or year gets its name
+export function rangeLabel(from, to) {
+  const [fy, fm, fd] = from.split("-").map(Number);
+  const [ty, tm, td] = to.split("-").map(Number);
+  const wholeMonths = fd === 1 && td === lastDay(ty, tm);
+  const months = (ty - fy) * 12 + tm - fm + 1;
+  if (wholeMonths && months === 1) return `${MONTH_NAMES[fm - 1]} ${fy}`;
+  if (wholeMonths && months === 3 && (fm - 1) % 3 === 0) return `Q${(fm - 1) / 3 + 1} ${fy}`;
+  if (wholeMonths && months === 12 && fm === 1) return String(fy);
+  return from === to ? from : `${from} to ${to}`;
+}
+
+// Whether an order's creation date falls inside the range
+export function inDateRange(order, range) {
+  const day = toDateString(order.date_created);
+  return !!day && day >= range.from && day <= range.to;
+}
+
+// "Q1 2025", "2025 q1", "2025-Q1", "first quarter of 2025" -> "2025-Q1"
+export function parseQuarter(text, now = new Date()) {
+  const words = { first: 1, second: 2, third: 3, fourth: 4, "1st": 1, "2nd": 2, "3rd": 3, "4th": 4 };
+  const t = String(text).toLowerCase();
+  const year = t.match(/\b(20\d{2})\b/)?.[1] || String(now.getFullYear());
+  const q = t.match(/\bq([1-4])\b/)?.[1] || t.match(/-q([1-4])\b/)?.[1]
+    || words[t.match(/\b(first|second|third|fourth|1st|2nd|3rd|4th) quarter\b/)?.[1]];
+  return q ? `${year}-Q${q}` : null;
+}
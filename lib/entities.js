@@ -0,0 +1,216 @@
+// Entity index: resolves the customer, sales rep and division names users type to the names
+// in the sales data. Matching ignores case, accents, punctuation and word order ("dela cruz,
+// juan" is "JUAN DELA CRUZ"), accepts other names from an alias table, and tolerates partial
+// names and typos ("juan", "jolibee"). Names that fit several entities equally well come back
+// as candidates, so the caller can ask which one was meant.
+import fs from "fs";
+
+export const ENTITY_KINDS = ["customer", "salesRep", "division"];
+
+// Company words that are written several ways
+const WORD_ALIASES = {
+  corporation: "corp",
+  incorporated: "inc",
+  company: "co",
+  limited: "ltd",
+  philippines: "phil",
+  phils: "phil"
+};
+
+const MIN_SCORE = 0.75;        // weaker matches are not offered at all
+const AMBIGUITY_MARGIN = 0.05; // candidates this close to the best one are asked about
+const MAX_CANDIDATES = 4;
+const PREFIX_SCORE = 0.85;     // "jolli" for "jollibee"
+const MIN_WORD_SIMILARITY = 0.75;
+
+// Up to three words after a word that introduces a name ("orders for juan", "benta ni juan")
+const CUE = /\b(?:for|by|of|from|about|ni|kay|nina|ng|customer|client|rep|agent)\s+(?=([^\s,?.!]+(?:\s+[^\s,?.!]+){0,2}))/gi;
+// The same for divisions ("orders in signage", "benta sa CNC"), and up to three words before
+// "division" or "department" ("signage division")
+const DIVISION_CUE = /\b(?:in|for|from|division|department|dept|sa)\s+(?=([^\s,?.!]+(?:\s+[^\s,?.!]+){0,2}))/gi;
+const DIVISION_SUFFIX = /(?:^|[\s,?.!])(?=((?:[^\s,?.!]+\s+){1,3})(?:division|department|dept)\b)/gi;
+
+// Lowercase words without accents or punctuation
+function words(text) {
+  return String(text ?? "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(word => WORD_ALIASES[word] || word);
+}
+
+// The same key for every way of writing a name
+export function normalizeName(text) {
+  return words(text).sort().join(" ");
+}
+
+// Edit distance counting a swap of two neighbouring letters as one edit ("jaun" -> "juan")
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// How well one typed word fits one word of a name, 0 to 1
+function wordSimilarity(typed, word) {
+  if (typed === word) return 1;
+  if (typed.length >= 3 && word.startsWith(typed)) return PREFIX_SCORE;
+  const longest = Math.max(typed.length, word.length);
+  // Short words (codes like "CNC") have to be typed exactly
+  if (longest < 4) return 0;
+  const similarity = 1 - editDistance(typed, word) / longest;
+  return similarity >= MIN_WORD_SIMILARITY ? similarity : 0;
+}
+
+// Every typed word has to fit a different word of the name. Names with fewer words left
+// over rank a little higher, so "juan" prefers "Juan Santos" to "Juan Dela Cruz" only slightly.
+function score(typed, entity) {
+  const used = new Set();
+  let total = 0;
+  for (const word of typed) {
+    let best = 0;
+    let bestIndex = -1;
+    entity.words.forEach((candidate, i) => {
+      if (used.has(i)) return;
+      const similarity = wordSimilarity(word, candidate);
+      if (similarity > best) [best, bestIndex] = [similarity, i];
+    });
+    if (!best) return 0;
+    used.add(bestIndex);
+    total += best;
+  }
+  return (total / typed.length) * (0.9 + 0.1 * (used.size / entity.words.length));
+}
+
+// Aliases from ENTITY_ALIASES_FILE: { "customer": { "JFC": "Jollibee Foods" }, "salesRep": { "Jun": "JUAN DELA CRUZ" } }
+export function loadEntityAliases(file) {
+  if (!file) return {};
+  try {
+    const aliases = JSON.parse(fs.readFileSync(file, "utf-8"));
+    console.log(`✅ Loaded entity aliases from ${file}`);
+    return aliases && typeof aliases === "object" ? aliases : {};
+  } catch (err) {
+    console.warn(`Could not read entity aliases from ${file}: ${err.message}`);
+    return {};
+  }
+}
+
+// Index of the distinct customer, sales rep and division values in `orders`
+export function createEntityIndex(orders, aliases = {}) {
+  const kinds = {};
+  const keys = new Map();
+  const keyOf = (value) => {
+    if (!keys.has(value)) keys.set(value, normalizeName(value));
+    return keys.get(value);
+  };
+
+  for (const kind of ENTITY_KINDS) {
+    // Spellings of one entity are grouped by key; the most common one is its name
+    const byKey = new Map();
+    for (const order of orders) {
+      const value = order[kind];
+      if (!value) continue;
+      const key = keyOf(value);
+      if (!key) continue;
+      const entity = byKey.get(key) || { key, words: words(value), spellings: new Map() };
+      entity.spellings.set(value, (entity.spellings.get(value) || 0) + 1);
+      byKey.set(key, entity);
+    }
+    for (const entity of byKey.values()) {
+      entity.name = [...entity.spellings].sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    const aliasKeys = new Map();
+    const aliasNames = [];
+    for (const [alias, target] of Object.entries(aliases[kind] || {})) {
+      const entity = byKey.get(keyOf(target));
+      if (!entity || !keyOf(alias)) continue;
+      aliasKeys.set(keyOf(alias), entity);
+      aliasNames.push({ ...entity, words: words(alias) });
+    }
+    kinds[kind] = { byKey, aliasKeys, aliasNames, entities: [...byKey.values()] };
+  }
+
+  // { status: "match", name } | { status: "ambiguous", candidates: [name] } | { status: "none" }.
+  // `within` limits the answer to entities with one of those values (e.g. a user's data scope).
+  function resolve(kind, text, { within = null } = {}) {
+    const { byKey, aliasKeys, entities } = kinds[kind];
+    const allowedKeys = within && new Set([...within].map(keyOf));
+    const allowed = (entity) => !allowedKeys || allowedKeys.has(entity.key);
+    const key = keyOf(text);
+    const exact = byKey.get(key) || aliasKeys.get(key);
+    if (exact && allowed(exact)) return { status: "match", name: exact.name };
+
+    const typed = words(text);
+    if (!typed.length) return { status: "none" };
+    const ranked = entities
+      .filter(allowed)
+      .map(entity => ({ entity, score: score(typed, entity) }))
+      .filter(m => m.score >= MIN_SCORE)
+      .sort((a, b) => b.score - a.score);
+    if (!ranked.length) return { status: "none" };
+    const close = ranked.filter(m => m.score >= ranked[0].score - AMBIGUITY_MARGIN);
+    if (close.length === 1) return { status: "match", name: close[0].entity.name };
+    return { status: "ambiguous", candidates: close.slice(0, MAX_CANDIDATES).map(m => m.entity.name) };
+  }
+
+  // A name the question mentions, for the rule-based parser: a whole name, or the words after
+  // "for", "ni", "kay", ... when they fit one. Customer and sales rep names may come in any word
+  // order; division names are often ordinary words ("Print", "Digital Media"), so without a cue
+  // their words have to appear together and in order. Returns the text to resolve, or null.
+  function mention(kind, question) {
+    const typed = words(question);
+    const present = new Set(typed);
+    const phrase = ` ${typed.join(" ")} `;
+    const { entities, aliasNames } = kinds[kind];
+    const mentioned = kind === "division"
+      ? (entity) => phrase.includes(` ${entity.words.join(" ")} `)
+      : (entity) => entity.words.every(word => present.has(word));
+    const whole = [...entities, ...aliasNames]
+      .filter(entity => entity.name !== "Unknown" && mentioned(entity))
+      .sort((a, b) => b.words.length - a.words.length)[0];
+    if (whole) return whole.name;
+
+    // Try the longest run of words that fits: "juan santos this month" -> "juan santos"
+    const fits = (runs) => runs.find(text => resolve(kind, text).status !== "none") || null;
+    const after = (match) => {
+      const following = match[1].trim().split(/\s+/);
+      return following.map((_, i) => following.slice(0, following.length - i).join(" "));
+    };
+    if (kind !== "division") {
+      for (const cue of String(question).matchAll(CUE)) {
+        const found = fits(after(cue));
+        if (found) return found;
+      }
+      return null;
+    }
+    for (const cue of String(question).matchAll(DIVISION_CUE)) {
+      const found = fits(after(cue));
+      if (found) return found;
+    }
+    // "... signage division": the runs ending right before the cue, longest first
+    for (const cue of String(question).matchAll(DIVISION_SUFFIX)) {
+      const preceding = cue[1].trim().split(/\s+/);
+      const found = fits(preceding.map((_, i) => preceding.slice(i).join(" ")));
+      if (found) return found;
+    }
+    return null;
+  }
+
+  // The candidate a reply to "Did you mean ...?" picks, or null
+  function pick(kind, candidates, text) {
+    const match = resolve(kind, text, { within: candidates });
+    return match.status === "match" ? match.name : null;
+  }
+
+  return { keyOf, resolve, mention, pick, size: (kind) => kinds[kind].entities.length };
+}
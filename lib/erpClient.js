@@ -0,0 +1,152 @@
+// ERP sales order API client: per-request timeouts, retries with exponential backoff,
+// a request rate limit and a page cap, so a failed fetch is never mistaken for "no orders"
+import nodeFetch from "node-fetch";
+
+// Raised for every failed ERP call. `retryable` errors (timeouts, network, 429, 5xx) are
+// retried; `fatal` ones (missing config, rejected token) mean later requests will fail too.
+export class ErpError extends Error {
+  constructor(message, { status = null, retryable = false, fatal = false } = {}) {
+    super(message);
+    this.name = "ErpError";
+    this.status = status;
+    this.retryable = retryable;
+    this.fatal = fatal;
+  }
+}
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function createErpClient({
+  url,
+  token,
+  fetch = nodeFetch,
+  timeoutMs = 30_000,          // per request, including reading the body
+  maxRetries = 3,
+  backoffMs = 1_000,           // first retry delay; doubles each attempt, with jitter
+  maxBackoffMs = 30_000,
+  minIntervalMs = 250,         // at most one request started per interval
+  pageSize = 500,
+  maxPages = 200,              // 100k rows per range; more means the ERP ignores offset
+  sleep = defaultSleep
+}) {
+  let nextSlot = 0;
+
+  // Reserve the next request slot synchronously so concurrent callers queue up too
+  async function throttle() {
+    const now = Date.now();
+    const wait = Math.max(0, nextSlot - now);
+    nextSlot = Math.max(now, nextSlot) + minIntervalMs;
+    if (wait) await sleep(wait);
+  }
+
+  async function attempt(payload) {
+    await throttle();
+    let res;
+    let body;
+    try {
+      res = await fetch(url, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      body = await res.text();
+    } catch (err) {
+      const timedOut = err.name === "TimeoutError" || err.name === "AbortError";
+      throw new ErpError(timedOut ? `ERP request timed out after ${timeoutMs} ms` : `ERP request failed: ${err.message}`, { retryable: true });
+    }
+
+    if (res.status === 401 || res.status === 403) {
+      throw new ErpError(`ERP rejected the token (HTTP ${res.status}); check ERP_TOKEN`, { status: res.status, fatal: true });
+    }
+    if (res.status === 429 || res.status >= 500) {
+      const error = new ErpError(`ERP answered HTTP ${res.status}`, { status: res.status, retryable: true });
+      error.retryAfterMs = Number(res.headers.get("retry-after")) * 1000 || null;
+      throw error;
+    }
+    if (!res.ok) throw new ErpError(`ERP answered HTTP ${res.status}: ${body.slice(0, 200)}`, { status: res.status });
+
+    let json;
+    try {
+      json = JSON.parse(body);
+    } catch {
+      throw new ErpError(`ERP returned invalid JSON: ${body.slice(0, 200)}`, { status: res.status, retryable: true });
+    }
+    // Sales orders arrive as data[0]; an empty result is { data: [] } or { data: [[]] }
+    if (!Array.isArray(json?.data) || (json.data.length && !Array.isArray(json.data[0]))) {
+      throw new ErpError(`Unexpected ERP response: ${body.slice(0, 200)}`, { status: res.status });
+    }
+    return json.data[0] || [];
+  }
+
+  // One page of raw ERP rows, retrying transient failures
+  async function request(payload) {
+    if (!url) throw new ErpError("ERP_API is not configured", { fatal: true });
+    for (let retry = 0; ; retry++) {
+      try {
+        return await attempt(payload);
+      } catch (err) {
+        if (!err.retryable || retry >= maxRetries) throw err;
+        const delay = err.retryAfterMs || Math.min(maxBackoffMs, backoffMs * 2 ** retry) * (0.5 + Math.random() / 2);
+        console.warn(`${err.message}; retrying in ${Math.round(delay)} ms (${retry + 1}/${maxRetries})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Every page for a query. Throws rather than returning a partial list.
+  async function fetchAll(payload) {
+    let rows = [];
+    let previousFirst = null;
+    for (let page = 0; ; page++) {
+      if (page >= maxPages) {
+        throw new ErpError(`ERP returned more than ${maxPages} pages of ${pageSize} rows; raise ERP_MAX_PAGES if that is expected`);
+      }
+      const list = await request({ ...payload, limit: pageSize, offset: page * pageSize });
+      // An ERP that ignores offset would send the first page forever
+      const first = list[0]?.so_pk;
+      if (page > 0 && first != null && first === previousFirst) {
+        throw new ErpError(`ERP returned the same page twice at offset ${page * pageSize}`);
+      }
+      previousFirst = first;
+      rows = rows.concat(list);
+      if (list.length < pageSize) return rows;
+    }
+  }
+
+  return { request, fetchAll };
+}
+
+// Sales order list query for one date range (limit/offset are added per page)
+export function salesOrderQuery(range, env = process.env) {
+  return {
+    empl_pk: env.EMPL_PK,
+    preparedBy: env.PREPARED_BY,
+    viewAll: 1,
+    searchKey: "",
+    customerPK: null,
+    departmentPK: null,
+    filterDate: {
+      filter: "range",
+      date1: { hide: false, date: range.from },
+      date2: { hide: false, date: range.to }
+    },
+    locationPK: env.LOCATION_PK,
+    salesRepPK: null,
+    status: ""
+  };
+}
+
+// Client settings from the environment
+export function erpClientFromEnv(env = process.env) {
+  const number = (key, fallback) => (env[key] === undefined || env[key] === "" ? fallback : Number(env[key]));
+  return createErpClient({
+    url: env.ERP_API,
+    token: env.ERP_TOKEN,
+    timeoutMs: number("ERP_TIMEOUT_MS", 30_000),
+    maxRetries: number("ERP_MAX_RETRIES", 3),
+    backoffMs: number("ERP_BACKOFF_MS", 1_000),
+    minIntervalMs: number("ERP_MIN_INTERVAL_MS", 250),
+    maxPages: number("ERP_MAX_PAGES", 200)
+  });
+}
@@ -0,0 +1,8 @@
+// Number formatting shared by chat answers, PDFs, spreadsheets, reports and alerts
+
+// "₱1,200.00"; every peso amount shown to users goes through here
+const pesoFormats = new Map();
+export function formatPeso(amount, locale = "en-PH") {
+  if (!pesoFormats.has(locale)) pesoFormats.set(locale, new Intl.NumberFormat(locale, { style: "currency", currency: "PHP" }));
+  return pesoFormats.get(locale).format(amount);
+}
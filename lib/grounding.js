@@ -0,0 +1,144 @@
+// Grounded answers for general questions: an exact summary of the matching orders as
+// numbered facts the model must cite ([F1], [F2], ...), so data figures can be told apart
+// from anything the model adds itself
+import { bookedOrders, weightedGp, toDateString } from "./salesOrders.js";
+import { resolveDateRange } from "./dateRange.js";
+import { localizer } from "./i18n.js";
+import { formatPeso } from "./format.js";
+
+// Largest groups listed one by one; the rest are combined into one fact
+const MAX_GROUP_FACTS = 8;
+const MAX_MONTH_FACTS = 12;
+
+const GROUPS = [
+  ["status", "Status"],
+  ["division", "Division"],
+  ["salesRep", "Sales rep"],
+  ["customer", "Customer"]
+];
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+function groupTotals(orders, key) {
+  const groups = new Map();
+  for (const o of orders) {
+    const name = key(o) || "Unknown";
+    const group = groups.get(name) || { name, orders: 0, amount: 0 };
+    group.orders++;
+    group.amount += o.amount || 0;
+    groups.set(name, group);
+  }
+  return [...groups.values()].sort((a, b) => b.amount - a.amount);
+}
+
+// The question's filters in words, e.g. "2025, customer Acme Corp"
+export function describeFilters(parsed = {}) {
+  const parts = [];
+  const range = resolveDateRange(parsed);
+  if (range) parts.push(range.label || `${range.from} to ${range.to}`);
+  if (parsed.customer) parts.push(`customer ${parsed.customer}`);
+  if (parsed.salesRep) parts.push(`sales rep ${parsed.salesRep}`);
+  if (parsed.division) parts.push(`division ${parsed.division}`);
+  if (parsed.status) parts.push(`status ${parsed.status}`);
+  return parts.join(", ");
+}
+
+// Totals, date coverage and group breakdowns of every matching order (not a sample),
+// as { filters, orderCount, facts: [{ id, text }] }
+export function buildDataContext(orders, parsed = {}) {
+  const facts = [];
+  const add = (text) => facts.push({ id: `F${facts.length + 1}`, text });
+  const filters = describeFilters(parsed);
+
+  if (!orders.length) {
+    add(`No sales orders match${filters ? ` (${filters})` : ""}.`);
+    return { filters, orderCount: 0, facts };
+  }
+
+  const days = orders.map(o => toDateString(o.date_created)).filter(Boolean).sort();
+  const total = orders.reduce((sum, o) => sum + (o.amount || 0), 0);
+  add(`Matching sales orders: ${orders.length}${days.length ? `, created ${days[0]} to ${days[days.length - 1]}` : ""}`);
+  add(`Total amount of all matching orders: ${formatPeso(total)}`);
+
+  const booked = bookedOrders(orders);
+  const bookedTotal = booked.reduce((sum, o) => sum + (o.amount || 0), 0);
+  add(`Booked sales (billed, delivered or in process): ${plural(booked.length, "order")}, ${formatPeso(bookedTotal)}`);
+  if (booked.length) add(`Amount-weighted GP rate of booked sales: ${weightedGp(booked).toFixed(2)}%`);
+
+  for (const [key, label] of GROUPS) {
+    const groups = groupTotals(orders, o => o[key]);
+    for (const g of groups.slice(0, MAX_GROUP_FACTS)) {
+      add(`${label} ${g.name}: ${plural(g.orders, "order")}, ${formatPeso(g.amount)}`);
+    }
+    const rest = groups.slice(MAX_GROUP_FACTS);
+    if (rest.length) {
+      const restOrders = rest.reduce((sum, g) => sum + g.orders, 0);
+      const restAmount = rest.reduce((sum, g) => sum + g.amount, 0);
+      add(`${rest.length} other ${label.toLowerCase()} values combined: ${plural(restOrders, "order")}, ${formatPeso(restAmount)}`);
+    }
+  }
+
+  // Most recent months of booked sales, oldest first
+  const months = groupTotals(booked, o => toDateString(o.date_created)?.slice(0, 7))
+    .filter(m => m.name !== "Unknown")
+    .sort((a, b) => b.name.localeCompare(a.name))
+    .slice(0, MAX_MONTH_FACTS)
+    .reverse();
+  for (const m of months) add(`Booked sales in ${m.name}: ${plural(m.orders, "order")}, ${formatPeso(m.amount)}`);
+
+  return { filters, orderCount: orders.length, facts };
+}
+
+// The answer request: the citation rules as the system message, then the facts (kept in English)
+// and the question as user messages, the only ones the LLM layer masks customer names in
+export function groundingMessages(context, question, l = localizer()) {
+  const instructions = [
+    "You are an assistant for a company's ERP sales order data.",
+    "Answer the user's question using the data facts in the next message. They are exact and cover every matching order.",
+    "Any figure about the company's orders, sales, customers, sales reps or divisions must come from these facts",
+    "and be followed by its reference, e.g. \"₱1,200,000.00 [F2]\". Never estimate or invent such figures;",
+    "if the facts don't contain what is needed, say the data doesn't show it.",
+    "General knowledge (definitions, advice) is fine without a reference.",
+    l.instruction
+  ];
+  const data = [
+    `Orders covered: ${context.filters || "all orders the user may see"}`,
+    "Data facts:",
+    ...context.facts.map(f => `${f.id}: ${f.text}`)
+  ];
+  return [
+    { role: "system", content: instructions.join("\n") },
+    { role: "user", content: data.join("\n") },
+    { role: "user", content: question }
+  ];
+}
+
+const CITATION = /\[(F\d+)\]/g;
+const HAS_CITATION = /\[F\d+\]/;
+
+// Which facts an answer cites, and whether it states numbers that cite none
+export function answerSources(text, context) {
+  const byId = new Map(context.facts.map(f => [f.id, f]));
+  const cited = [...new Set([...text.matchAll(CITATION)].map(m => m[1]))].filter(id => byId.has(id));
+  const uncited = text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .some(sentence => !HAS_CITATION.test(sentence) && /\d/.test(sentence));
+  return { data: cited.map(id => byId.get(id)), modelFigures: uncited };
+}
+
+// The answer with the cited facts listed under it and a note on uncited numbers
+export function withSources(text, sources, l = localizer()) {
+  const lines = [text.trim()];
+  if (sources.data.length) {
+    lines.push("", l.t("sourcesHeading"), ...sources.data.map(f => `[${f.id}] ${f.text}`));
+  }
+  if (sources.modelFigures) {
+    lines.push("", l.t("modelFigures"));
+  }
+  return lines.join("\n");
+}
+
+// Offline answer: the facts themselves
+export function factsAnswer(context) {
+  return context.facts.map(f => `- ${f.text}`).join("\n");
+}
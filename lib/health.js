@@ -0,0 +1,86 @@
+// Health, readiness and data freshness for /health, /ready and chat answers
+import { localizer } from "./i18n.js";
+
+const MINUTE_MS = 60 * 1000;
+const CHECK_TIMEOUT_MS = 3_000;
+
+// "45 seconds", "12 minutes", "3 hours", "2 days" (or "2 araw" in Filipino)
+export function describeAge(ms, l = localizer()) {
+  const units = [["day", 24 * 60 * MINUTE_MS], ["hour", 60 * MINUTE_MS], ["minute", MINUTE_MS], ["second", 1000]];
+  for (const [unit, size] of units) {
+    const count = Math.floor(ms / size);
+    if (count >= 1) return l.t("age", count, unit);
+  }
+  return l.t("age", 0, "second");
+}
+
+// Warning for answers built on old data; null while the last successful sync is recent
+export function stalenessWarning(lastSyncAt, { staleAfterMs, now = new Date(), language = "en" }) {
+  const l = localizer(language);
+  if (!lastSyncAt) return l.t("notSynced");
+  const age = now - new Date(lastSyncAt);
+  if (age < staleAfterMs) return null;
+  return l.t("staleData", describeAge(age, l));
+}
+
+// Put the warning in front of a text answer; tables, charts and files keep it in `warning`
+// for the UI (and report messages) to show on its own
+export function withWarning(answer, warning) {
+  if (!warning) return answer;
+  if (answer.type !== "text") return { ...answer, warning };
+  return { ...answer, data: `${warning}\n\n${answer.data}`, warning };
+}
+
+async function withTimeout(promise, ms) {
+  let timer;
+  try {
+    return await Promise.race([
+      promise,
+      new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`timed out after ${ms} ms`)), ms); })
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Every check with its own ok flag. The service is ready (can answer questions) once
+// storage responds and the cache is loaded; the other checks only degrade the status.
+export async function healthReport({ store, cache, sync, llm, erpConfigured, staleAfterMs, now = new Date() }) {
+  const database = { ok: true, backend: store.backend };
+  try {
+    await withTimeout(store.ping(), CHECK_TIMEOUT_MS);
+  } catch (err) {
+    Object.assign(database, { ok: false, error: err.message });
+  }
+
+  const syncStatus = sync.status();
+  const lastSuccessfulSyncAt = syncStatus.lastSuccessAt;
+  const stale = !!stalenessWarning(lastSuccessfulSyncAt, { staleAfterMs, now });
+
+  const checks = {
+    database,
+    llm: { ok: llm.disabled || llm.configured, configured: llm.configured, baseURL: llm.baseURL, models: llm.models, llmDisabled: llm.disabled },
+    erp: {
+      ok: erpConfigured && !syncStatus.lastError,
+      configured: erpConfigured,
+      syncing: syncStatus.running,
+      lastRunAt: syncStatus.lastRunAt,
+      lastError: syncStatus.lastError
+    },
+    data: {
+      ok: cache.ready && !stale,
+      loaded: cache.ready,
+      records: cache.records,
+      lastSuccessfulSyncAt,
+      stale
+    }
+  };
+
+  const ready = database.ok && cache.ready;
+  return {
+    status: Object.values(checks).every(c => c.ok) ? "ok" : ready ? "degraded" : "unavailable",
+    ready,
+    checkedAt: now,
+    checks
+  };
+}
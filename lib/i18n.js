@@ -0,0 +1,182 @@
+// Answer language: detection of Filipino/Taglish questions, the English and Filipino answer
+// texts, and peso, percent and date formatting in the matching locale
+import { franc } from "franc";
+import { formatPeso } from "./format.js";
+
+export const LANGUAGES = {
+  en: { locale: "en-PH", name: "English" },
+  fil: { locale: "fil-PH", name: "Filipino" }
+};
+
+// Filipino function words; two of them mark a Taglish question even when franc says English
+const FILIPINO_WORDS = /\b(ang|ng|mga|ni|kay|sa|ilan|ilang|magkano|ngayong|noong|nakaraang|buwan|taon|linggo|sino|alin|ano|po|ba|lang|naman|kahapon|ipakita|benta|kabuuang?)\b/g;
+
+// "en" or "fil" for a question; short or unclear text counts as English
+export function detectLanguage(text) {
+  const q = String(text || "").toLowerCase();
+  const markers = (q.match(FILIPINO_WORDS) || []).length;
+  if (markers >= 2) return "fil";
+  return markers && franc(q, { only: ["eng", "tgl"], minLength: 3 }) === "tgl" ? "fil" : "en";
+}
+
+// An explicit choice from the UI ("en", "fil") wins; "auto" or nothing detects it
+export function resolveLanguage(requested, question) {
+  return LANGUAGES[requested] ? requested : detectLanguage(question);
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+// "A or B", "A, B or C"
+const orList = (items, or) => (items.length < 2 ? items.join("") : `${items.slice(0, -1).join(", ")} ${or} ${items.at(-1)}`);
+
+// Answer texts by key. Values arrive already formatted.
+const MESSAGES = {
+  en: {
+    loading: () => "I'm still loading the sales order data. Please try again in a minute.",
+    noMatches: () => "No matching sales orders.",
+    didYouMean: (names) => `Did you mean ${orList(names, "or")}?`,
+    unknownName: (kind, name) => `I couldn't find a ${{ customer: "customer", salesRep: "sales rep", division: "division" }[kind]} named "${name}".`,
+    noOrder: (so) => `No sales order found for ${so}.`,
+    noSearchHits: (text) => `No sales orders mention "${text}".`,
+    noStatusChanges: (days) => `No sales orders changed status in the last ${days} days.`,
+    statusChange: (so, from, to, when) => `${so}: ${from} → ${to} on ${when}`,
+    whichOrder: () => "Which sales order? Please include the SO number.",
+    noHistory: (so) => `No history recorded for ${so}.`,
+    firstRecorded: (when, status, amount, gp) => `${when}: first recorded as ${status} - ${amount} - GP ${gp}`,
+    historyChange: (field, from, to) => `${{ status: "status", amount: "amount", gp: "GP" }[field]} ${from} → ${to}`,
+    countSummary: (count, amount, gp, highest) =>
+      `Total Sales Orders: ${count}\nTotal Amount: ${amount}\nWeighted GP Rate: ${gp}\nHighest GP Rate: ${highest}`,
+    detailLabels: () => ["SO Number", "Date", "Customer", "Sales Rep", "Division", "Status", "Amount", "GP Rate", "Contract", "Memo"],
+    notAvailable: () => "N/A",
+    searchSummary: (count, text, shown) =>
+      `${count} ${count === 1 ? "sales order mentions" : "sales orders mention"} "${text}"${shown ? ` (top ${shown} shown)` : ""}:`,
+    noDescription: () => "no description",
+    rankingLine: (rank, label, name, amount) => `Top ${rank} ${label}: ${name} - Total Amount: ${amount}`,
+    ranking: (key) => ({
+      salesRep: { label: "Sales Rep", line: "Sales Personnel", title: "Top Sales Personnel" },
+      customer: { label: "Customer", line: "Customer", title: "Top Customers" },
+      division: { label: "Division", line: "Division", title: "Top Divisions" }
+    })[key],
+    noMonthlySales: (rep, range) => `No valid sales orders found${rep ? ` for ${rep}` : ""}${range ? ` in ${range}` : ""}`,
+    monthlyTitle: (rep, range) => `Monthly Totals${rep ? ` - ${rep}` : ""}${range ? ` (${range})` : ""}`,
+    group: (key) => ({ division: "Division", customer: "Customer", salesRep: "Sales Rep", status: "Status" })[key] || "Total",
+    noSalesIn: (current, baseline) => `No sales in ${current} or ${baseline}.`,
+    compareTitle: (current, baseline, group) => `${current} vs ${baseline}${group ? ` by ${group.toLowerCase()}` : ""}`,
+    topOf: (shown, total) => ` (top ${shown} of ${total})`,
+    versus: (current, baseline, change) => `${current} vs ${baseline}, ${change}`,
+    total: () => "Total",
+    noChange: () => "no change",
+    newValue: () => "new",
+    noSalesFound: (range) => `No sales found in ${range}.`,
+    growthTitle: (interval, who, range) =>
+      `${{ month: "Month", quarter: "Quarter", year: "Year" }[interval]}-over-${interval} growth${who ? ` for ${who}` : ""} (${range})`,
+    interval: (interval) => ({ month: "Month", quarter: "Quarter", year: "Year" })[interval],
+    noBooked: () => "No booked sales orders match.",
+    orders: () => "Orders",
+    marginTitle: (group) => `Weighted GP${group ? ` by ${group.toLowerCase()}` : ""}`,
+    marginOverall: (title, gp, amount) => `${title}: ${gp} overall on ${amount}`,
+    marginLine: (name, gp, amount, orders) => `${name}: ${gp} on ${amount} (${plural(orders, "order")})`,
+    gpDistributionTitle: () => "GP distribution",
+    gpDistributionSummary: (count) => `GP distribution of ${count} sales orders:`,
+    bucketLine: (bucket, orders, amount) => `${bucket}: ${plural(orders, "order")} - ${amount}`,
+    lowMarginLine: (so, customer, gp, amount, rep) => `${so} - ${customer} - GP ${gp} on ${amount} - ${rep}`,
+    offlineFacts: (facts) => `Offline mode is on, so I can't answer free-form questions. Here is what the sales data shows:\n${facts}`,
+    sourcesHeading: () => "From your sales data:",
+    modelFigures: () => "Numbers without an [F#] reference come from the model, not your sales data.",
+    noToolAnswer: () => "I couldn't work that out from the sales orders.",
+    notSynced: () => "⚠️ Sales data has not been synced from the ERP yet, so these figures may be incomplete.",
+    staleData: (age) => `⚠️ Sales data was last synced ${age} ago, so recent changes may be missing.`,
+    age: (count, unit) => `${count} ${unit}${count === 1 ? "" : "s"}`
+  },
+  fil: {
+    loading: () => "Nilo-load ko pa ang sales order data. Pakisubukan ulit pagkalipas ng isang minuto.",
+    noMatches: () => "Walang tumugmang sales order.",
+    didYouMean: (names) => `Alin ang ibig mong sabihin: ${orList(names, "o")}?`,
+    unknownName: (kind, name) => `Wala akong nakitang ${{ customer: "customer", salesRep: "sales rep", division: "division" }[kind]} na "${name}".`,
+    noOrder: (so) => `Walang nakitang sales order para sa ${so}.`,
+    noSearchHits: (text) => `Walang sales order na bumabanggit ng "${text}".`,
+    noStatusChanges: (days) => `Walang sales order na nagbago ng status sa nakaraang ${days} araw.`,
+    statusChange: (so, from, to, when) => `${so}: ${from} → ${to} noong ${when}`,
+    whichOrder: () => "Aling sales order? Pakisama ang SO number.",
+    noHistory: (so) => `Walang naitalang history ang ${so}.`,
+    firstRecorded: (when, status, amount, gp) => `${when}: unang naitala bilang ${status} - ${amount} - GP ${gp}`,
+    historyChange: (field, from, to) => `${{ status: "status", amount: "halaga", gp: "GP" }[field]} ${from} → ${to}`,
+    countSummary: (count, amount, gp, highest) =>
+      `Kabuuang Sales Orders: ${count}\nKabuuang Halaga: ${amount}\nWeighted GP Rate: ${gp}\nPinakamataas na GP Rate: ${highest}`,
+    detailLabels: () => ["SO Number", "Petsa", "Customer", "Sales Rep", "Dibisyon", "Status", "Halaga", "GP Rate", "Kontrata", "Memo"],
+    notAvailable: () => "Wala",
+    searchSummary: (count, text, shown) =>
+      `${count} sales order ang bumabanggit ng "${text}"${shown ? ` (ipinapakita ang top ${shown})` : ""}:`,
+    noDescription: () => "walang paglalarawan",
+    rankingLine: (rank, label, name, amount) => `Top ${rank} ${label}: ${name} - Kabuuang Halaga: ${amount}`,
+    ranking: (key) => ({
+      salesRep: { label: "Sales Rep", line: "Sales Personnel", title: "Nangungunang Sales Personnel" },
+      customer: { label: "Customer", line: "Customer", title: "Nangungunang mga Customer" },
+      division: { label: "Dibisyon", line: "Dibisyon", title: "Nangungunang mga Dibisyon" }
+    })[key],
+    noMonthlySales: (rep, range) => `Walang nakitang valid na sales order${rep ? ` para kay ${rep}` : ""}${range ? ` sa ${range}` : ""}`,
+    monthlyTitle: (rep, range) => `Buwanang Kabuuan${rep ? ` - ${rep}` : ""}${range ? ` (${range})` : ""}`,
+    group: (key) => ({ division: "Dibisyon", customer: "Customer", salesRep: "Sales Rep", status: "Status" })[key] || "Kabuuan",
+    noSalesIn: (current, baseline) => `Walang benta sa ${current} o ${baseline}.`,
+    compareTitle: (current, baseline, group) => `${current} kumpara sa ${baseline}${group ? ` ayon sa ${group.toLowerCase()}` : ""}`,
+    topOf: (shown, total) => ` (top ${shown} sa ${total})`,
+    versus: (current, baseline, change) => `${current} kumpara sa ${baseline}, ${change}`,
+    total: () => "Kabuuan",
+    noChange: () => "walang pagbabago",
+    newValue: () => "bago",
+    noSalesFound: (range) => `Walang nakitang benta sa ${range}.`,
+    growthTitle: (interval, who, range) =>
+      `Paglago kada ${{ month: "buwan", quarter: "quarter", year: "taon" }[interval]}${who ? ` para kay ${who}` : ""} (${range})`,
+    interval: (interval) => ({ month: "Buwan", quarter: "Quarter", year: "Taon" })[interval],
+    noBooked: () => "Walang tumugmang booked na sales order.",
+    orders: () => "Mga Order",
+    marginTitle: (group) => `Weighted GP${group ? ` ayon sa ${group.toLowerCase()}` : ""}`,
+    marginOverall: (title, gp, amount) => `${title}: ${gp} sa kabuuang ${amount}`,
+    marginLine: (name, gp, amount, orders) => `${name}: ${gp} sa ${amount} (${orders} order)`,
+    gpDistributionTitle: () => "Distribusyon ng GP",
+    gpDistributionSummary: (count) => `Distribusyon ng GP ng ${count} sales order:`,
+    bucketLine: (bucket, orders, amount) => `${bucket}: ${orders} order - ${amount}`,
+    lowMarginLine: (so, customer, gp, amount, rep) => `${so} - ${customer} - GP ${gp} sa ${amount} - ${rep}`,
+    offlineFacts: (facts) => `Naka-offline mode, kaya hindi ako makakasagot ng malayang tanong. Ito ang ipinapakita ng sales data:\n${facts}`,
+    sourcesHeading: () => "Mula sa iyong sales data:",
+    modelFigures: () => "Ang mga numerong walang [F#] reference ay galing sa model, hindi sa iyong sales data.",
+    noToolAnswer: () => "Hindi ko iyon masagot mula sa mga sales order.",
+    notSynced: () => "⚠️ Hindi pa na-sync ang sales data mula sa ERP, kaya maaaring kulang ang mga numerong ito.",
+    staleData: (age) => `⚠️ Huling na-sync ang sales data ${age} na ang nakalipas, kaya maaaring wala pa ang mga bagong pagbabago.`,
+    age: (count, unit) => `${count} ${{ day: "araw", hour: "oras", minute: "minuto", second: "segundo" }[unit]}`
+  }
+};
+
+// Texts and formatters for one language; unknown languages get English
+export function localizer(language = "en") {
+  const lang = MESSAGES[language] ? language : "en";
+  const { locale } = LANGUAGES[lang];
+  const dateFormat = new Intl.DateTimeFormat(locale, { dateStyle: "medium" });
+  const dateTimeFormat = new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeStyle: "short" });
+  const monthFormat = new Intl.DateTimeFormat(locale, { month: "long", year: "numeric" });
+  const t = (key, ...args) => MESSAGES[lang][key](...args);
+  const peso = (amount) => formatPeso(amount, locale);
+  const sign = (n) => (n < 0 ? "-" : "+");
+
+  return {
+    language: lang,
+    locale,
+    name: LANGUAGES[lang].name,
+    // For LLM prompts that write the answer
+    instruction: lang === "fil"
+      ? "Answer in Filipino (Tagalog), the language the user asked in. Keep business terms such as sales order, GP and status names in English, as the users mix them."
+      : "Answer in English.",
+    t,
+    peso,
+    percent: (value) => `${Number(value).toFixed(2)}%`,
+    // YYYY-MM-DD strings are calendar days, not UTC midnights
+    date: (value) => dateFormat.format(typeof value === "string" ? new Date(`${value.slice(0, 10)}T00:00:00`) : value),
+    dateTime: (value) => dateTimeFormat.format(new Date(value)),
+    month: (yyyyMm) => monthFormat.format(new Date(`${yyyyMm}-01T00:00:00`)),
+    // "+₱1,200.00 (+15.0%)"; a change from zero has no percentage
+    change: (change, changePct) => {
+      if (!change) return t("noChange");
+      const pct = changePct == null ? t("newValue") : `${sign(changePct)}${Math.abs(changePct).toFixed(1)}%`;
+      return `${sign(change)}${peso(Math.abs(change))} (${pct})`;
+    }
+  };
+}
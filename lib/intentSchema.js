@@ -0,0 +1,320 @@
+// Strict schema for the parsed intent object (from GPT or the rule-based parser).
+// validateIntent coerces loose values into canonical ones and rejects what it cannot use.
+import { KNOWN_STATUSES, parseDates } from "./ruleParser.js";
+import { PERIODS, parseQuarter } from "./dateRange.js";
+import { GROUP_FIELDS, INTERVALS } from "./comparison.js";
+
+export const INTENTS = [
+  "count", "list", "sample", "topCustomers", "topDivision", "topSales",
+  "monthlyTotals", "statusChanges", "orderHistory", "detail", "search", "compare", "growth",
+  "margin", "gpDistribution", "lowestMargin", "general"
+];
+
+export const LIST_FIELDS = [
+  "so_number", "date_created", "customer", "salesRep", "division",
+  "status", "amount", "gp_rate", "memo", "contract_description"
+];
+
+const FORMATS = ["text", "pdf", "xlsx"];
+const GP_OPERATORS = [">", "<", ">=", "<=", "="];
+const MAX_TOP_N = 50;
+const MAX_DAYS = 366;
+const MAX_LAST_N_DAYS = 3660;
+const MAX_SEARCH_LENGTH = 200;
+
+const PERIOD_ALIASES = { mtd: "thisMonth", monthtodate: "thisMonth", qtd: "thisQuarter", yeartodate: "ytd" };
+
+const GROUP_ALIASES = { department: "division", dept: "division", client: "customer", rep: "salesRep", salesrep: "salesRep", agent: "salesRep" };
+
+const COMPARE_KEYWORDS = {
+  previousperiod: "previousPeriod", priorperiod: "previousPeriod", pop: "previousPeriod",
+  mom: "previousPeriod", monthovermonth: "previousPeriod", qoq: "previousPeriod", quarteroverquarter: "previousPeriod",
+  previousyear: "previousYear", yoy: "previousYear", yearoveryear: "previousYear", sameperiodlastyear: "previousYear"
+};
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+const CAPABILITIES = "I can count or list sales orders, show the top customers, divisions or sales reps, "
+  + "monthly totals, recent status changes, the details or history of a single order, "
+  + "search order memos and contract descriptions, compare periods and show growth, "
+  + "or analyze GP margins (weighted GP, GP distribution, lowest-margin orders).";
+
+class IntentError extends Error {
+  constructor(field, message, reply) {
+    super(`${field}: ${message}`);
+    this.field = field;
+    this.reply = reply;
+  }
+}
+
+const squash = (value) => String(value).toUpperCase().replace(/[\s_-]+/g, " ").trim();
+
+const blank = (value) => value == null || (typeof value === "string" && !value.trim());
+
+// Names and search text; objects, arrays and booleans are not text
+function coerceString(value, field) {
+  if (blank(value)) return null;
+  if (typeof value !== "string" && typeof value !== "number") {
+    const label = { salesRep: "sales rep", soNumber: "SO number", searchText: "search text" }[field] || field;
+    throw new IntentError(field, `invalid ${field} ${JSON.stringify(value)}`, `Sorry, I couldn't understand the ${label} in that question.`);
+  }
+  return String(value).trim();
+}
+
+function coerceIntent(value) {
+  if (blank(value)) return "general";
+  const key = String(value).replace(/[\s_-]/g, "").toLowerCase();
+  const intent = INTENTS.find(i => i.toLowerCase() === key);
+  if (!intent) {
+    throw new IntentError("intent", `unknown intent "${value}"`, `Sorry, I'm not sure what you're asking. ${CAPABILITIES}`);
+  }
+  return intent;
+}
+
+// "top 10", "10", 10, "three" -> 10 / 3, capped at MAX_TOP_N
+function coerceTopN(value) {
+  if (blank(value)) return null;
+  const text = String(value).toLowerCase();
+  const n = NUMBER_WORDS[text.replace(/^top\s+/, "")] ?? parseInt(text.replace(/^top\s+/, ""), 10);
+  if (!Number.isFinite(n) || n < 1) throw new IntentError("topN", `invalid topN "${value}"`, "How many results would you like to see?");
+  return Math.min(n, MAX_TOP_N);
+}
+
+// 20 | "20%" | "> 20%" | { operator, value } -> { operator, value }
+function coerceGpThreshold(value) {
+  if (blank(value)) return null;
+  let operator = ">=";
+  let amount = value;
+
+  if (typeof value === "object") {
+    operator = value.operator || ">=";
+    amount = value.value;
+  } else if (typeof value === "string") {
+    const m = value.trim().match(/^(>=|<=|>|<|=)?\s*(-?\d+(?:\.\d+)?)\s*%?$/);
+    if (!m) throw new IntentError("gpThreshold", `invalid GP threshold "${value}"`, "What GP rate should I compare against (e.g. below 20%)?");
+    operator = m[1] || ">=";
+    amount = m[2];
+  }
+
+  const number = Number(amount);
+  if (!GP_OPERATORS.includes(operator) || !Number.isFinite(number) || number < -100 || number > 100) {
+    throw new IntentError("gpThreshold", `invalid GP threshold ${JSON.stringify(value)}`, "What GP rate should I compare against (e.g. below 20%)?");
+  }
+  return { operator, value: number };
+}
+
+function coerceStatus(value, statuses) {
+  if (blank(value)) return null;
+  const candidates = [...new Set([...KNOWN_STATUSES, ...statuses])];
+  const wanted = squash(value);
+  const match = candidates.find(s => squash(s) === wanted)
+    || (wanted === "CANCELED" ? "CANCELLED" : null);
+  if (!match) {
+    throw new IntentError("status", `unknown status "${value}"`,
+      `I don't recognize the status "${value}". Known statuses: ${candidates.join(", ")}.`);
+  }
+  return match;
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Numeric dates the word parser only reads a year from: 09/03/2025 (month first) or 2025/09/03
+function numericDate(text) {
+  const monthFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (monthFirst) return `${monthFirst[3]}-${pad(monthFirst[1])}-${pad(monthFirst[2])}`;
+  const yearFirst = text.match(/^(\d{4})[/.](\d{1,2})[/.](\d{1,2})$/);
+  return yearFirst ? `${yearFirst[1]}-${pad(yearFirst[2])}-${pad(yearFirst[3])}` : null;
+}
+
+// Dates must exist as written: no rolling 2025-02-30 over into March or 2025-13 into 2026
+function realCalendarValue({ date, month, year }) {
+  if (date) {
+    const [, y, m, d] = date.match(/^(\d{4})-(\d{2})-(\d{2})$/) || [];
+    return !!y && m >= 1 && m <= 12 && d >= 1 && d <= daysInMonth(Number(y), Number(m));
+  }
+  if (month) {
+    const [, , m] = month.match(/^(\d{4})-(\d{2})$/) || [];
+    return m >= 1 && m <= 12;
+  }
+  return /^\d{4}$/.test(year);
+}
+
+// Any date wording -> exact day, month or year; a date without a day ("Sept 2025") becomes a month
+function coerceDates(raw, now) {
+  const result = { date: null, month: null, year: null };
+
+  for (const field of ["date", "month", "year"]) {
+    if (blank(raw[field])) continue;
+    const text = String(raw[field]).trim().toLowerCase();
+    let found = parseDates(text, now);
+
+    const yearMonth = text.match(/^(\d{4})-(\d{1,2})$/);
+    if (yearMonth) found = { date: null, month: `${yearMonth[1]}-${pad(yearMonth[2])}`, year: null };
+    else if (/^\d{4}$/.test(text)) found = { date: null, month: null, year: text };
+    else if (numericDate(text)) found = { date: numericDate(text), month: null, year: null };
+    if (!found.date && !found.month && !found.year) {
+      throw new IntentError(field, `invalid ${field} "${raw[field]}"`, `I couldn't understand the ${field} "${raw[field]}". Try something like "September 2025" or "2025-09-03".`);
+    }
+    if (!realCalendarValue(found)) {
+      throw new IntentError(field, `invalid ${field} "${raw[field]}"`, `"${raw[field]}" is not a valid date.`);
+    }
+    // The most specific value wins
+    result.date = result.date || found.date;
+    result.month = result.month || found.month;
+    result.year = result.year || found.year;
+  }
+
+  if (result.date) return { date: result.date, month: null, year: null };
+  if (result.month) return { date: null, month: result.month, year: null };
+  return result;
+}
+
+// Start or end day of a range bound ("March 2025" as dateTo -> 2025-03-31)
+function coerceBound(value, field, now) {
+  if (blank(value)) return null;
+  let found;
+  try {
+    found = coerceDates({ date: value }, now);
+  } catch (err) {
+    if (!(err instanceof IntentError)) throw err;
+    throw new IntentError(field, `invalid ${field} "${value}"`, `I couldn't understand the date "${value}". Try something like "2025-09-03".`);
+  }
+  const start = field === "dateFrom";
+  if (found.date) return found.date;
+  if (found.month) {
+    const [y, m] = found.month.split("-").map(Number);
+    return `${found.month}-${start ? "01" : pad(daysInMonth(y, m))}`;
+  }
+  return `${found.year}-${start ? "01-01" : "12-31"}`;
+}
+
+// Ranges, quarters, rolling windows, named periods and fiscal years
+function coerceRangeFields(raw, now) {
+  let dateFrom = coerceBound(raw.dateFrom, "dateFrom", now);
+  let dateTo = coerceBound(raw.dateTo, "dateTo", now);
+  if (dateFrom && dateTo && dateFrom > dateTo) [dateFrom, dateTo] = [dateTo, dateFrom];
+
+  let quarter = null;
+  if (!blank(raw.quarter)) {
+    quarter = parseQuarter(raw.quarter, now);
+    if (!quarter) throw new IntentError("quarter", `invalid quarter "${raw.quarter}"`, "Which quarter? For example \"Q1 2025\".");
+  }
+
+  let lastNDays = null;
+  if (!blank(raw.lastNDays)) {
+    lastNDays = parseInt(raw.lastNDays, 10);
+    if (!Number.isFinite(lastNDays) || lastNDays < 1) {
+      throw new IntentError("lastNDays", `invalid lastNDays "${raw.lastNDays}"`, "How many days back should I look?");
+    }
+    lastNDays = Math.min(lastNDays, MAX_LAST_N_DAYS);
+  }
+
+  let period = null;
+  if (!blank(raw.period)) {
+    const key = String(raw.period).replace(/[\s_-]/g, "").toLowerCase();
+    period = PERIODS.find(p => p.toLowerCase() === key) || PERIOD_ALIASES[key] || null;
+    if (!period) throw new IntentError("period", `unknown period "${raw.period}"`, `I don't know the period "${raw.period}".`);
+  }
+
+  let fiscalYear = null;
+  if (!blank(raw.fiscalYear)) {
+    const m = String(raw.fiscalYear).match(/(?:^|\D)(\d{4}|\d{2})\s*$/);
+    if (!m) throw new IntentError("fiscalYear", `invalid fiscal year "${raw.fiscalYear}"`, "Which fiscal year? For example \"FY2025\".");
+    fiscalYear = m[1].length === 2 ? 2000 + Number(m[1]) : Number(m[1]);
+  }
+
+  return { dateFrom, dateTo, quarter, lastNDays, period, fiscalYear };
+}
+
+function coerceGroupBy(value) {
+  if (blank(value)) return null;
+  const key = String(value).replace(/[\s_-]/g, "").toLowerCase();
+  const field = [key, key.replace(/s$/, "")]
+    .map(k => Object.keys(GROUP_FIELDS).find(f => f.toLowerCase() === k) || GROUP_ALIASES[k])
+    .find(Boolean);
+  if (!field) {
+    throw new IntentError("groupBy", `unknown groupBy "${value}"`, "I can break comparisons down by division, customer, sales rep or status.");
+  }
+  return field;
+}
+
+// "previousYear" / "previousPeriod" (or yoy, mom, ...), or the baseline's own date fields
+function coerceCompareTo(value, now) {
+  if (blank(value)) return null;
+  if (typeof value === "string") {
+    const keyword = COMPARE_KEYWORDS[value.replace(/[\s_-]/g, "").toLowerCase()];
+    if (keyword) return keyword;
+    const text = value.trim().toLowerCase();
+    if (/\bq[1-4]\b|quarter/.test(text)) value = { quarter: text };
+    else if (/\b(fy|fiscal)/.test(text)) value = { fiscalYear: text };
+    else value = { date: text };
+  }
+  if (typeof value !== "object") {
+    throw new IntentError("compareTo", `invalid compareTo ${JSON.stringify(value)}`, "Which period should I compare against?");
+  }
+
+  try {
+    const dates = { ...coerceDates(value, now), ...coerceRangeFields(value, now) };
+    const fields = Object.entries(dates).filter(([, v]) => v != null);
+    if (!fields.length) throw new IntentError("compareTo", "compareTo has no dates", "Which period should I compare against?");
+    return Object.fromEntries(fields);
+  } catch (err) {
+    if (!(err instanceof IntentError)) throw err;
+    throw new IntentError("compareTo", err.message, `I couldn't understand the period to compare against. Try something like "Q1 2024".`);
+  }
+}
+
+function coerceDays(value) {
+  if (blank(value)) return null;
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n) || n < 1) throw new IntentError("days", `invalid days "${value}"`, "How many days back should I look?");
+  return Math.min(n, MAX_DAYS);
+}
+
+function coerceFields(value) {
+  if (!Array.isArray(value)) return [];
+  const aliases = { gpRate: "gp_rate", so_upk: "so_number", sales_rep: "salesRep", customer_name: "customer", date: "date_created" };
+  return [...new Set(value.map(f => aliases[f] || f).filter(f => LIST_FIELDS.includes(f)))];
+}
+
+// Validate and normalize a parsed intent. Returns { ok, parsed } or { ok: false, errors, reply }.
+export function validateIntent(raw, { statuses = [] } = {}, now = new Date()) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { ok: false, errors: ["parsed intent is not an object"], reply: `Sorry, I couldn't understand that. ${CAPABILITIES}` };
+  }
+
+  try {
+    const parsed = {
+      intent: coerceIntent(raw.intent),
+      ...coerceDates(raw, now),
+      ...coerceRangeFields(raw, now),
+      status: coerceStatus(raw.status, statuses),
+      salesRep: coerceString(raw.salesRep, "salesRep"),
+      customer: coerceString(raw.customer, "customer"),
+      division: coerceString(raw.division, "division"),
+      gpThreshold: coerceGpThreshold(raw.gpThreshold),
+      topN: coerceTopN(raw.topN),
+      fields: coerceFields(raw.fields),
+      soNumber: coerceString(raw.soNumber, "soNumber")?.toUpperCase() || null,
+      searchText: coerceString(raw.searchText, "searchText")?.slice(0, MAX_SEARCH_LENGTH) || null,
+      groupBy: coerceGroupBy(raw.groupBy),
+      compareTo: coerceCompareTo(raw.compareTo, now),
+      direction: ["increase", "decrease"].includes(raw.direction) ? raw.direction : null,
+      interval: INTERVALS.includes(raw.interval) ? raw.interval : null,
+      days: coerceDays(raw.days),
+      format: FORMATS.includes(raw.format) ? raw.format : "text",
+      followUp: raw.followUp === true
+    };
+    if ((parsed.intent === "orderHistory" || parsed.intent === "detail") && !parsed.soNumber) {
+      throw new IntentError("soNumber", `${parsed.intent} needs an SO number`, "Which sales order? Please include the SO number.");
+    }
+    if (parsed.intent === "search" && !parsed.searchText) {
+      throw new IntentError("searchText", "search needs search text", "What should I search for? For example: search for \"boiler repair\".");
+    }
+    return { ok: true, parsed };
+  } catch (err) {
+    if (!(err instanceof IntentError)) throw err;
+    return { ok: false, errors: [err.message], reply: err.reply };
+  }
+}
@@ -0,0 +1,238 @@
+// LLM provider layer: one OpenAI-compatible client (api.openai.com, a locally hosted model or
+// scripts/mock-openai.js) with a model, timeout and retry setting per task, token and cost
+// accounting, a response cache and optional masking of customer names.
+//
+// Tasks: "parse" (question -> intent JSON), "answer" (grounded free-form answers) and
+// "tools" (the tool-calling pipeline).
+import crypto from "crypto";
+import OpenAI from "openai";
+import { addUsage } from "./audit.js";
+
+export const LLM_TASKS = ["parse", "answer", "tools"];
+
+// USD per million input / output tokens; LLM_PRICES adds or overrides models.
+// Models without a price (e.g. local ones) are counted as free.
+const DEFAULT_PRICES = {
+  "gpt-4o-mini": [0.15, 0.6],
+  "gpt-4o": [2.5, 10],
+  "gpt-4.1-mini": [0.4, 1.6],
+  "gpt-4.1": [2, 8]
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Swaps whole customer names for CUSTOMER_<n> placeholders on the way out and back on the way in.
+// Partial names a user types ("acme" for "Acme Corp") are not recognised and are sent as typed.
+export function createRedactor(names) {
+  const sorted = [...new Set(names.filter(n => n && n.length >= 3 && n !== "Unknown"))]
+    .sort((a, b) => b.length - a.length);
+  if (!sorted.length) return { mask: t => t, unmask: t => t };
+  const tokens = new Map(sorted.map((name, i) => [name.toLowerCase(), `CUSTOMER_${i + 1}`]));
+  const pattern = new RegExp(`(?<!\\w)(?:${sorted.map(escapeRegExp).join("|")})(?!\\w)`, "gi");
+  return {
+    mask: (text) => text.replace(pattern, match => tokens.get(match.toLowerCase()) || match),
+    unmask: (text) => text.replace(/CUSTOMER_(\d+)/g, (match, i) => sorted[i - 1] ?? match)
+  };
+}
+
+// Apply fn to every text an OpenAI message carries: content and tool call arguments
+function mapMessage(message, fn) {
+  const mapped = { ...message };
+  if (typeof message.content === "string") mapped.content = fn(message.content);
+  if (message.tool_calls) {
+    mapped.tool_calls = message.tool_calls.map(call => ({
+      ...call,
+      function: { ...call.function, arguments: fn(call.function.arguments || "") }
+    }));
+  }
+  return mapped;
+}
+
+export function createLlm({
+  apiKey,
+  baseURL,                     // any OpenAI-compatible endpoint; unset means api.openai.com
+  models,                      // { parse, answer, tools }
+  timeouts,                    // ms per task
+  maxRetries = {},             // SDK retries per task (default 2)
+  prices = {},                 // model -> [input, output] USD per million tokens
+  cacheSize = 500,             // cached responses; 0 turns the cache off
+  cacheTtlMs = 60 * 60 * 1000,
+  customerNames = null,        // () => names to mask in user, tool and assistant messages, or null
+  client = null                // injected OpenAI client (tests)
+}) {
+  const configured = !!(apiKey || baseURL || client);
+  // Local servers usually take any key, but the SDK insists on one
+  const openai = client || (configured ? new OpenAI({ apiKey: apiKey || "local", baseURL: baseURL || undefined }) : null);
+  const priceTable = { ...DEFAULT_PRICES, ...prices };
+  const cache = new Map();
+  const totals = {};
+  const cacheStats = { hits: 0, misses: 0 };
+  const since = new Date();
+  let redaction = { names: null, redactor: null };
+
+  function redactor() {
+    if (!customerNames) return null;
+    const names = customerNames();
+    // Names only change with the order cache, so rebuild the pattern when the list does
+    if (redaction.names !== names) redaction = { names, redactor: createRedactor(names) };
+    return redaction.redactor;
+  }
+
+  function count(task, usage, { cached = false } = {}) {
+    const model = models[task];
+    const entry = totals[task] ||= { model, requests: 0, cached: 0, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 };
+    entry.requests++;
+    if (cached) return entry.cached++;
+    if (!usage) return;
+    const [input, output] = priceTable[model] || [0, 0];
+    entry.prompt_tokens += usage.prompt_tokens || 0;
+    entry.completion_tokens += usage.completion_tokens || 0;
+    entry.cost_usd += ((usage.prompt_tokens || 0) * input + (usage.completion_tokens || 0) * output) / 1_000_000;
+  }
+
+  function cacheKey(body) {
+    return crypto.createHash("sha256").update(JSON.stringify(body)).digest("hex");
+  }
+
+  function cached(key) {
+    const hit = cache.get(key);
+    if (hit && hit.expires > Date.now()) {
+      // Re-insert so the Map's order stays least recently used first
+      cache.delete(key);
+      cache.set(key, hit);
+      cacheStats.hits++;
+      return hit.message;
+    }
+    if (hit) cache.delete(key);
+    cacheStats.misses++;
+    return null;
+  }
+
+  function remember(key, message) {
+    if (!cacheSize) return;
+    cache.set(key, { message, expires: Date.now() + cacheTtlMs });
+    while (cache.size > cacheSize) cache.delete(cache.keys().next().value);
+  }
+
+  // The request as sent: task model, masked names. The cache key is taken before masking and
+  // cached answers are kept unmasked, so a hit never depends on which placeholder a name had.
+  function prepare(task, request, useCache) {
+    if (!openai) throw new Error("No LLM is configured (set OPENAI_API_KEY or LLM_BASE_URL)");
+    const masker = redactor();
+    // System messages are our own instructions; names only arrive in user, tool and assistant messages
+    const messages = masker ? request.messages.map(m => (m.role === "system" ? m : mapMessage(m, masker.mask))) : request.messages;
+    const key = useCache && cacheSize ? cacheKey({ ...request, model: models[task] }) : null;
+    return { body: { ...request, model: models[task], messages }, masker, key };
+  }
+
+  const requestOptions = (task, signal) => ({ signal, timeout: timeouts[task], maxRetries: maxRetries[task] ?? 2 });
+
+  // One completion; returns the assistant message with names restored. `usage` is the
+  // caller's running token total. Only deterministic requests should set cache.
+  async function complete(task, request, { signal, usage, cache: useCache = false } = {}) {
+    const { body, masker, key } = prepare(task, request, useCache);
+    const hit = key && cached(key);
+    if (hit) {
+      count(task, null, { cached: true });
+      return hit;
+    }
+    const completion = await openai.chat.completions.create(body, requestOptions(task, signal));
+    addUsage(usage, completion.usage);
+    count(task, completion.usage);
+    const { message } = completion.choices[0];
+    const unmasked = masker ? mapMessage(message, masker.unmask) : message;
+    if (key) remember(key, unmasked);
+    return unmasked;
+  }
+
+  // A streamed text completion; onToken gets each piece as it arrives and the full text is returned
+  async function stream(task, request, { signal, usage, onToken, cache: useCache = false } = {}) {
+    const { body, masker, key } = prepare(task, request, useCache);
+    const unmask = masker ? masker.unmask : t => t;
+    const hit = key && cached(key);
+    if (hit) {
+      count(task, null, { cached: true });
+      const text = hit.content || "";
+      onToken(text);
+      return text;
+    }
+
+    const response = await openai.chat.completions.create(
+      { ...body, stream: true, stream_options: { include_usage: true } },
+      requestOptions(task, signal)
+    );
+    let raw = "";
+    let pending = "";
+    let streamUsage = null;
+    for await (const chunk of response) {
+      if (chunk.usage) streamUsage = chunk.usage; // only the last chunk carries usage
+      const delta = chunk.choices[0]?.delta?.content;
+      if (!delta) continue;
+      raw += delta;
+      pending += delta;
+      // Placeholders can be split across chunks, so hold back the last unfinished word
+      const cut = masker ? pending.search(/\S*$/) : pending.length;
+      if (cut > 0) {
+        onToken(unmask(pending.slice(0, cut)));
+        pending = pending.slice(cut);
+      }
+    }
+    if (pending) onToken(unmask(pending));
+    addUsage(usage, streamUsage);
+    count(task, streamUsage);
+    const text = unmask(raw);
+    if (key) remember(key, { role: "assistant", content: text });
+    return text;
+  }
+
+  // Requests, tokens and estimated cost per task since startup
+  function stats() {
+    const byTask = Object.fromEntries(Object.entries(totals).map(([task, t]) => [task, { ...t, cost_usd: Number(t.cost_usd.toFixed(6)) }]));
+    return {
+      since,
+      baseURL: baseURL || "https://api.openai.com/v1",
+      models,
+      redactCustomers: !!customerNames,
+      cache: { ...cacheStats, size: cache.size, maxSize: cacheSize },
+      byTask,
+      total_cost_usd: Number(Object.values(totals).reduce((sum, t) => sum + t.cost_usd, 0).toFixed(6))
+    };
+  }
+
+  return { configured, models, baseURL, complete, stream, stats };
+}
+
+// Settings from the environment. customerNames is only used with LLM_REDACT_CUSTOMERS=true.
+export function llmFromEnv(env = process.env, { customerNames } = {}) {
+  const number = (key, fallback) => (env[key] === undefined || env[key] === "" ? fallback : Number(env[key]));
+  const model = env.LLM_MODEL || "gpt-4o-mini";
+  const timeoutMs = number("LLM_TIMEOUT_MS", 30_000);
+  let prices = {};
+  if (env.LLM_PRICES) {
+    try {
+      prices = JSON.parse(env.LLM_PRICES);
+    } catch {
+      console.warn("LLM_PRICES is not valid JSON; using the default prices");
+    }
+  }
+  return createLlm({
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+    baseURL: env.LLM_BASE_URL || env.OPENAI_BASE_URL,
+    models: {
+      parse: env.LLM_PARSE_MODEL || model,
+      answer: env.LLM_ANSWER_MODEL || model,
+      tools: env.LLM_TOOLS_MODEL || model
+    },
+    timeouts: {
+      parse: number("PARSE_TIMEOUT_MS", 15_000),
+      answer: timeoutMs,
+      tools: timeoutMs
+    },
+    // A slow parse falls back to the local parser instead of retrying
+    maxRetries: { parse: 0 },
+    prices,
+    cacheSize: number("LLM_CACHE_SIZE", 500),
+    cacheTtlMs: number("LLM_CACHE_TTL_MINUTES", 60) * 60 * 1000,
+    customerNames: ["1", "true"].includes(String(env.LLM_REDACT_CUSTOMERS).toLowerCase()) ? customerNames : null
+  });
+}
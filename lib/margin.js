@@ -0,0 +1,47 @@
+// Margin analytics over normalized sales orders (gp_rate is a percentage)
+import { weightedGp } from "./salesOrders.js";
+
+// Upper bounds are exclusive; the last bucket is open-ended
+export const GP_BUCKETS = [
+  { label: "Below 0%", max: 0 },
+  { label: "0-10%", max: 10 },
+  { label: "10-20%", max: 20 },
+  { label: "20-30%", max: 30 },
+  { label: "30-40%", max: 40 },
+  { label: "40% and up", max: Infinity }
+];
+
+const gpAmount = (orders) => orders.reduce((sum, o) => sum + (o.amount || 0) * (o.gp_rate || 0) / 100, 0);
+
+// Weighted GP per group; "decrease" lists the thinnest margins first
+export function marginByGroup(orders, groupBy, direction = null) {
+  const groups = new Map();
+  for (const o of orders) {
+    const name = groupBy ? o[groupBy] || "Unknown" : "All orders";
+    (groups.get(name) ?? groups.set(name, []).get(name)).push(o);
+  }
+  const rows = [...groups.entries()].map(([name, list]) => ({
+    name,
+    orders: list.length,
+    amount: list.reduce((sum, o) => sum + (o.amount || 0), 0),
+    gpAmount: gpAmount(list),
+    gpRate: weightedGp(list)
+  }));
+  return rows.sort((a, b) => (direction === "decrease" ? a.gpRate - b.gpRate : b.gpRate - a.gpRate));
+}
+
+// Order count and amount per GP bucket
+export function gpDistribution(orders) {
+  const rows = GP_BUCKETS.map(b => ({ bucket: b.label, orders: 0, amount: 0 }));
+  for (const o of orders) {
+    const index = GP_BUCKETS.findIndex(b => (o.gp_rate || 0) < b.max);
+    rows[index].orders++;
+    rows[index].amount += o.amount || 0;
+  }
+  return rows;
+}
+
+// Thinnest-margin orders first
+export function lowestMarginOrders(orders, limit = 10) {
+  return [...orders].sort((a, b) => (a.gp_rate || 0) - (b.gp_rate || 0)).slice(0, limit);
+}
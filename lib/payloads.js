@@ -0,0 +1,212 @@
+// Typed chat answers. `data` always carries the plain-text summary so older clients keep working;
+// `table` ({ columns, rows }) and `chart` ({ kind, title, labels, series }) are for the chat UI to render.
+import { toDateString } from "./salesOrders.js";
+
+// Column types tell the UI how to format and sort: text, date, currency, percent, number
+const ORDER_COLUMNS = {
+  so_number: { key: "so_number", label: "SO Number", type: "text" },
+  date_created: { key: "date_created", label: "Date", type: "date" },
+  customer: { key: "customer", label: "Customer", type: "text" },
+  salesRep: { key: "salesRep", label: "Sales Rep", type: "text" },
+  division: { key: "division", label: "Division", type: "text" },
+  status: { key: "status", label: "Status", type: "text" },
+  amount: { key: "amount", label: "Amount", type: "currency" },
+  gp_rate: { key: "gp_rate", label: "GP Rate", type: "percent" },
+  memo: { key: "memo", label: "Memo", type: "text" },
+  contract_description: { key: "contract_description", label: "Contract", type: "text" }
+};
+
+const DEFAULT_ORDER_FIELDS = ["so_number", "date_created", "customer", "salesRep", "status", "amount", "gp_rate"];
+
+// Columns for search hits: the matched text matters more than the sales rep
+export const SEARCH_FIELDS = ["so_number", "date_created", "customer", "status", "amount", "contract_description", "memo"];
+
+// Reps shown as their own line in monthly charts; the rest are summed into "Others"
+const MAX_SERIES = 6;
+
+// Sales orders as a table with the requested (or default) columns
+export function orderTablePayload(summary, orders, fields = []) {
+  const columns = (fields.length ? fields : DEFAULT_ORDER_FIELDS).map(f => ORDER_COLUMNS[f]).filter(Boolean);
+  const rows = orders.map(o => Object.fromEntries(columns.map(c => [
+    c.key,
+    c.key === "date_created" ? toDateString(o.date_created) : o[c.key] ?? null
+  ])));
+  return { type: "table", data: summary, table: { columns, rows } };
+}
+
+// One order as a two-column field/value table; values arrive already formatted
+export function detailPayload(summary, details) {
+  return {
+    type: "table",
+    data: summary,
+    table: {
+      columns: [
+        { key: "field", label: "Field", type: "text" },
+        { key: "value", label: "Value", type: "text" }
+      ],
+      rows: details.map(([field, value]) => ({ field, value: String(value ?? "") }))
+    }
+  };
+}
+
+// Top-N ranking (customers, divisions, sales reps) as a bar chart plus its table
+export function rankingPayload(summary, { title, label }, entries) {
+  return {
+    type: "chart",
+    data: summary,
+    chart: {
+      kind: "bar",
+      title,
+      labels: entries.map(([name]) => name),
+      series: [{ name: "Total Amount", type: "currency", values: entries.map(([, amount]) => amount) }]
+    },
+    table: {
+      columns: [
+        { key: "rank", label: "#", type: "number" },
+        { key: "name", label, type: "text" },
+        { key: "amount", label: "Total Amount", type: "currency" }
+      ],
+      rows: entries.map(([name, amount], i) => ({ rank: i + 1, name, amount }))
+    }
+  };
+}
+
+// Monthly totals as a line chart with one series per sales rep, plus a month x rep table
+export function monthlyTotalsPayload(summary, title, orders) {
+  const repTotals = {};
+  const byMonth = {};
+  for (const o of orders) {
+    const month = toDateString(o.date_created).slice(0, 7);
+    repTotals[o.salesRep] = (repTotals[o.salesRep] || 0) + o.amount;
+    byMonth[month] = byMonth[month] || {};
+    byMonth[month][o.salesRep] = (byMonth[month][o.salesRep] || 0) + o.amount;
+  }
+
+  const ranked = Object.entries(repTotals).sort((a, b) => b[1] - a[1]).map(([rep]) => rep);
+  const shown = ranked.length > MAX_SERIES ? ranked.slice(0, MAX_SERIES - 1) : ranked;
+  const seriesNames = ranked.length > shown.length ? [...shown, "Others"] : shown;
+  const months = Object.keys(byMonth).sort();
+
+  const valueFor = (month, name) => name === "Others"
+    ? Object.entries(byMonth[month]).filter(([rep]) => !shown.includes(rep)).reduce((sum, [, amt]) => sum + amt, 0)
+    : byMonth[month][name] || 0;
+
+  return {
+    type: "chart",
+    data: summary,
+    chart: {
+      kind: "line",
+      title,
+      labels: months,
+      series: seriesNames.map(name => ({ name, type: "currency", values: months.map(m => valueFor(m, name)) }))
+    },
+    table: {
+      columns: [
+        { key: "month", label: "Month", type: "text" },
+        ...seriesNames.map((name, i) => ({ key: `s${i}`, label: name, type: "currency" })),
+        ...(seriesNames.length > 1 ? [{ key: "total", label: "Total", type: "currency" }] : [])
+      ],
+      rows: months.map(month => ({
+        month,
+        ...Object.fromEntries(seriesNames.map((name, i) => [`s${i}`, valueFor(month, name)])),
+        total: Object.values(byMonth[month]).reduce((sum, amt) => sum + amt, 0)
+      }))
+    }
+  };
+}
+
+// Two periods side by side per group: grouped bar chart plus a change table
+export function comparePayload(summary, { title, groupLabel, currentLabel, baselineLabel }, rows) {
+  return {
+    type: "chart",
+    data: summary,
+    chart: {
+      kind: "bar",
+      title,
+      labels: rows.map(r => r.name),
+      series: [
+        { name: baselineLabel, type: "currency", values: rows.map(r => r.baseline) },
+        { name: currentLabel, type: "currency", values: rows.map(r => r.current) }
+      ]
+    },
+    table: {
+      columns: [
+        { key: "name", label: groupLabel, type: "text" },
+        { key: "baseline", label: baselineLabel, type: "currency" },
+        { key: "current", label: currentLabel, type: "currency" },
+        { key: "change", label: "Change", type: "currency" },
+        { key: "changePct", label: "Change %", type: "percent" }
+      ],
+      rows: rows.map(({ name, baseline, current, change, changePct }) => ({ name, baseline, current, change, changePct }))
+    }
+  };
+}
+
+// Totals per period with the change from the period before
+export function growthPayload(summary, title, intervalLabel, series) {
+  return {
+    type: "chart",
+    data: summary,
+    chart: {
+      kind: "line",
+      title,
+      labels: series.map(p => p.period),
+      series: [{ name: "Total Amount", type: "currency", values: series.map(p => p.total) }]
+    },
+    table: {
+      columns: [
+        { key: "period", label: intervalLabel, type: "text" },
+        { key: "total", label: "Total Amount", type: "currency" },
+        { key: "change", label: "Change", type: "currency" },
+        { key: "changePct", label: "Change %", type: "percent" }
+      ],
+      rows: series
+    }
+  };
+}
+
+// Weighted GP per group: bar chart of GP % plus amounts behind it
+export function marginPayload(summary, { title, groupLabel }, rows) {
+  return {
+    type: "chart",
+    data: summary,
+    chart: {
+      kind: "bar",
+      title,
+      labels: rows.map(r => r.name),
+      series: [{ name: "Weighted GP", type: "percent", values: rows.map(r => r.gpRate) }]
+    },
+    table: {
+      columns: [
+        { key: "name", label: groupLabel, type: "text" },
+        { key: "orders", label: "Orders", type: "number" },
+        { key: "amount", label: "Amount", type: "currency" },
+        { key: "gpAmount", label: "GP Amount", type: "currency" },
+        { key: "gpRate", label: "Weighted GP", type: "percent" }
+      ],
+      rows
+    }
+  };
+}
+
+// Orders per GP bucket
+export function gpDistributionPayload(summary, title, rows) {
+  return {
+    type: "chart",
+    data: summary,
+    chart: {
+      kind: "bar",
+      title,
+      labels: rows.map(r => r.bucket),
+      series: [{ name: "Orders", type: "number", values: rows.map(r => r.orders) }]
+    },
+    table: {
+      columns: [
+        { key: "bucket", label: "GP Rate", type: "text" },
+        { key: "orders", label: "Orders", type: "number" },
+        { key: "amount", label: "Amount", type: "currency" }
+      ],
+      rows
+    }
+  };
+}
@@ -0,0 +1,121 @@
+import puppeteer from "puppeteer";
+import { resolveDateRange } from "./dateRange.js";
+import { weightedGp } from "./salesOrders.js";
+import { formatPeso } from "./format.js";
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Human-readable list of the filters the question was answered with
+function describeFilters(parsed) {
+  const filters = [];
+  if (parsed.customer) filters.push(["Customer", parsed.customer]);
+  if (parsed.salesRep) filters.push(["Sales Rep", parsed.salesRep]);
+  if (parsed.division) filters.push(["Division", parsed.division]);
+  if (parsed.status) filters.push(["Status", parsed.status]);
+  const range = resolveDateRange(parsed);
+  if (range) filters.push(["Period", range.from === range.to ? range.label : `${range.label} (${range.from} to ${range.to})`]);
+  if (parsed.gpThreshold != null) {
+    const gp = typeof parsed.gpThreshold === "object"
+      ? `${parsed.gpThreshold.operator} ${parsed.gpThreshold.value}%`
+      : `${parsed.gpThreshold}%`;
+    filters.push(["GP Rate", gp]);
+  }
+  return filters;
+}
+
+// Build the report HTML for a set of normalized sales orders
+export function buildReportHtml(orders, parsed, generatedAt = new Date()) {
+  const totalAmount = orders.reduce((sum, o) => sum + (o.amount || 0), 0);
+  const weightedGpRate = weightedGp(orders);
+  const filters = describeFilters(parsed);
+
+  const filterRows = filters.length
+    ? filters.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join("")
+    : `<tr><td colspan="2">All sales orders</td></tr>`;
+
+  const orderRows = orders.map(o => `
+        <tr>
+          <td>${escapeHtml(o.so_number)}</td>
+          <td>${escapeHtml(o.date_created ? String(o.date_created).slice(0, 10) : "")}</td>
+          <td>${escapeHtml(o.customer)}</td>
+          <td>${escapeHtml(o.salesRep)}</td>
+          <td>${escapeHtml(o.status)}</td>
+          <td class="num">${formatPeso(o.amount || 0)}</td>
+          <td class="num">${(o.gp_rate || 0).toFixed(2)}%</td>
+        </tr>`).join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <style>
+    * { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; }
+    body { color: #111827; font-size: 11px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    .meta { color: #6b7280; margin-bottom: 16px; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 16px; }
+    th, td { border: 1px solid #d1d5db; padding: 4px 6px; text-align: left; }
+    thead th { background: #fbbf24; }
+    .filters { width: auto; }
+    .filters th { background: #f3f4f6; }
+    .num { text-align: right; white-space: nowrap; }
+    tfoot td { font-weight: bold; background: #f3f4f6; }
+  </style>
+</head>
+<body>
+  <h1>Sales Order Report</h1>
+  <div class="meta">Generated ${escapeHtml(generatedAt.toLocaleString("en-PH"))}</div>
+
+  <table class="filters">${filterRows}</table>
+
+  <table>
+    <thead>
+      <tr><th>SO Number</th><th>Date</th><th>Customer</th><th>Sales Rep</th><th>Status</th><th>Amount</th><th>GP Rate</th></tr>
+    </thead>
+    <tbody>${orderRows}
+    </tbody>
+    <tfoot>
+      <tr>
+        <td colspan="5">Total (${orders.length} sales orders)</td>
+        <td class="num">${formatPeso(totalAmount)}</td>
+        <td class="num">${weightedGpRate.toFixed(2)}%</td>
+      </tr>
+    </tfoot>
+  </table>
+</body>
+</html>`;
+}
+
+// Render the report to PDF and return it in the shape the chat UI expects
+export async function generateSalesOrderPdf(orders, parsed) {
+  const browser = await puppeteer.launch({
+    headless: true,
+    args: ["--no-sandbox", "--disable-setuid-sandbox"]
+  });
+
+  try {
+    const page = await browser.newPage();
+    await page.setContent(buildReportHtml(orders, parsed), { waitUntil: "load" });
+    const pdf = await page.pdf({
+      format: "A4",
+      landscape: true,
+      printBackground: true,
+      margin: { top: "15mm", bottom: "15mm", left: "10mm", right: "10mm" }
+    });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    return {
+      type: "pdf",
+      filename: `sales-orders-${stamp}.pdf`,
+      data: Buffer.from(pdf).toString("base64")
+    };
+  } finally {
+    await browser.close();
+  }
+}
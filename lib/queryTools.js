@@ -0,0 +1,341 @@
+// Tool-calling pipeline: the model answers by calling typed query operations over the
+// sales orders (filter, groupBy, aggregate, topN, compare, lookup) instead of emitting one
+// fixed intent, so multi-step questions ("top 3 customers of the top division in 2024") work.
+// Intermediate results are kept as numbered datasets ("d1", "g2") the model passes to later calls.
+import { BOOKED_STATUSES, weightedGp, toDateString } from "./salesOrders.js";
+import { PERIODS, resolveDateRange, inDateRange } from "./dateRange.js";
+import { createEntityIndex } from "./entities.js";
+
+const MAX_ROWS = 20;           // rows shown to the model per result
+const MAX_TOP_N = 50;
+export const DEFAULT_MAX_STEPS = 8;
+
+const NAME_FIELDS = ["customer", "salesRep", "division"];
+const GROUP_KEYS = {
+  customer: o => o.customer,
+  salesRep: o => o.salesRep,
+  division: o => o.division,
+  status: o => o.status,
+  month: o => toDateString(o.date_created)?.slice(0, 7),
+  quarter: o => {
+    const day = toDateString(o.date_created);
+    return day && `${day.slice(0, 4)}-Q${Math.floor((Number(day.slice(5, 7)) - 1) / 3) + 1}`;
+  },
+  year: o => toDateString(o.date_created)?.slice(0, 4)
+};
+const METRICS = ["count", "totalAmount", "averageAmount", "weightedGp", "minAmount", "maxAmount"];
+
+const dataset = { type: "string", description: "Dataset id from an earlier call, e.g. \"d1\"; \"all\" is every order" };
+
+// OpenAI function definitions
+export const TOOL_DEFINITIONS = [
+  {
+    name: "filter",
+    description: "Orders from a dataset that match every given condition. Returns a new order dataset with its count and total amount.",
+    parameters: {
+      type: "object",
+      properties: {
+        dataset,
+        customer: { type: "string", description: "Customer name; partial names and typos are matched to one customer" },
+        salesRep: { type: "string", description: "Sales rep name; partial names and typos are matched to one sales rep" },
+        division: { type: "string", description: "Division name; partial names and typos are matched to one division" },
+        status: { type: "string", description: "Exact order status, e.g. BILLED" },
+        booked: { type: "boolean", description: "Only orders that count as sales (billed, delivered or in process)" },
+        dateFrom: { type: "string", description: "YYYY-MM-DD, inclusive" },
+        dateTo: { type: "string", description: "YYYY-MM-DD, inclusive" },
+        month: { type: "string", description: "YYYY-MM" },
+        quarter: { type: "string", description: "e.g. 2025-Q1" },
+        year: { type: "integer" },
+        period: { type: "string", enum: PERIODS },
+        gpMin: { type: "number", description: "Minimum GP rate in percent" },
+        gpMax: { type: "number", description: "Maximum GP rate in percent" },
+        amountMin: { type: "number" },
+        amountMax: { type: "number" }
+      }
+    }
+  },
+  {
+    name: "groupBy",
+    description: "Group an order dataset. Returns a group dataset with each group's order count, total amount and weighted GP rate, largest amount first.",
+    parameters: {
+      type: "object",
+      properties: { dataset, by: { type: "string", enum: Object.keys(GROUP_KEYS) } },
+      required: ["dataset", "by"]
+    }
+  },
+  {
+    name: "aggregate",
+    description: "One figure for an order dataset.",
+    parameters: {
+      type: "object",
+      properties: { dataset, metric: { type: "string", enum: METRICS } },
+      required: ["dataset", "metric"]
+    }
+  },
+  {
+    name: "topN",
+    description: "The first n orders or groups of a dataset, sorted by a field. Groups sort by amount, orders or gpRate; orders by amount, gp_rate or date_created.",
+    parameters: {
+      type: "object",
+      properties: {
+        dataset,
+        n: { type: "integer", minimum: 1, maximum: MAX_TOP_N },
+        by: { type: "string", enum: ["amount", "orders", "gpRate", "gp_rate", "date_created"] },
+        ascending: { type: "boolean", description: "Smallest first" }
+      },
+      required: ["dataset", "n"]
+    }
+  },
+  {
+    name: "compare",
+    description: "Compare two datasets of the same kind. Order datasets compare one metric; group datasets compare each group's amount, biggest change first.",
+    parameters: {
+      type: "object",
+      properties: {
+        current: dataset,
+        baseline: dataset,
+        metric: { type: "string", enum: METRICS, description: "For order datasets; default totalAmount" }
+      },
+      required: ["current", "baseline"]
+    }
+  },
+  {
+    name: "lookup",
+    description: "One order by SO number, or the exact customer or sales rep names containing some text.",
+    parameters: {
+      type: "object",
+      properties: {
+        soNumber: { type: "string" },
+        customer: { type: "string" },
+        salesRep: { type: "string" }
+      }
+    }
+  }
+].map(fn => ({ type: "function", function: fn }));
+
+const round = (n) => Math.round(n * 100) / 100;
+
+const orderRow = (o) => ({
+  so_number: o.so_number,
+  date_created: toDateString(o.date_created),
+  customer: o.customer,
+  salesRep: o.salesRep,
+  division: o.division,
+  status: o.status,
+  amount: o.amount,
+  gp_rate: o.gp_rate
+});
+
+function metricValue(orders, metric) {
+  const amounts = orders.map(o => o.amount || 0);
+  const total = amounts.reduce((sum, a) => sum + a, 0);
+  switch (metric) {
+    case "count": return orders.length;
+    case "totalAmount": return round(total);
+    case "averageAmount": return orders.length ? round(total / orders.length) : 0;
+    case "weightedGp": return round(weightedGp(orders));
+    // reduce rather than Math.min(...amounts), which overflows the call stack on large datasets
+    case "minAmount": return orders.length ? amounts.reduce((min, a) => (a < min ? a : min)) : null;
+    case "maxAmount": return orders.length ? amounts.reduce((max, a) => (a > max ? a : max)) : null;
+    default: throw new Error(`metric must be one of: ${METRICS.join(", ")}`);
+  }
+}
+
+function change(current, baseline) {
+  return {
+    current,
+    baseline,
+    change: round(current - baseline),
+    changePct: baseline ? round(((current - baseline) / Math.abs(baseline)) * 100) : null
+  };
+}
+
+// The operations for one question, over the orders the user may see. Names in filter calls go
+// through the entity index (built from `orders` unless one is passed), limited to those orders.
+export function createQueryTools(orders, { index = createEntityIndex(orders) } = {}) {
+  const datasets = new Map([["all", { kind: "orders", rows: orders }]]);
+  let counter = 0;
+
+  const store = (prefix, value) => {
+    const id = `${prefix}${++counter}`;
+    datasets.set(id, value);
+    return id;
+  };
+
+  function get(id, kind = null) {
+    const found = datasets.get(id || "all");
+    if (!found) throw new Error(`Unknown dataset "${id}"; use an id returned by an earlier call`);
+    if (kind && found.kind !== kind) throw new Error(`Dataset "${id}" holds ${found.kind}, not ${kind}`);
+    return found;
+  }
+
+  // The name a filter value stands for; several or no fits throw, so the model can retry
+  function resolveName(kind, text) {
+    const match = index.resolve(kind, String(text), { within: orders.map(o => o[kind]) });
+    if (match.status === "match") return match.name;
+    if (match.status === "ambiguous") throw new Error(`${kind} "${text}" could be ${match.candidates.join(", ")}; filter by one of them`);
+    throw new Error(`No ${kind} matches "${text}"; lookup finds the exact names`);
+  }
+
+  const operations = {
+    filter(args) {
+      let rows = get(args.dataset, "orders").rows;
+      for (const kind of NAME_FIELDS) {
+        if (!args[kind]) continue;
+        // Every spelling of the resolved name, as the entity index groups them
+        const key = index.keyOf(resolveName(kind, args[kind]));
+        rows = rows.filter(o => o[kind] && index.keyOf(o[kind]) === key);
+      }
+      if (args.status) rows = rows.filter(o => String(o.status || "").toLowerCase() === String(args.status).toLowerCase());
+      if (args.booked) rows = rows.filter(o => BOOKED_STATUSES.includes(o.status));
+      const range = resolveDateRange(args);
+      if (range) rows = rows.filter(o => inDateRange(o, range));
+      if (args.gpMin != null) rows = rows.filter(o => o.gp_rate >= args.gpMin);
+      if (args.gpMax != null) rows = rows.filter(o => o.gp_rate <= args.gpMax);
+      if (args.amountMin != null) rows = rows.filter(o => o.amount >= args.amountMin);
+      if (args.amountMax != null) rows = rows.filter(o => o.amount <= args.amountMax);
+      const id = store("d", { kind: "orders", rows });
+      return { dataset: id, orders: rows.length, totalAmount: metricValue(rows, "totalAmount"), dateRange: range };
+    },
+
+    groupBy(args) {
+      const key = GROUP_KEYS[args.by];
+      if (!key) throw new Error(`by must be one of: ${Object.keys(GROUP_KEYS).join(", ")}`);
+      const groups = new Map();
+      for (const o of get(args.dataset, "orders").rows) {
+        const name = key(o) || "Unknown";
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(o);
+      }
+      const rows = [...groups.entries()]
+        .map(([name, list]) => ({ key: name, orders: list.length, amount: metricValue(list, "totalAmount"), gpRate: metricValue(list, "weightedGp") }))
+        .sort((a, b) => b.amount - a.amount);
+      const id = store("g", { kind: "groups", by: args.by, rows });
+      return { dataset: id, by: args.by, groups: rows.length, rows: rows.slice(0, MAX_ROWS), truncated: rows.length > MAX_ROWS };
+    },
+
+    aggregate(args) {
+      return { metric: args.metric, value: metricValue(get(args.dataset, "orders").rows, args.metric) };
+    },
+
+    topN(args) {
+      const source = get(args.dataset);
+      const n = Math.min(Math.max(Number(args.n) || 1, 1), MAX_TOP_N);
+      const by = args.by || "amount";
+      const allowed = source.kind === "groups" ? ["amount", "orders", "gpRate"] : ["amount", "gp_rate", "date_created"];
+      if (!allowed.includes(by)) throw new Error(`${source.kind} can be sorted by: ${allowed.join(", ")}`);
+      const value = (row) => (by === "date_created" ? toDateString(row.date_created) : row[by]) ?? "";
+      const sorted = [...source.rows].sort((a, b) => {
+        const diff = value(a) < value(b) ? -1 : value(a) > value(b) ? 1 : 0;
+        return args.ascending ? diff : -diff;
+      });
+      const rows = sorted.slice(0, n);
+      return { kind: source.kind, by, rows: source.kind === "groups" ? rows : rows.map(orderRow) };
+    },
+
+    compare(args) {
+      const current = get(args.current);
+      const baseline = get(args.baseline);
+      if (current.kind !== baseline.kind) throw new Error("compare needs two order datasets or two group datasets");
+      if (current.kind === "orders") {
+        const metric = args.metric || "totalAmount";
+        return { metric, ...change(metricValue(current.rows, metric), metricValue(baseline.rows, metric)) };
+      }
+      if (current.by !== baseline.by) throw new Error(`cannot compare groups by ${current.by} with groups by ${baseline.by}`);
+      const before = new Map(baseline.rows.map(g => [g.key, g.amount]));
+      const keys = new Set([...current.rows.map(g => g.key), ...before.keys()]);
+      const after = new Map(current.rows.map(g => [g.key, g.amount]));
+      const rows = [...keys]
+        .map(key => ({ key, ...change(after.get(key) || 0, before.get(key) || 0) }))
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+      return { by: current.by, metric: "amount", rows: rows.slice(0, MAX_ROWS), truncated: rows.length > MAX_ROWS };
+    },
+
+    lookup(args) {
+      if (args.soNumber) {
+        const wanted = String(args.soNumber).toUpperCase();
+        const order = orders.find(o => String(o.so_number).toUpperCase() === wanted);
+        return order ? { order: orderRow(order) } : { error: `No order ${args.soNumber} found` };
+      }
+      for (const field of ["customer", "salesRep"]) {
+        if (!args[field]) continue;
+        const wanted = String(args[field]).toLowerCase();
+        const names = [...new Set(orders.map(o => o[field]).filter(name => String(name || "").toLowerCase().includes(wanted)))];
+        return { [field]: names.slice(0, MAX_ROWS), matches: names.length };
+      }
+      throw new Error("lookup needs soNumber, customer or salesRep");
+    }
+  };
+
+  // Run one call; bad arguments come back as { error } so the model can correct itself
+  function call(name, args) {
+    const operation = operations[name];
+    if (!operation) return { error: `Unknown tool "${name}"` };
+    try {
+      return operation(args || {});
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  return { call };
+}
+
+const SYSTEM_PROMPT = `You answer questions about a company's ERP sales orders by calling the query tools.
+Start from the dataset "all", narrow it with filter, then use groupBy, topN, aggregate or compare on the ids the tools return.
+For multi-step questions use earlier results in later calls (e.g. find the top division, then filter to it).
+Sales totals normally count booked orders only (filter with booked: true) unless the question asks about a status.
+Amounts are in Philippine pesos. Only state figures the tools returned; if they can't answer the question, say so.`;
+
+// Answer a question with tool calls: up to maxSteps model turns, then one final turn without
+// tools. Each call is passed to onCall and returned as { step, name, arguments, result, ms }.
+export async function runToolPipeline({
+  llm,                         // from createLlm(); uses its "tools" model
+  question,
+  orders,
+  index,                       // entity index for names in filter calls; built from orders if unset
+  maxSteps = DEFAULT_MAX_STEPS,
+  signal,
+  usage,
+  onCall = () => {},
+  today = toDateString(new Date()),
+  instruction = "Answer in English."   // answer language, from localizer().instruction
+}) {
+  const tools = createQueryTools(orders, { index });
+  const calls = [];
+  const messages = [
+    { role: "system", content: `${SYSTEM_PROMPT}\n${instruction}\nToday is ${today}.` },
+    { role: "user", content: question }
+  ];
+
+  for (let step = 1; step <= maxSteps + 1; step++) {
+    const last = step > maxSteps;
+    if (last) messages.push({ role: "user", content: "The step limit is reached. Answer now with what the tools returned so far." });
+    const message = await llm.complete("tools", {
+      messages,
+      tools: TOOL_DEFINITIONS,
+      tool_choice: last ? "none" : "auto",
+      temperature: 0
+    }, { signal, usage });
+    if (!message.tool_calls?.length || last) {
+      return { text: message.content || "", calls, stepLimitReached: last };
+    }
+
+    messages.push(message);
+    for (const toolCall of message.tool_calls) {
+      const started = Date.now();
+      let args;
+      let result;
+      try {
+        args = JSON.parse(toolCall.function.arguments || "{}");
+        result = tools.call(toolCall.function.name, args);
+      } catch {
+        result = { error: "arguments must be a JSON object" };
+      }
+      const entry = { step, name: toolCall.function.name, arguments: args ?? toolCall.function.arguments, result, ms: Date.now() - started };
+      calls.push(entry);
+      onCall(entry);
+      messages.push({ role: "tool", tool_call_id: toolCall.id, content: JSON.stringify(result) });
+    }
+  }
+}
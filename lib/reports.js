@@ -0,0 +1,140 @@
+// Saved report definitions and the scheduler that runs and delivers them
+import { parseCron, nextCronRun } from "./cron.js";
+import { reportMessage, webhookAllowed } from "./transports.js";
+
+const DEFAULT_TICK_MS = 60_000;
+const MAX_RECIPIENTS = 20;
+
+// Webhook recipients the report owner may not send to
+const blockedRecipients = (report, owner, webhookHosts) => (report.transport === "webhook"
+  ? report.recipients.filter(r => !webhookAllowed(owner, r, webhookHosts))
+  : []);
+
+// Check a report definition from the API for its owner. `parsed` is the already validated
+// intent. Returns { ok, report } or { ok: false, errors }.
+export function validateReport(input, { parsed, transports, owner, webhookHosts = [] }) {
+  const errors = [];
+  const name = String(input.name || "").trim().slice(0, 200);
+  if (!name) errors.push("name is required");
+
+  const schedule = String(input.schedule || "").trim();
+  try {
+    if (!nextCronRun(parseCron(schedule))) errors.push(`schedule "${schedule}" never runs`);
+  } catch (err) {
+    errors.push(err.message);
+  }
+
+  const transport = transports[input.transport];
+  if (!transport) {
+    errors.push(`transport must be one of: ${Object.keys(transports).join(", ")}`);
+  }
+
+  const recipients = (Array.isArray(input.recipients) ? input.recipients : String(input.recipients || "").split(","))
+    .map(r => String(r).trim())
+    .filter(Boolean);
+  if (!recipients.length) errors.push("at least one recipient is required");
+  if (recipients.length > MAX_RECIPIENTS) errors.push(`at most ${MAX_RECIPIENTS} recipients are allowed`);
+  const invalid = transport ? recipients.filter(r => !transport.validRecipient(r)) : [];
+  if (invalid.length) errors.push(`invalid ${input.transport} recipients: ${invalid.join(", ")}`);
+  const blocked = invalid.length ? [] : blockedRecipients({ transport: input.transport, recipients }, owner, webhookHosts);
+  if (blocked.length) {
+    errors.push(webhookHosts.length
+      ? `webhook recipients must be on one of these hosts: ${webhookHosts.join(", ")}`
+      : "only admins can send reports to a webhook");
+  }
+
+  if (parsed.intent === "general") errors.push("reports need a sales order question, not a general one");
+
+  if (errors.length) return { ok: false, errors };
+  return {
+    ok: true,
+    report: {
+      name,
+      question: String(input.question || "").trim(),
+      parsed,
+      schedule,
+      transport: input.transport,
+      recipients,
+      enabled: input.enabled !== false
+    }
+  };
+}
+
+export function createReportScheduler({
+  store,                       // repository holding report definitions
+  runReport,                   // async (report) => answer payload
+  transports,                  // { email?, webhook } from createTransports()
+  webhookHosts = [],           // hosts non-admins may send reports to
+  now = () => new Date()
+}) {
+  let timer = null;
+  let stopped = false;
+  let ticking = null;
+
+  // Run one report and send it, recording the outcome on the definition
+  async function deliver(report) {
+    const startedAt = now();
+    let error = null;
+    try {
+      const transport = transports[report.transport];
+      if (!transport) throw new Error(`Transport "${report.transport}" is not configured`);
+      // Checked again here: the owner's role or the allowed hosts may have changed since saving
+      const blocked = blockedRecipients(report, await store.findUser(report.owner), webhookHosts);
+      if (blocked.length) throw new Error(`${report.owner} may not send reports to ${blocked.join(", ")}`);
+      const answer = await runReport(report);
+      const message = reportMessage(report, answer, startedAt);
+      await transport.send(message, report.recipients, {
+        report: { id: report.id, name: report.name, schedule: report.schedule },
+        generatedAt: startedAt,
+        answer
+      });
+      console.log(`✅ Delivered report "${report.name}" via ${report.transport} to ${report.recipients.length} recipient(s)`);
+    } catch (err) {
+      error = err.message || String(err);
+      console.error(`Report "${report.name}" failed:`, err);
+    }
+    await store.markReportRun(report.id, { last_run_at: startedAt, last_error: error })
+      .catch(err => console.error("Report run log error:", err));
+    return { id: report.id, ranAt: startedAt, error };
+  }
+
+  // A report is due once its next fire time after the last run (or creation) has passed.
+  // Runs missed while the server was down are caught up once, not once per missed slot.
+  function isDue(report, current) {
+    if (!report.enabled) return false;
+    const next = nextCronRun(report.schedule, new Date(report.last_run_at || report.created_at));
+    return !!next && next <= current;
+  }
+
+  async function tickOnce() {
+    const current = now();
+    const due = (await store.listReports()).filter(report => isDue(report, current));
+    const runs = [];
+    for (const report of due) runs.push(await deliver(report));
+    return runs;
+  }
+
+  // Overlapping callers share the in-flight tick so a slow report never runs twice
+  function tick() {
+    if (!ticking) {
+      ticking = tickOnce().finally(() => { ticking = null; });
+    }
+    return ticking;
+  }
+
+  function start(tickMs = DEFAULT_TICK_MS) {
+    stopped = false;
+    const loop = async () => {
+      await tick().catch(err => console.error("Report scheduler failed:", err));
+      if (!stopped) timer = setTimeout(loop, tickMs);
+    };
+    return loop();
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(timer);
+  }
+
+  return { tick, deliver, start, stop };
+}
@@ -0,0 +1,333 @@
+// Deterministic question parser: the offline/fallback twin of parseQuestionWithGPT.
+// Produces the same parsed object shape so filterOrders/formatResponse work unchanged.
+import { parseQuarter } from "./dateRange.js";
+import { detectLanguage } from "./i18n.js";
+
+const MONTHS = [
+  "january", "february", "march", "april", "may", "june",
+  "july", "august", "september", "october", "november", "december"
+];
+const MONTH_PATTERN = `(${MONTHS.map(m => `${m}|${m.slice(0, 3)}`).join("|")}|sept)\\.?`;
+
+export const KNOWN_STATUSES = [
+  "PARTIALLYBILLED/PARTIALLY DELIVERED",
+  "PARTIALLY DELIVERED",
+  "PENDING BILLING",
+  "PENDING DELIVERY",
+  "PENDING FOR JO",
+  "JO IN-PROCESS",
+  "CANCELLED",
+  "BILLED"
+];
+
+// Filipino and Taglish phrases ("ilan ang billed orders ni Juan ngayong buwan?") rewritten into
+// the English the rules below understand; anything not listed is left as typed
+const FILIPINO_MONTHS = [
+  "enero", "pebrero", "marso", "abril", "mayo", "hunyo",
+  "hulyo", "agosto", "setyembre", "oktubre", "nobyembre", "disyembre"
+];
+const PAST = "(?:(?:noong|nung)\\s+)?(?:nakaraang|nakalipas na|(?:noong|nung) isang)";
+const FILIPINO_PHRASES = [
+  ...FILIPINO_MONTHS.map((month, i) => [new RegExp(`\\b${month}\\b`, "g"), MONTHS[i]]),
+  [new RegExp(`\\b${PAST} buwan\\b`, "g"), "last month"],
+  [new RegExp(`\\b${PAST} taon\\b`, "g"), "last year"],
+  [new RegExp(`\\b${PAST} linggo\\b`, "g"), "last week"],
+  [/\b(?:nakaraang|huling|nakalipas na) (\d+) araw\b/g, "last $1 days"],
+  [/\bngayong buwan\b|\bsa buwang ito\b/g, "this month"],
+  [/\bngayong taon\b|\bsa taong ito\b/g, "this year"],
+  [/\bngayong linggo\b|\bsa linggong ito\b/g, "this week"],
+  [/\bngayong araw\b|\bngayon\b/g, "today"],
+  [/\bkahapon\b/g, "yesterday"],
+  [/\bmula (?:sa |noong |nung )?/g, "from "],
+  [/\bhanggang (?:sa )?/g, "to "],
+  [/\bkumpara sa\b/g, "vs"],
+  [/\bikumpara\b/g, "compare"],
+  [/\b(?:kada|bawat) buwan\b|\bbuwan-buwan\b/g, "per month"],
+  [/\bayon sa\b|\bkada\b|\bbawat\b/g, "by"],
+  [/\bilan\b|\bilang\b/g, "how many"],
+  [/\bmagkano\b/g, "how much"],
+  [/\bkabuuang?\b/g, "total"],
+  [/\bhanapin\b/g, "search for"],
+  [/\b(?:ipakita|pakita|ilista|listahan)\b/g, "list"],
+  [/\b(?:pinakamalaking|pinakamalalaking|nangungunang|pinakamataas na|pinakamagaling na)\b/g, "top"],
+  [/\b(?:mga )?(?:kliyente|kustomer)\b/g, "customers"],
+  [/\bdibisyon\b/g, "division"],
+  [/\bahente\b/g, "agents"],
+  [/\bbenta\b/g, "sales"],
+  [/\b(?:kinansela|nakansela|kanselado)(?:ng)?\b/g, "cancelled"]
+];
+
+function normalizeFilipino(q) {
+  return FILIPINO_PHRASES.reduce((text, [pattern, english]) => text.replace(pattern, english), q);
+}
+
+// "may" is Filipino for "there is/are" ("may cancelled orders ba?") and an English modal ("may I
+// see ..."). It names the month only with a day or year after it, after a word like "in" or
+// "noong", or in an English question that isn't asking permission; otherwise it is dropped.
+const MONTH_CUE = /\b(?:in|of|for|during|since|from|to|until|through|last|this|next|noong|nung|ngayong|sa|ng|mula|hanggang)\s+$/;
+function dropNonMonthMay(q, language) {
+  return q.replace(/\bmay\b(?!\.?\s*\d)/g, (word, offset) => {
+    if (MONTH_CUE.test(q.slice(0, offset))) return word;
+    if (language === "en" && !/^\s+(?:i|we|you)\b/.test(q.slice(offset + word.length))) return word;
+    return " ";
+  });
+}
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+// Checked in order; the first match wins
+const INTENT_RULES = [
+  ["search", /\b(search|mentioning|mentions|containing|look(ing)? for)\b/],
+  ["orderHistory", /\b(when was|history of|timeline)\b/],
+  ["compare", /\b(compare|compared|vs|versus|year[- ]over[- ]year|yoy)\b|\b(dropped|declined|decreased|fell|grew|increased)\b.*\bmost\b/],
+  ["gpDistribution", /\b(gp|margins?|gross profit)\s+(distribution|buckets?|breakdown|histogram|spread|bands?)\b|\b(distribution|histogram) of (gp|margins?)\b/],
+  ["lowestMargin", /\b(lowest|worst|thinnest|smallest)[- ](gp|margins?)\s+(sales )?orders?\b|\borders?\b.*\b(lowest|worst|thinnest)\s+(gp|margins?)\b/],
+  ["margin", /\b(average|avg|weighted|mean)\s+(gp|margins?|gross profit)\b|\b(gp|margins?|gross profit)\s+(by|per)\b|\b(highest|lowest|best|worst|thinnest)[- ](gp|margins?)\b/],
+  ["growth", /\b(month[- ]over[- ]month|mom|quarter[- ]over[- ]quarter|qoq|growth)\b/],
+  ["statusChanges", /\b(changed status|status changes?|changed to)\b/],
+  ["monthlyTotals", /\b(monthly|per month|by month|each month|month by month)\b/],
+  ["topCustomers", /\b(top|best|biggest|highest|largest)\b.*\b(customers?|clients?)\b/],
+  ["topDivision", /\b(top|best|biggest|highest|largest)\b.*\b(divisions?|departments?|depts?)\b/],
+  ["topSales", /\b(top|best|highest)\b.*\b(sales ?reps?|sales ?persons?|salespeople|sales personnel|agents?|sellers?)\b/],
+  ["sample", /\b(sample|example)\b/],
+  ["count", /\b(how many|count|total|number of|sum|how much)\b/],
+  ["list", /\b(list|show|which|what are the|give me|display)\b/]
+];
+
+// "billed orders by division" ranks every division instead of counting the orders
+const BREAKDOWN = /\b(?:by|per)\s+(?:divisions?|departments?|customers?|clients?|sales ?reps?|agents?)\b/;
+const BREAKDOWN_INTENTS = { division: "topDivision", customer: "topCustomers", salesRep: "topSales" };
+
+// "Q1 2025 vs Q1 2024": the baseline period follows the separator
+const VERSUS = /\s(?:vs\.?|versus|against|compared (?:to|with))\s/;
+
+const FOLLOW_UP = /^(now|only|just|and|what about|how about|same (but|for)|also)\b/;
+
+function monthIndex(name) {
+  const key = name.toLowerCase().replace(".", "");
+  if (key === "sept") return 8;
+  return MONTHS.findIndex(m => m === key || m.slice(0, 3) === key);
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+const isoDate = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+// date (YYYY-MM-DD), month (YYYY-MM) and year (YYYY) mentioned in lowercase text
+export function parseDates(q, now = new Date()) {
+  const result = { date: null, month: null, year: null };
+
+  const iso = q.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (iso) return { ...result, date: iso[0] };
+
+  const dayFirst = q.match(new RegExp(`\\b(\\d{1,2})\\s+${MONTH_PATTERN},?\\s+(\\d{4})\\b`));
+  const monthFirst = q.match(new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2}),?\\s+(\\d{4})\\b`));
+  if (monthFirst) return { ...result, date: `${monthFirst[3]}-${pad(monthIndex(monthFirst[1]) + 1)}-${pad(monthFirst[2])}` };
+  if (dayFirst) return { ...result, date: `${dayFirst[3]}-${pad(monthIndex(dayFirst[2]) + 1)}-${pad(dayFirst[1])}` };
+
+  if (/\btoday\b/.test(q)) return { ...result, date: isoDate(now) };
+  if (/\byesterday\b/.test(q)) {
+    const d = new Date(now);
+    d.setDate(d.getDate() - 1);
+    return { ...result, date: isoDate(d) };
+  }
+
+  const year = q.match(/\b(20\d{2})\b/);
+  const month = q.match(new RegExp(`\\b${MONTH_PATTERN}(?=\\s|$|[,?.!])`));
+  if (month) {
+    const y = year ? year[1] : String(now.getFullYear());
+    return { ...result, month: `${y}-${pad(monthIndex(month[1]) + 1)}` };
+  }
+  if (/\bthis year\b/.test(q)) return { ...result, year: String(now.getFullYear()) };
+  if (/\blast year\b/.test(q)) return { ...result, year: String(now.getFullYear() - 1) };
+  if (year) return { ...result, year: year[1] };
+  return result;
+}
+
+// First/last day covered by a date phrase ("March 2025" -> 2025-03-01 / 2025-03-31)
+export function phraseBounds(text, now = new Date()) {
+  const { date, month, year } = parseDates(text, now);
+  if (date) return { from: date, to: date };
+  if (month) {
+    const [y, m] = month.split("-").map(Number);
+    return { from: `${month}-01`, to: `${month}-${pad(new Date(y, m, 0).getDate())}` };
+  }
+  if (year) return { from: `${year}-01-01`, to: `${year}-12-31` };
+  return null;
+}
+
+// Every date filter the question mentions: ranges, quarters, periods, fiscal years, then plain dates
+function parseDateFilters(q, now) {
+  const none = { date: null, dateFrom: null, dateTo: null, month: null, quarter: null, lastNDays: null, period: null, fiscalYear: null, year: null };
+
+  const range = q.match(/\b(?:from|between)\s+(.+?)\s+(?:to|and|until|-)\s+(.+?)(?=$|[?.!]|\s+(?:for|by|of|with|in)\s)/);
+  if (range) {
+    const start = phraseBounds(range[1], now);
+    const end = phraseBounds(range[2], now);
+    if (start || end) return { ...none, dateFrom: start?.from || null, dateTo: end?.to || null };
+  }
+
+  if (/\b(this|current) quarter\b|\bqtd\b|\bquarter to date\b/.test(q)) return { ...none, period: "thisQuarter" };
+  if (/\b(last|previous) quarter\b/.test(q)) return { ...none, period: "lastQuarter" };
+  if (/\bq[1-4]\b|\bquarter\b/.test(q)) {
+    const quarter = parseQuarter(q, now);
+    if (quarter) return { ...none, quarter };
+  }
+
+  const fy = q.match(/\b(?:fy|fiscal year)\s*'?(\d{4}|\d{2})\b/);
+  if (fy) return { ...none, fiscalYear: fy[1].length === 2 ? 2000 + Number(fy[1]) : Number(fy[1]) };
+
+  const lastDays = q.match(/\b(?:last|past)\s+(\d+)\s+days?\b/);
+  if (lastDays) return { ...none, lastNDays: Number(lastDays[1]) };
+  if (/\b(this|current) week\b|\bweek to date\b/.test(q)) return { ...none, period: "thisWeek" };
+  if (/\b(last|previous) week\b/.test(q)) return { ...none, period: "lastWeek" };
+  if (/\bpast week\b/.test(q)) return { ...none, lastNDays: 7 };
+
+  if (/\b(this|current) month\b|\bmtd\b|\bmonth to date\b/.test(q)) return { ...none, period: "thisMonth" };
+  if (/\b(last|previous) month\b/.test(q)) return { ...none, period: "lastMonth" };
+  if (/\bytd\b|\byear to date\b/.test(q)) return { ...none, period: "ytd" };
+
+  return { ...none, ...parseDates(q, now) };
+}
+
+function parseStatus(q, statuses) {
+  const candidates = [...new Set([...KNOWN_STATUSES, ...statuses])]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+  const match = candidates.find(s => q.includes(s.toLowerCase()));
+  if (match) return match;
+  if (/\bcancel(l)?ed\b/.test(q)) return "CANCELLED";
+  return null;
+}
+
+function parseGpThreshold(q) {
+  const operators = [
+    [/(at least|minimum of|>=)/, ">="],
+    [/(at most|maximum of|<=)/, "<="],
+    [/(above|over|greater than|more than|higher than|>)/, ">"],
+    [/(below|under|less than|lower than|<)/, "<"],
+    [/(equal to|exactly|=)/, "="]
+  ];
+  // At most three digits, so "gp for acme in 2025" is not a 2025% threshold
+  const m = q.match(/\b(?:gp|gross profit|margin)\b[^\d]{0,30}?(?<!\d)(\d{1,3}(?:\.\d+)?)(?!\d)\s*%?/)
+    || q.match(/(?<!\d)(\d{1,3}(?:\.\d+)?)\s*%\s*(?:gp|gross profit|margin)\b/);
+  if (!m) return null;
+  const context = q.slice(Math.max(0, m.index - 20), m.index + m[0].length);
+  const operator = operators.find(([re]) => re.test(context))?.[1] || ">=";
+  return { operator, value: Number(m[1]) };
+}
+
+function parseTopN(q) {
+  const m = q.match(/\btop\s+(\d+|one|two|three|four|five|six|seven|eight|nine|ten)\b/);
+  if (!m) return null;
+  return NUMBER_WORDS[m[1]] || Number(m[1]);
+}
+
+// Longest known name that appears in the question
+function findName(q, names) {
+  return names
+    .filter(name => name && name !== "Unknown" && q.includes(name.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0] || null;
+}
+
+// Quoted text, or the words after "search for" / "mentioning" / "containing"
+function parseSearchText(q) {
+  const quoted = q.match(/["“]([^"”]{2,})["”]/);
+  if (quoted) return quoted[1].trim();
+  const m = q.match(/\b(?:search(?: for)?|mentioning|mentions|containing|look(?:ing)? for)\s+(.+?)(?=$|[?.!]|\s+(?:in|from|during|since|by)\s)/);
+  if (!m) return null;
+  const text = m[1].replace(/^(?:sales )?orders?\s+(?:about|for|with|mentioning|containing)?\s*/, "").trim();
+  return text && !/^(for|(sales )?orders?)$/.test(text) ? text : null;
+}
+
+// "by division", "which customers", "per sales rep", or a plural like "highest margin divisions"
+function parseGroupBy(q) {
+  const m = q.match(/\b(?:by|per|which|what|each)\s+(divisions?|departments?|customers?|clients?|sales ?reps?|reps?|agents?|status(?:es)?)\b/)
+    || q.match(/\b(divisions|departments|customers|clients|sales ?reps|agents)\b/);
+  if (!m) return null;
+  const word = m[1].replace(/\s/g, "");
+  if (/^(division|department)/.test(word)) return "division";
+  if (/^(customer|client)/.test(word)) return "customer";
+  if (/^status/.test(word)) return "status";
+  return "salesRep";
+}
+
+// Baseline for compare: the period after "vs", year over year, or the previous period
+function parseCompareTo(q, baselineText, now) {
+  if (baselineText) {
+    const dates = Object.entries(parseDateFilters(baselineText, now)).filter(([, v]) => v != null);
+    if (dates.length) return Object.fromEntries(dates);
+    if (/\b(last|previous|prior) year\b|\bsame period\b/.test(baselineText)) return "previousYear";
+  }
+  if (/\b(year[- ]over[- ]year|yoy)\b/.test(q)) return "previousYear";
+  return "previousPeriod";
+}
+
+function parseDays(q) {
+  const m = q.match(/\b(?:last|past)\s+(\d+)\s+days?\b/);
+  if (m) return Number(m[1]);
+  if (/\b(this|last|past) week\b/.test(q)) return 7;
+  if (/\b(this|last|past) month\b/.test(q)) return 30;
+  return null;
+}
+
+// Parse a question without the LLM. `entities` holds known customers, sales reps, divisions and
+// statuses, and optionally the entity index (lib/entities.js) for names typed partly or misspelled.
+export function parseQuestionLocally(question, { customers = [], salesReps = [], divisions = [], statuses = [], index = null } = {}, now = new Date()) {
+  const soMatch = String(question || "").match(/\bSO[-\s]?[A-Z0-9-]*\d[A-Z0-9-]*\b/i);
+  const soNumber = soMatch ? soMatch[0].toUpperCase().replace(/\s/, "-") : null;
+  // The SO number is removed so its digits are not read as a year
+  const raw = String(question || "").replace(soMatch?.[0] ?? "", " ").toLowerCase().replace(/\s+/g, " ").trim();
+  const q = normalizeFilipino(dropNonMonthMay(raw, detectLanguage(raw))).replace(/\s+/g, " ").trim();
+
+  // Names are matched as typed, before Filipino words in them could be rewritten. Partial or
+  // misspelled ones ("orders for juan") are returned as typed, for the caller to resolve.
+  const salesRep = findName(raw, salesReps) || index?.mention("salesRep", raw) || null;
+  const customer = findName(raw, customers.filter(c => c !== salesRep))
+    || [index?.mention("customer", raw)].find(name => name && name !== salesRep) || null;
+  const division = index ? index.mention("division", raw) : findName(raw, divisions);
+  const versus = q.match(VERSUS);
+  const dates = parseDateFilters(versus ? q.slice(0, versus.index) : q, now);
+  const status = parseStatus(q, statuses);
+  const gpThreshold = parseGpThreshold(q);
+
+  let intent = INTENT_RULES.find(([, re]) => re.test(q))?.[0] || null;
+  const searchText = intent === "search" ? parseSearchText(q) : null;
+  if (intent === "search" && !searchText) intent = null;
+  if (intent === "orderHistory" && !soNumber) intent = null;
+  // Any other question naming one order ("show SO-2025-00123") asks for its details
+  if (soNumber && intent !== "orderHistory" && intent !== "search") intent = "detail";
+  const followUp = FOLLOW_UP.test(q);
+  // A question that names filters but no verb is asking for the totals ("orders below
+  // 20% GP" asks to see those orders), unless it refines the previous question
+  // ("what about 2024?"), which keeps that intent
+  const hasDate = Object.values(dates).some(v => v != null);
+  if (!intent && !followUp && (salesRep || customer || division || status || hasDate || gpThreshold)) intent = gpThreshold ? "list" : "count";
+
+  const breakdown = (!intent || intent === "count" || intent === "list") && q.match(BREAKDOWN);
+  if (breakdown) intent = BREAKDOWN_INTENTS[parseGroupBy(breakdown[0])];
+  const grouping = breakdown || ["compare", "growth", "margin"].includes(intent);
+  const format = /\bpdf\b/.test(q) ? "pdf" : /\b(excel|xlsx|spreadsheet)\b/.test(q) ? "xlsx" : "text";
+
+  return {
+    intent: intent || "general",
+    ...dates,
+    status,
+    salesRep,
+    customer,
+    division,
+    gpThreshold,
+    topN: parseTopN(q),
+    fields: [],
+    soNumber,
+    searchText,
+    groupBy: grouping ? parseGroupBy(q) : null,
+    compareTo: intent === "compare" ? parseCompareTo(q, versus && q.slice(versus.index + versus[0].length), now) : null,
+    direction: /\b(dropped|declined|decreased|fell|lost)\b/.test(q) || (intent === "margin" && /\b(lowest|worst|thinnest)\b/.test(q))
+      ? "decrease"
+      : /\b(grew|increased|gained)\b/.test(q) ? "increase" : null,
+    interval: /\b(quarter[- ]over[- ]quarter|qoq|quarterly)\b/.test(q) ? "quarter" : /\b(yearly|annual|per year)\b/.test(q) ? "year" : null,
+    days: parseDays(q),
+    format,
+    followUp
+  };
+}
@@ -0,0 +1,64 @@
+// YYYY-MM-DD for ERP date strings and DB Date objects (local calendar day)
+export function toDateString(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+// Statuses that count as booked sales in monthly totals and comparisons
+export const BOOKED_STATUSES = [
+  "BILLED",
+  "PARTIALLYBILLED/PARTIALLY DELIVERED",
+  "PARTIALLY DELIVERED",
+  "PENDING BILLING",
+  "PENDING DELIVERY",
+  "JO IN-PROCESS"
+];
+
+// Orders that count as sales, unless the question asked for a specific status
+export function bookedOrders(orders, parsed = {}) {
+  return parsed.status ? orders : orders.filter(o => BOOKED_STATUSES.includes(o.status));
+}
+
+// Amount-weighted average GP rate in percent (big orders count more than small ones)
+export function weightedGp(orders) {
+  const amount = orders.reduce((sum, o) => sum + (o.amount || 0), 0);
+  return amount ? orders.reduce((sum, o) => sum + (o.amount || 0) * (o.gp_rate || 0), 0) / amount : 0;
+}
+
+// Summarize ERP data for DB
+export function summarizeERPData(erpData) {
+  return erpData.map((so) => ({
+    so_pk: so.so_pk,
+    so_number: so.so_upk || "Unknown",
+    date_created: so.DateCreated_TransH || null,
+    amount: Number(so.TotalAmount_TransH || 0),
+    gp_rate: parseFloat((so.gpRate || 0).toString().replace("%", "").replace(",", "")),
+    status: so.Status_TransH || "Unknown",
+    division: so.Name_Dept || "Unknown",
+    salesRep: so.Name_Empl || "Unknown",
+    customer: so.Name_Cust || "Unknown",
+    contract_description: so.ContractDescription_TransH || "",
+    memo: so.Memo_TransH || ""
+  }));
+}
+
+// Map a sales_orders table row back to the in-memory shape
+export function fromDbRow(row) {
+  return {
+    so_pk: row.so_pk,
+    so_number: row.so_number,
+    date_created: toDateString(row.date_created),
+    amount: Number(row.amount || 0),
+    gp_rate: Number(row.gp_rate || 0),
+    status: row.status,
+    division: row.division,
+    salesRep: row.sales_rep,
+    customer: row.customer_name,
+    contract_description: row.contract_description || "",
+    memo: row.memo || ""
+  };
+}
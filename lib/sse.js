@@ -0,0 +1,35 @@
+// Server-Sent Events over a plain Express response
+const HEARTBEAT_MS = 15_000;
+
+// Starts the event stream; `signal` aborts when the client disconnects
+export function openEventStream(res) {
+  const controller = new AbortController();
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no" // keep nginx/Render proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  // Comment lines keep idle proxies from closing the connection during long GPT calls
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    if (!res.writableFinished) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+
+    send(event, data) {
+      if (res.writableEnded || controller.signal.aborted) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
@@ -0,0 +1,83 @@
+// Helpers shared by the storage adapters
+
+// Whether a stored row differs from an incoming order in a tracked field
+export function hasTrackedChange(old, so) {
+  return !old
+    || old.status !== so.status
+    || Number(old.amount) !== Number(so.amount)
+    || Number(old.gp_rate) !== Number(so.gp_rate);
+}
+
+// sales_order_history entry for an insert (old is undefined) or a change
+export function historyEntry(old, so) {
+  return {
+    so_pk: String(so.so_pk),
+    so_number: so.so_number,
+    old_status: old?.status ?? null,
+    new_status: so.status,
+    old_amount: old?.amount ?? null,
+    new_amount: so.amount,
+    old_gp_rate: old?.gp_rate ?? null,
+    new_gp_rate: so.gp_rate
+  };
+}
+
+// Column values in canonical order for sales_orders inserts
+export const SALES_ORDER_COLUMNS = [
+  "so_pk", "so_number", "date_created", "status", "customer_name",
+  "sales_rep", "division", "amount", "gp_rate", "memo", "contract_description"
+];
+
+export function salesOrderValues(so) {
+  return [
+    String(so.so_pk),
+    so.so_number,
+    so.date_created,
+    so.status,
+    so.customer,
+    so.salesRep,
+    so.division,
+    so.amount,
+    so.gp_rate,
+    so.memo,
+    so.contract_description
+  ];
+}
+
+// report_definitions columns written on insert/update, in order
+export const REPORT_COLUMNS = ["name", "owner", "question", "parsed", "schedule", "transport", "recipients", "enabled"];
+
+export function reportValues(report) {
+  return [
+    report.name,
+    report.owner,
+    report.question,
+    JSON.stringify(report.parsed),
+    report.schedule,
+    report.transport,
+    JSON.stringify(report.recipients),
+    report.enabled
+  ];
+}
+
+// JSON columns come back as strings from some drivers and TINYINT booleans from MySQL
+const json = (value) => (typeof value === "string" ? JSON.parse(value) : value);
+
+export function fromReportRow(row) {
+  return { ...row, parsed: json(row.parsed), recipients: json(row.recipients), enabled: Boolean(row.enabled) };
+}
+
+// alert_rules columns written on insert/update, in order
+export const ALERT_RULE_COLUMNS = ["name", "owner", "type", "params", "delivery", "target", "enabled"];
+
+export function alertRuleValues(rule) {
+  return [rule.name, rule.owner, rule.type, JSON.stringify(rule.params), rule.delivery, rule.target, rule.enabled];
+}
+
+export function fromAlertRuleRow(row) {
+  return { ...row, params: json(row.params), enabled: Boolean(row.enabled) };
+}
+
+export function fromNotificationRow(row) {
+  return { ...row, details: json(row.details), delivery_pending: Boolean(row.delivery_pending) };
+}
@@ -0,0 +1,376 @@
+import fs from "fs";
+import path from "path";
+import { hasTrackedChange, historyEntry } from "./common.js";
+import { summarizeERPData } from "../salesOrders.js";
+
+const EMPTY_STATE = () => ({
+  sales_orders: [],
+  sales_order_history: [],
+  erp_sync_state: {},
+  erp_sync_history: [],
+  users: [],
+  user_sessions: [],
+  chat_audit_log: [],
+  report_definitions: [],
+  alert_rules: [],
+  alert_notifications: []
+});
+
+const SEARCH_WEIGHTS = [["customer", 1], ["contract_description", 0.4], ["memo", 0.2]];
+
+const searchTerms = (text) => String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+function searchScore(so, terms) {
+  const words = SEARCH_WEIGHTS.map(([field, weight]) => [searchTerms(so[field]), weight]);
+  let score = 0;
+  for (const term of terms) {
+    const hits = words.reduce((sum, [list, weight]) => sum + weight * list.filter(w => w.startsWith(term)).length, 0);
+    if (!hits) return 0;
+    score += hits;
+  }
+  return score;
+}
+
+// Embedded JSON-file backend for local development and tests
+export function createFileRepository(config) {
+  const file = config.file;
+  let state = null;
+
+  function load() {
+    if (state) return state;
+    if (!fs.existsSync(file)) {
+      state = EMPTY_STATE();
+    } else {
+      const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+      // Older backups were a bare array of ERP rows
+      state = Array.isArray(data)
+        ? { ...EMPTY_STATE(), sales_orders: summarizeERPData(data) }
+        : { ...EMPTY_STATE(), ...data };
+    }
+    return state;
+  }
+
+  // Write to a temp file and rename so a crash never leaves half a file behind
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  const daysAgo = (days) => Date.now() - days * 24 * 60 * 60 * 1000;
+
+  // The chat audit log is a JSON Lines file next to the data file, appended one line per
+  // question, so asking doesn't rewrite every sales order
+  const auditFile = `${file.replace(/\.json$/, "")}.audit.jsonl`;
+  let audit = null;
+
+  function auditLog() {
+    if (audit) return audit;
+    audit = fs.existsSync(auditFile)
+      ? fs.readFileSync(auditFile, "utf-8").split("\n").filter(Boolean).flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return []; // a line cut short by a crash
+        }
+      })
+      : [];
+    // Data files from before the separate log kept it inline; move those entries over once
+    const current = load();
+    if (current.chat_audit_log.length) {
+      audit = [...current.chat_audit_log, ...audit];
+      writeAuditLog();
+      current.chat_audit_log = [];
+      save();
+    }
+    return audit;
+  }
+
+  function writeAuditLog() {
+    fs.mkdirSync(path.dirname(auditFile), { recursive: true });
+    fs.writeFileSync(`${auditFile}.tmp`, audit.map(e => `${JSON.stringify(e)}\n`).join(""));
+    fs.renameSync(`${auditFile}.tmp`, auditFile);
+  }
+
+  return {
+    backend: "file",
+    file,
+
+    async migrate() {
+      load();
+      save();
+    },
+
+    async ping() {
+      load();
+    },
+
+    async loadSalesOrders() {
+      return load().sales_orders.map(so => ({ ...so }));
+    },
+
+    // Ranked search without a database index: every term must match a word prefix,
+    // customer hits weigh most, then contract description, then memo
+    async searchSalesOrders(text, limit = 500) {
+      const terms = searchTerms(text);
+      if (!terms.length) return [];
+      return load().sales_orders
+        .map(so => ({ ...so, search_rank: searchScore(so, terms) }))
+        .filter(so => so.search_rank > 0)
+        .sort((a, b) => b.search_rank - a.search_rank || String(b.date_created).localeCompare(String(a.date_created)))
+        .slice(0, limit);
+    },
+
+    async upsertSalesOrders(rows) {
+      const { sales_orders, sales_order_history } = load();
+      const byPk = new Map(sales_orders.map((so, i) => [String(so.so_pk), i]));
+      let added = 0;
+      let updated = 0;
+
+      for (const so of rows) {
+        const index = byPk.get(String(so.so_pk));
+        const old = index === undefined ? undefined : sales_orders[index];
+
+        if (old) sales_orders[index] = { ...so };
+        else byPk.set(String(so.so_pk), sales_orders.push({ ...so }) - 1);
+
+        if (!hasTrackedChange(old, so)) continue;
+        sales_order_history.push({
+          id: sales_order_history.length + 1,
+          ...historyEntry(old, so),
+          changed_at: new Date().toISOString()
+        });
+        if (old) updated++;
+        else added++;
+      }
+
+      save();
+      return { added, updated };
+    },
+
+    // Move orders (and their history) to new keys: [{ from, to }]
+    async rekeySalesOrders(pairs) {
+      const { sales_orders, sales_order_history } = load();
+      const keys = new Map(pairs.map(({ from, to }) => [String(from), String(to)]));
+      for (const so of sales_orders) if (keys.has(String(so.so_pk))) so.so_pk = keys.get(String(so.so_pk));
+      for (const h of sales_order_history) if (keys.has(String(h.so_pk))) h.so_pk = keys.get(String(h.so_pk));
+      save();
+    },
+
+    async recentStatusChanges(days) {
+      const { sales_orders, sales_order_history } = load();
+      const byPk = new Map(sales_orders.map(so => [String(so.so_pk), so]));
+      const since = daysAgo(days);
+      return sales_order_history
+        .filter(h => h.old_status != null && h.old_status !== h.new_status && new Date(h.changed_at) >= since)
+        .map(h => ({ ...h, customer_name: byPk.get(h.so_pk)?.customer, sales_rep: byPk.get(h.so_pk)?.salesRep }))
+        .sort((a, b) => new Date(b.changed_at) - new Date(a.changed_at));
+    },
+
+    async orderHistory(soNumber) {
+      const target = soNumber.toLowerCase();
+      return load().sales_order_history.filter(h => (h.so_number || "").toLowerCase() === target);
+    },
+
+    async getSyncWatermarks() {
+      return new Map(Object.entries(load().erp_sync_state));
+    },
+
+    async saveSyncWatermark(key, { last_synced_at, rows_fetched }) {
+      load().erp_sync_state[key] = { range_key: key, last_synced_at, rows_fetched };
+      save();
+    },
+
+    async recordSyncRun(run) {
+      const history = load().erp_sync_history;
+      history.push({ id: history.length + 1, ...run });
+      save();
+    },
+
+    async syncHistory(limit = 50) {
+      return load().erp_sync_history.slice(-limit).reverse();
+    },
+
+    async findUser(username) {
+      const wanted = username.toLowerCase();
+      return load().users.find(u => u.username.toLowerCase() === wanted);
+    },
+
+    async listUsers() {
+      return load().users.map(({ password_hash, ...user }) => user);
+    },
+
+    // Usernames are unique regardless of case, like findUser; an update keeps the stored spelling
+    async saveUser(user) {
+      const { users } = load();
+      const wanted = user.username.toLowerCase();
+      const index = users.findIndex(u => u.username.toLowerCase() === wanted);
+      if (index === -1) users.push({ ...user, created_at: new Date().toISOString() });
+      else users[index] = { ...users[index], ...user, username: users[index].username };
+      save();
+    },
+
+    async createSession({ token_hash, username, expires_at }) {
+      const now = new Date();
+      const current = load();
+      current.user_sessions = current.user_sessions.filter(s => new Date(s.expires_at) > now);
+      current.user_sessions.push({ token_hash, username, created_at: now.toISOString(), expires_at: new Date(expires_at).toISOString() });
+      save();
+    },
+
+    // User behind an unexpired session token
+    async sessionUser(tokenHash) {
+      const { users, user_sessions } = load();
+      const session = user_sessions.find(s => s.token_hash === tokenHash && new Date(s.expires_at) > new Date());
+      return session && users.find(u => u.username === session.username);
+    },
+
+    async deleteSession(tokenHash) {
+      const current = load();
+      current.user_sessions = current.user_sessions.filter(s => s.token_hash !== tokenHash);
+      save();
+    },
+
+    async recordQuestion(entry) {
+      const log = auditLog();
+      const row = { id: (log[log.length - 1]?.id || 0) + 1, ...entry, asked_at: new Date(entry.asked_at).toISOString() };
+      log.push(row);
+      fs.mkdirSync(path.dirname(auditFile), { recursive: true });
+      fs.appendFileSync(auditFile, `${JSON.stringify(row)}\n`);
+    },
+
+    // Delete audit entries asked before a date; returns how many were removed
+    async pruneQuestions(before) {
+      const log = auditLog();
+      const kept = log.filter(e => new Date(e.asked_at) >= before);
+      if (kept.length === log.length) return 0;
+      audit = kept;
+      writeAuditLog();
+      return log.length - kept.length;
+    },
+
+    // Audit entries since a date, newest first, optionally for one user
+    async auditEntries({ since, username = null, limit = 1000 }) {
+      return auditLog()
+        .filter(e => new Date(e.asked_at) >= since && (!username || e.username === username))
+        .reverse()
+        .slice(0, limit);
+    },
+
+    // Report definitions, optionally only one owner's
+    async listReports(owner = null) {
+      return load().report_definitions.filter(r => !owner || r.owner === owner).map(r => ({ ...r }));
+    },
+
+    async findReport(id) {
+      const report = load().report_definitions.find(r => r.id === Number(id));
+      return report && { ...report };
+    },
+
+    // Insert a new definition, or update the one with report.id
+    async saveReport(report) {
+      const reports = load().report_definitions;
+      const index = reports.findIndex(r => r.id === Number(report.id));
+      if (report.id && index === -1) return undefined;
+      const saved = index === -1
+        ? { last_run_at: null, last_error: null, ...report, id: Math.max(0, ...reports.map(r => r.id)) + 1, created_at: new Date().toISOString() }
+        : { ...reports[index], ...report, id: reports[index].id };
+      if (index === -1) reports.push(saved);
+      else reports[index] = saved;
+      save();
+      return { ...saved };
+    },
+
+    async deleteReport(id) {
+      const current = load();
+      current.report_definitions = current.report_definitions.filter(r => r.id !== Number(id));
+      save();
+    },
+
+    async markReportRun(id, { last_run_at, last_error }) {
+      const report = load().report_definitions.find(r => r.id === Number(id));
+      if (!report) return;
+      Object.assign(report, { last_run_at: new Date(last_run_at).toISOString(), last_error });
+      save();
+    },
+
+    // Alert rules, optionally only one owner's
+    async listAlertRules(owner = null) {
+      return load().alert_rules.filter(r => !owner || r.owner === owner).map(r => ({ ...r }));
+    },
+
+    async findAlertRule(id) {
+      const rule = load().alert_rules.find(r => r.id === Number(id));
+      return rule && { ...rule };
+    },
+
+    // Insert a new rule, or update the one with rule.id
+    async saveAlertRule(rule) {
+      const rules = load().alert_rules;
+      const index = rules.findIndex(r => r.id === Number(rule.id));
+      if (rule.id && index === -1) return undefined;
+      const saved = index === -1
+        ? { ...rule, id: Math.max(0, ...rules.map(r => r.id)) + 1, created_at: new Date().toISOString() }
+        : { ...rules[index], ...rule, id: rules[index].id };
+      if (index === -1) rules.push(saved);
+      else rules[index] = saved;
+      save();
+      return { ...saved };
+    },
+
+    async deleteAlertRule(id) {
+      const current = load();
+      current.alert_rules = current.alert_rules.filter(r => r.id !== Number(id));
+      current.alert_notifications = current.alert_notifications.filter(n => n.rule_id !== Number(id));
+      save();
+    },
+
+    // False when the rule already raised this alert
+    async recordNotification(n) {
+      const list = load().alert_notifications;
+      if (list.some(e => e.rule_id === n.rule_id && e.dedupe_key === n.dedupe_key)) return false;
+      list.push({
+        id: Math.max(0, ...list.map(e => e.id)) + 1,
+        ...n,
+        delivery_pending: !!n.delivery_pending,
+        delivery_attempts: 0,
+        delivery_error: null,
+        created_at: new Date().toISOString(),
+        read_at: null
+      });
+      save();
+      return true;
+    },
+
+    // Notifications still to be pushed to a webhook, oldest first
+    async pendingDeliveries() {
+      return load().alert_notifications.filter(n => n.delivery_pending).map(n => ({ ...n }));
+    },
+
+    async updateDelivery(id, { pending, attempts, error = null }) {
+      const notification = load().alert_notifications.find(n => n.id === Number(id));
+      if (!notification) return;
+      Object.assign(notification, { delivery_pending: pending, delivery_attempts: attempts, delivery_error: error });
+      save();
+    },
+
+    // A user's notifications, newest first
+    async notifications(username, { unreadOnly = false, limit = 50 } = {}) {
+      return load().alert_notifications
+        .filter(n => n.username === username && (!unreadOnly || !n.read_at))
+        .reverse()
+        .slice(0, limit);
+    },
+
+    // Mark some (or, without ids, all) of a user's notifications read
+    async markNotificationsRead(username, ids = null) {
+      const readAt = new Date().toISOString();
+      for (const n of load().alert_notifications) {
+        if (n.username === username && !n.read_at && (!ids || ids.includes(n.id))) n.read_at = readAt;
+      }
+      save();
+    },
+
+    async close() {}
+  };
+}
@@ -0,0 +1,35 @@
+import path from "path";
+import { createPostgresRepository } from "./postgres.js";
+import { createMysqlRepository } from "./mysql.js";
+import { createFileRepository } from "./file.js";
+
+const ADAPTERS = {
+  postgres: createPostgresRepository,
+  mysql: createMysqlRepository,
+  file: createFileRepository
+};
+
+// Storage settings from the environment; STORAGE_BACKEND picks the adapter
+export function storageConfig(env = process.env, defaults = {}) {
+  return {
+    backend: env.STORAGE_BACKEND || defaults.backend || "postgres",
+    host: env.DB_HOST,
+    user: env.DB_USER,
+    password: env.DB_PASS,
+    database: env.DB_NAME,
+    port: env.DB_PORT ? Number(env.DB_PORT) : undefined,
+    ssl: env.DB_SSL !== "false",
+    file: env.DATA_FILE || (env.RENDER
+      ? path.join("/tmp", "erpData.json")
+      : path.join(process.cwd(), "erpData.json"))
+  };
+}
+
+// Build the sales order repository for the configured backend
+export function createRepository(config = storageConfig()) {
+  const create = ADAPTERS[config.backend];
+  if (!create) {
+    throw new Error(`Unknown STORAGE_BACKEND "${config.backend}" (expected ${Object.keys(ADAPTERS).join(", ")})`);
+  }
+  return create(config);
+}
@@ -0,0 +1,365 @@
+// Canonical schema shared by every SQL backend.
+// Each migration lists its statements per dialect; a function receives `query(sql, params) => rows`.
+
+// Columns written by the old chat-main MySQL entry point -> canonical names
+const LEGACY_MYSQL_COLUMNS = [
+  ["Name_Cust", "customer_name VARCHAR(255)"],
+  ["Name_Empl", "sales_rep VARCHAR(255)"],
+  ["gpRate", "gp_rate DECIMAL(7,2)"],
+  ["Status_TransH", "status VARCHAR(64)"],
+  ["DateCreated_TransH", "date_created DATE"],
+  ["Memo_TransH", "memo TEXT"],
+  ["ContractDescription_TransH", "contract_description TEXT"]
+];
+
+// Weighted search document for Postgres full-text search: customer, then contract, then memo.
+// Queries must use the same expression for the GIN index to apply.
+export const SEARCH_VECTOR = `(
+  setweight(to_tsvector('simple', coalesce(customer_name, '')), 'A') ||
+  setweight(to_tsvector('simple', coalesce(contract_description, '')), 'B') ||
+  setweight(to_tsvector('simple', coalesce(memo, '')), 'C')
+)`;
+
+export const migrations = [
+  {
+    version: 1,
+    name: "sales_orders",
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS sales_orders (
+        so_pk TEXT PRIMARY KEY,
+        so_number TEXT,
+        date_created DATE,
+        status TEXT,
+        customer_name TEXT,
+        sales_rep TEXT,
+        division TEXT,
+        amount NUMERIC(14,2) NOT NULL DEFAULT 0,
+        gp_rate NUMERIC(7,2) NOT NULL DEFAULT 0,
+        memo TEXT,
+        contract_description TEXT
+      )`,
+      // Tables created before contract descriptions were stored
+      "ALTER TABLE sales_orders ADD COLUMN IF NOT EXISTS contract_description TEXT"
+    ],
+    mysql: async (query) => {
+      const legacy = await query(
+        `SELECT COLUMN_NAME FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'sales_orders' AND COLUMN_NAME = 'Name_Cust'`
+      );
+      if (legacy.length) {
+        const changes = LEGACY_MYSQL_COLUMNS.map(([from, to]) => `CHANGE COLUMN ${from} ${to}`).join(", ");
+        await query(`ALTER TABLE sales_orders ${changes}`);
+        return;
+      }
+      await query(`CREATE TABLE IF NOT EXISTS sales_orders (
+        so_pk VARCHAR(64) PRIMARY KEY,
+        so_number VARCHAR(64),
+        date_created DATE,
+        status VARCHAR(64),
+        customer_name VARCHAR(255),
+        sales_rep VARCHAR(255),
+        division VARCHAR(255),
+        amount DECIMAL(14,2) NOT NULL DEFAULT 0,
+        gp_rate DECIMAL(7,2) NOT NULL DEFAULT 0,
+        memo TEXT,
+        contract_description TEXT
+      )`);
+    }
+  },
+  {
+    version: 2,
+    name: "sales_order_history",
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS sales_order_history (
+        id SERIAL PRIMARY KEY,
+        so_pk TEXT NOT NULL,
+        so_number TEXT,
+        changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        old_status TEXT,
+        new_status TEXT,
+        old_amount NUMERIC,
+        new_amount NUMERIC,
+        old_gp_rate NUMERIC,
+        new_gp_rate NUMERIC
+      )`,
+      "CREATE INDEX IF NOT EXISTS sales_order_history_so_pk_idx ON sales_order_history (so_pk)",
+      "CREATE INDEX IF NOT EXISTS sales_order_history_changed_at_idx ON sales_order_history (changed_at)"
+    ],
+    mysql: [
+      `CREATE TABLE IF NOT EXISTS sales_order_history (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        so_pk VARCHAR(64) NOT NULL,
+        so_number VARCHAR(64),
+        changed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        old_status VARCHAR(64),
+        new_status VARCHAR(64),
+        old_amount DECIMAL(14,2),
+        new_amount DECIMAL(14,2),
+        old_gp_rate DECIMAL(7,2),
+        new_gp_rate DECIMAL(7,2),
+        INDEX sales_order_history_so_pk_idx (so_pk),
+        INDEX sales_order_history_changed_at_idx (changed_at)
+      )`
+    ]
+  },
+  {
+    version: 3,
+    name: "erp_sync",
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS erp_sync_state (
+        range_key TEXT PRIMARY KEY,
+        last_synced_at TIMESTAMPTZ NOT NULL,
+        rows_fetched INTEGER NOT NULL DEFAULT 0
+      )`,
+      `CREATE TABLE IF NOT EXISTS erp_sync_history (
+        id SERIAL PRIMARY KEY,
+        range_key TEXT NOT NULL,
+        started_at TIMESTAMPTZ NOT NULL,
+        finished_at TIMESTAMPTZ,
+        rows_fetched INTEGER NOT NULL DEFAULT 0,
+        rows_changed INTEGER NOT NULL DEFAULT 0,
+        error TEXT
+      )`
+    ],
+    mysql: [
+      `CREATE TABLE IF NOT EXISTS erp_sync_state (
+        range_key VARCHAR(32) PRIMARY KEY,
+        last_synced_at DATETIME NOT NULL,
+        rows_fetched INT NOT NULL DEFAULT 0
+      )`,
+      `CREATE TABLE IF NOT EXISTS erp_sync_history (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        range_key VARCHAR(32) NOT NULL,
+        started_at DATETIME NOT NULL,
+        finished_at DATETIME,
+        rows_fetched INT NOT NULL DEFAULT 0,
+        rows_changed INT NOT NULL DEFAULT 0,
+        error TEXT
+      )`
+    ]
+  },
+  {
+    version: 4,
+    name: "users",
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS users (
+        username TEXT PRIMARY KEY,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL,
+        sales_rep TEXT,
+        division TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )`,
+      `CREATE TABLE IF NOT EXISTS user_sessions (
+        token_hash TEXT PRIMARY KEY,
+        username TEXT NOT NULL REFERENCES users (username) ON DELETE CASCADE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        expires_at TIMESTAMPTZ NOT NULL
+      )`
+    ],
+    mysql: [
+      `CREATE TABLE IF NOT EXISTS users (
+        username VARCHAR(64) PRIMARY KEY,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(16) NOT NULL,
+        sales_rep VARCHAR(255),
+        division VARCHAR(255),
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )`,
+      `CREATE TABLE IF NOT EXISTS user_sessions (
+        token_hash CHAR(64) PRIMARY KEY,
+        username VARCHAR(64) NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        FOREIGN KEY (username) REFERENCES users (username) ON DELETE CASCADE
+      )`
+    ]
+  },
+  {
+    version: 5,
+    name: "chat_audit_log",
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS chat_audit_log (
+        id SERIAL PRIMARY KEY,
+        asked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        username TEXT,
+        session_id TEXT,
+        question TEXT,
+        parsed JSONB,
+        intent TEXT,
+        match_count INTEGER,
+        answer_type TEXT,
+        unhandled BOOLEAN NOT NULL DEFAULT FALSE,
+        latency_ms INTEGER,
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        error TEXT
+      )`,
+      "CREATE INDEX IF NOT EXISTS chat_audit_log_asked_at_idx ON chat_audit_log (asked_at)",
+      "CREATE INDEX IF NOT EXISTS chat_audit_log_username_idx ON chat_audit_log (username)"
+    ],
+    mysql: [
+      `CREATE TABLE IF NOT EXISTS chat_audit_log (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        asked_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        username VARCHAR(64),
+        session_id VARCHAR(128),
+        question TEXT,
+        parsed JSON,
+        intent VARCHAR(32),
+        match_count INT,
+        answer_type VARCHAR(16),
+        unhandled BOOLEAN NOT NULL DEFAULT FALSE,
+        latency_ms INT,
+        prompt_tokens INT NOT NULL DEFAULT 0,
+        completion_tokens INT NOT NULL DEFAULT 0,
+        error TEXT,
+        INDEX chat_audit_log_asked_at_idx (asked_at),
+        INDEX chat_audit_log_username_idx (username)
+      )`
+    ]
+  },
+  {
+    version: 6,
+    name: "sales_order_search",
+    postgres: [
+      `CREATE INDEX IF NOT EXISTS sales_orders_search_idx ON sales_orders USING GIN (${SEARCH_VECTOR})`
+    ],
+    mysql: [
+      "ALTER TABLE sales_orders ADD FULLTEXT INDEX sales_orders_search_idx (customer_name, contract_description, memo)"
+    ]
+  },
+  {
+    version: 7,
+    name: "report_definitions",
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS report_definitions (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        owner TEXT NOT NULL REFERENCES users (username) ON DELETE CASCADE,
+        question TEXT,
+        parsed JSONB NOT NULL,
+        schedule TEXT NOT NULL,
+        transport TEXT NOT NULL,
+        recipients JSONB NOT NULL,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        last_run_at TIMESTAMPTZ,
+        last_error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )`
+    ],
+    mysql: [
+      `CREATE TABLE IF NOT EXISTS report_definitions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        owner VARCHAR(64) NOT NULL,
+        question TEXT,
+        parsed JSON NOT NULL,
+        schedule VARCHAR(128) NOT NULL,
+        transport VARCHAR(16) NOT NULL,
+        recipients JSON NOT NULL,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        last_run_at DATETIME,
+        last_error TEXT,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (owner) REFERENCES users (username) ON DELETE CASCADE
+      )`
+    ]
+  },
+  {
+    version: 8,
+    name: "alerts",
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS alert_rules (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        owner TEXT NOT NULL REFERENCES users (username) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        params JSONB NOT NULL,
+        delivery TEXT NOT NULL DEFAULT 'feed',
+        target TEXT,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )`,
+      `CREATE TABLE IF NOT EXISTS alert_notifications (
+        id SERIAL PRIMARY KEY,
+        rule_id INTEGER NOT NULL REFERENCES alert_rules (id) ON DELETE CASCADE,
+        username TEXT NOT NULL,
+        dedupe_key TEXT NOT NULL,
+        message TEXT NOT NULL,
+        details JSONB,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        read_at TIMESTAMPTZ,
+        UNIQUE (rule_id, dedupe_key)
+      )`,
+      "CREATE INDEX IF NOT EXISTS alert_notifications_username_idx ON alert_notifications (username, created_at)"
+    ],
+    mysql: [
+      `CREATE TABLE IF NOT EXISTS alert_rules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        owner VARCHAR(64) NOT NULL,
+        type VARCHAR(32) NOT NULL,
+        params JSON NOT NULL,
+        delivery VARCHAR(16) NOT NULL DEFAULT 'feed',
+        target TEXT,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (owner) REFERENCES users (username) ON DELETE CASCADE
+      )`,
+      `CREATE TABLE IF NOT EXISTS alert_notifications (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        rule_id INT NOT NULL,
+        username VARCHAR(64) NOT NULL,
+        dedupe_key VARCHAR(255) NOT NULL,
+        message TEXT NOT NULL,
+        details JSON,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        read_at DATETIME,
+        UNIQUE KEY alert_notifications_dedupe (rule_id, dedupe_key),
+        INDEX alert_notifications_username_idx (username, created_at),
+        FOREIGN KEY (rule_id) REFERENCES alert_rules (id) ON DELETE CASCADE
+      )`
+    ]
+  },
+  {
+    version: 9,
+    name: "alert_delivery",
+    postgres: [
+      `ALTER TABLE alert_notifications
+        ADD COLUMN IF NOT EXISTS delivery_pending BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS delivery_attempts INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS delivery_error TEXT`,
+      "CREATE INDEX IF NOT EXISTS alert_notifications_pending_idx ON alert_notifications (id) WHERE delivery_pending"
+    ],
+    mysql: [
+      `ALTER TABLE alert_notifications
+        ADD COLUMN delivery_pending BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN delivery_attempts INT NOT NULL DEFAULT 0,
+        ADD COLUMN delivery_error TEXT,
+        ADD INDEX alert_notifications_pending_idx (delivery_pending)`
+    ]
+  }
+];
+
+// Apply pending migrations in order, recording each in schema_migrations
+export async function runMigrations(dialect, query) {
+  await query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(128) NOT NULL,
+    applied_at ${dialect === "postgres" ? "TIMESTAMPTZ" : "DATETIME"} NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`);
+  const applied = new Set((await query("SELECT version FROM schema_migrations")).map(r => Number(r.version)));
+  const insert = dialect === "postgres"
+    ? "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)"
+    : "INSERT INTO schema_migrations (version, name) VALUES (?, ?)";
+
+  for (const migration of migrations) {
+    if (applied.has(migration.version)) continue;
+    const steps = migration[dialect];
+    if (typeof steps === "function") await steps(query);
+    else for (const sql of steps) await query(sql);
+    await query(insert, [migration.version, migration.name]);
+    console.log(`✅ Applied migration ${migration.version} (${migration.name})`);
+  }
+}
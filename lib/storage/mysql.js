@@ -0,0 +1,330 @@
+import mysql from "mysql2/promise";
+import { runMigrations } from "./migrations.js";
+import {
+  hasTrackedChange, historyEntry, SALES_ORDER_COLUMNS, salesOrderValues, REPORT_COLUMNS, reportValues, fromReportRow,
+  ALERT_RULE_COLUMNS, alertRuleValues, fromAlertRuleRow, fromNotificationRow
+} from "./common.js";
+import { fromDbRow } from "../salesOrders.js";
+
+const placeholders = (count) => Array(count).fill("?").join(", ");
+
+export function createMysqlRepository(config) {
+  const db = mysql.createPool({
+    host: config.host,
+    user: config.user,
+    password: config.password,
+    database: config.database,
+    port: config.port || 3306,
+    dateStrings: ["DATE"]
+  });
+
+  const query = async (sql, params) => (await db.query(sql, params))[0];
+
+  const upsertSql = `INSERT INTO sales_orders (${SALES_ORDER_COLUMNS.join(", ")})
+    VALUES (${placeholders(SALES_ORDER_COLUMNS.length)})
+    ON DUPLICATE KEY UPDATE
+    ${SALES_ORDER_COLUMNS.slice(1).map(c => `${c} = VALUES(${c})`).join(",\n    ")}`;
+
+  return {
+    backend: "mysql",
+    db,
+
+    migrate: () => runMigrations("mysql", query),
+
+    async ping() {
+      await db.query("SELECT 1");
+    },
+
+    async loadSalesOrders() {
+      return (await query("SELECT * FROM sales_orders")).map(fromDbRow);
+    },
+
+    // Ranked full-text search over customer, contract description and memo
+    async searchSalesOrders(text, limit = 500) {
+      const rows = await query(
+        `SELECT *, MATCH (customer_name, contract_description, memo) AGAINST (? IN NATURAL LANGUAGE MODE) AS search_rank
+        FROM sales_orders
+        WHERE MATCH (customer_name, contract_description, memo) AGAINST (? IN NATURAL LANGUAGE MODE)
+        ORDER BY search_rank DESC, date_created DESC
+        LIMIT ?`,
+        [text, text, limit]
+      );
+      return rows.map(r => ({ ...fromDbRow(r), search_rank: Number(r.search_rank) }));
+    },
+
+    // Insert new orders, update changed ones and record tracked-field history
+    async upsertSalesOrders(rows) {
+      const conn = await db.getConnection();
+      let added = 0;
+      let updated = 0;
+
+      try {
+        await conn.beginTransaction();
+        for (const so of rows) {
+          const [[old]] = await conn.query(
+            "SELECT status, amount, gp_rate FROM sales_orders WHERE so_pk = ? FOR UPDATE",
+            [String(so.so_pk)]
+          );
+          await conn.query(upsertSql, salesOrderValues(so));
+
+          if (!hasTrackedChange(old, so)) continue;
+          const entry = historyEntry(old, so);
+          await conn.query(
+            `INSERT INTO sales_order_history (${Object.keys(entry).join(", ")})
+            VALUES (${placeholders(Object.keys(entry).length)})`,
+            Object.values(entry)
+          );
+          if (old) updated++;
+          else added++;
+        }
+        await conn.commit();
+      } catch (err) {
+        await conn.rollback();
+        throw err;
+      } finally {
+        conn.release();
+      }
+
+      return { added, updated };
+    },
+
+    // Move orders (and their history) to new keys: [{ from, to }]
+    async rekeySalesOrders(pairs) {
+      const conn = await db.getConnection();
+      try {
+        await conn.beginTransaction();
+        for (const { from, to } of pairs) {
+          await conn.query("UPDATE sales_orders SET so_pk = ? WHERE so_pk = ?", [String(to), String(from)]);
+          await conn.query("UPDATE sales_order_history SET so_pk = ? WHERE so_pk = ?", [String(to), String(from)]);
+        }
+        await conn.commit();
+      } catch (err) {
+        await conn.rollback();
+        throw err;
+      } finally {
+        conn.release();
+      }
+    },
+
+    // Status changes recorded in the last N days
+    recentStatusChanges(days) {
+      return query(
+        `SELECT h.*, o.customer_name, o.sales_rep FROM sales_order_history h
+        LEFT JOIN sales_orders o ON o.so_pk = h.so_pk
+        WHERE h.old_status IS NOT NULL AND h.old_status <> h.new_status
+          AND h.changed_at >= NOW() - INTERVAL ? DAY
+        ORDER BY h.changed_at DESC, h.id DESC`,
+        [days]
+      );
+    },
+
+    // Full change history of one sales order
+    orderHistory(soNumber) {
+      return query(
+        "SELECT * FROM sales_order_history WHERE lower(so_number) = lower(?) ORDER BY changed_at, id",
+        [soNumber]
+      );
+    },
+
+    async getSyncWatermarks() {
+      const rows = await query("SELECT range_key, last_synced_at, rows_fetched FROM erp_sync_state");
+      return new Map(rows.map(r => [r.range_key, r]));
+    },
+
+    async saveSyncWatermark(key, { last_synced_at, rows_fetched }) {
+      await query(
+        `INSERT INTO erp_sync_state (range_key, last_synced_at, rows_fetched) VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE last_synced_at = VALUES(last_synced_at), rows_fetched = VALUES(rows_fetched)`,
+        [key, last_synced_at, rows_fetched]
+      );
+    },
+
+    async recordSyncRun(run) {
+      await query(
+        `INSERT INTO erp_sync_history (range_key, started_at, finished_at, rows_fetched, rows_changed, error)
+        VALUES (?, ?, ?, ?, ?, ?)`,
+        [run.range_key, run.started_at, run.finished_at, run.rows_fetched, run.rows_changed, run.error]
+      );
+    },
+
+    syncHistory(limit = 50) {
+      return query("SELECT * FROM erp_sync_history ORDER BY started_at DESC LIMIT ?", [limit]);
+    },
+
+    async findUser(username) {
+      const [user] = await query("SELECT * FROM users WHERE lower(username) = lower(?)", [username]);
+      return user;
+    },
+
+    listUsers() {
+      return query("SELECT username, role, sales_rep, division, created_at FROM users ORDER BY username");
+    },
+
+    async saveUser(user) {
+      await query(
+        `INSERT INTO users (username, password_hash, role, sales_rep, division) VALUES (?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE password_hash = VALUES(password_hash), role = VALUES(role),
+          sales_rep = VALUES(sales_rep), division = VALUES(division)`,
+        [user.username, user.password_hash, user.role, user.sales_rep, user.division]
+      );
+    },
+
+    async createSession({ token_hash, username, expires_at }) {
+      await query("DELETE FROM user_sessions WHERE expires_at < NOW()");
+      await query("INSERT INTO user_sessions (token_hash, username, expires_at) VALUES (?, ?, ?)", [token_hash, username, expires_at]);
+    },
+
+    // User behind an unexpired session token
+    async sessionUser(tokenHash) {
+      const [user] = await query(
+        `SELECT u.* FROM user_sessions s JOIN users u ON u.username = s.username
+        WHERE s.token_hash = ? AND s.expires_at > NOW()`,
+        [tokenHash]
+      );
+      return user;
+    },
+
+    async deleteSession(tokenHash) {
+      await query("DELETE FROM user_sessions WHERE token_hash = ?", [tokenHash]);
+    },
+
+    async recordQuestion(entry) {
+      await query(
+        `INSERT INTO chat_audit_log (asked_at, username, session_id, question, parsed, intent,
+          match_count, answer_type, unhandled, latency_ms, prompt_tokens, completion_tokens, error)
+        VALUES (${placeholders(13)})`,
+        [
+          entry.asked_at, entry.username, entry.session_id, entry.question, JSON.stringify(entry.parsed),
+          entry.intent, entry.match_count, entry.answer_type, entry.unhandled, entry.latency_ms,
+          entry.prompt_tokens, entry.completion_tokens, entry.error
+        ]
+      );
+    },
+
+    // Audit entries since a date, newest first, optionally for one user
+    auditEntries({ since, username = null, limit = 1000 }) {
+      return query(
+        `SELECT * FROM chat_audit_log WHERE asked_at >= ? AND (? IS NULL OR username = ?)
+        ORDER BY asked_at DESC LIMIT ?`,
+        [since, username, username, limit]
+      );
+    },
+
+    // Delete audit entries asked before a date; returns how many were removed
+    async pruneQuestions(before) {
+      return (await query("DELETE FROM chat_audit_log WHERE asked_at < ?", [before])).affectedRows;
+    },
+
+    // Report definitions, optionally only one owner's
+    async listReports(owner = null) {
+      const rows = await query("SELECT * FROM report_definitions WHERE (? IS NULL OR owner = ?) ORDER BY id", [owner, owner]);
+      return rows.map(fromReportRow);
+    },
+
+    async findReport(id) {
+      const [row] = await query("SELECT * FROM report_definitions WHERE id = ?", [id]);
+      return row && fromReportRow(row);
+    },
+
+    // Insert a new definition, or update the one with report.id
+    async saveReport(report) {
+      const values = reportValues(report);
+      let id = report.id;
+      if (id) {
+        await query(
+          `UPDATE report_definitions SET ${REPORT_COLUMNS.map(c => `${c} = ?`).join(", ")} WHERE id = ?`,
+          [...values, id]
+        );
+      } else {
+        ({ insertId: id } = await query(
+          `INSERT INTO report_definitions (${REPORT_COLUMNS.join(", ")}) VALUES (${placeholders(REPORT_COLUMNS.length)})`,
+          values
+        ));
+      }
+      return this.findReport(id);
+    },
+
+    async deleteReport(id) {
+      await query("DELETE FROM report_definitions WHERE id = ?", [id]);
+    },
+
+    async markReportRun(id, { last_run_at, last_error }) {
+      await query("UPDATE report_definitions SET last_run_at = ?, last_error = ? WHERE id = ?", [last_run_at, last_error, id]);
+    },
+
+    // Alert rules, optionally only one owner's
+    async listAlertRules(owner = null) {
+      const rows = await query("SELECT * FROM alert_rules WHERE (? IS NULL OR owner = ?) ORDER BY id", [owner, owner]);
+      return rows.map(fromAlertRuleRow);
+    },
+
+    async findAlertRule(id) {
+      const [row] = await query("SELECT * FROM alert_rules WHERE id = ?", [id]);
+      return row && fromAlertRuleRow(row);
+    },
+
+    // Insert a new rule, or update the one with rule.id
+    async saveAlertRule(rule) {
+      const values = alertRuleValues(rule);
+      let id = rule.id;
+      if (id) {
+        await query(`UPDATE alert_rules SET ${ALERT_RULE_COLUMNS.map(c => `${c} = ?`).join(", ")} WHERE id = ?`, [...values, id]);
+      } else {
+        ({ insertId: id } = await query(
+          `INSERT INTO alert_rules (${ALERT_RULE_COLUMNS.join(", ")}) VALUES (${placeholders(ALERT_RULE_COLUMNS.length)})`,
+          values
+        ));
+      }
+      return this.findAlertRule(id);
+    },
+
+    async deleteAlertRule(id) {
+      await query("DELETE FROM alert_rules WHERE id = ?", [id]);
+    },
+
+    // False when the rule already raised this alert
+    async recordNotification(n) {
+      const result = await query(
+        `INSERT IGNORE INTO alert_notifications (rule_id, username, dedupe_key, message, details, delivery_pending)
+        VALUES (?, ?, ?, ?, ?, ?)`,
+        [n.rule_id, n.username, n.dedupe_key, n.message, JSON.stringify(n.details), !!n.delivery_pending]
+      );
+      return result.affectedRows > 0;
+    },
+
+    // Notifications still to be pushed to a webhook, oldest first
+    async pendingDeliveries() {
+      const rows = await query("SELECT * FROM alert_notifications WHERE delivery_pending ORDER BY id");
+      return rows.map(fromNotificationRow);
+    },
+
+    async updateDelivery(id, { pending, attempts, error = null }) {
+      await query(
+        "UPDATE alert_notifications SET delivery_pending = ?, delivery_attempts = ?, delivery_error = ? WHERE id = ?",
+        [pending, attempts, error, id]
+      );
+    },
+
+    // A user's notifications, newest first
+    async notifications(username, { unreadOnly = false, limit = 50 } = {}) {
+      const rows = await query(
+        `SELECT * FROM alert_notifications WHERE username = ? AND (NOT ? OR read_at IS NULL)
+        ORDER BY created_at DESC, id DESC LIMIT ?`,
+        [username, unreadOnly, limit]
+      );
+      return rows.map(fromNotificationRow);
+    },
+
+    // Mark some (or, without ids, all) of a user's notifications read
+    async markNotificationsRead(username, ids = null) {
+      if (ids && !ids.length) return;
+      await query(
+        `UPDATE alert_notifications SET read_at = NOW()
+        WHERE username = ? AND read_at IS NULL${ids ? " AND id IN (?)" : ""}`,
+        ids ? [username, ids] : [username]
+      );
+    },
+
+    close: () => db.end()
+  };
+}
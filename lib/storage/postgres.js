@@ -0,0 +1,333 @@
+import pkg from "pg";
+import { runMigrations, SEARCH_VECTOR } from "./migrations.js";
+import {
+  hasTrackedChange, historyEntry, SALES_ORDER_COLUMNS, salesOrderValues, REPORT_COLUMNS, reportValues, fromReportRow,
+  ALERT_RULE_COLUMNS, alertRuleValues, fromAlertRuleRow, fromNotificationRow
+} from "./common.js";
+import { fromDbRow } from "../salesOrders.js";
+
+const { Pool } = pkg;
+
+const placeholders = (count, offset = 0) => Array.from({ length: count }, (_, i) => `$${i + 1 + offset}`).join(",");
+
+export function createPostgresRepository(config) {
+  const pool = new Pool({
+    host: config.host,
+    user: config.user,
+    password: config.password,
+    database: config.database,
+    port: config.port || 5432,
+    ssl: config.ssl === false ? false : {
+      rejectUnauthorized: false // allows self-signed SSL certs
+    }
+  });
+
+  const query = async (sql, params) => (await pool.query(sql, params)).rows;
+
+  const upsertSql = `INSERT INTO sales_orders (${SALES_ORDER_COLUMNS.join(", ")})
+    VALUES (${placeholders(SALES_ORDER_COLUMNS.length)})
+    ON CONFLICT (so_pk) DO UPDATE SET
+    ${SALES_ORDER_COLUMNS.slice(1).map(c => `${c} = EXCLUDED.${c}`).join(",\n    ")}`;
+
+  return {
+    backend: "postgres",
+    pool,
+
+    migrate: () => runMigrations("postgres", query),
+
+    async ping() {
+      await pool.query("SELECT 1");
+    },
+
+    async loadSalesOrders() {
+      return (await query("SELECT * FROM sales_orders")).map(fromDbRow);
+    },
+
+    // Ranked full-text search over customer, contract description and memo
+    async searchSalesOrders(text, limit = 500) {
+      const rows = await query(
+        `SELECT o.*, ts_rank(${SEARCH_VECTOR}, q) AS search_rank
+        FROM sales_orders o, websearch_to_tsquery('simple', $1) q
+        WHERE ${SEARCH_VECTOR} @@ q
+        ORDER BY search_rank DESC, date_created DESC
+        LIMIT $2`,
+        [text, limit]
+      );
+      return rows.map(r => ({ ...fromDbRow(r), search_rank: Number(r.search_rank) }));
+    },
+
+    // Insert new orders, update changed ones and record tracked-field history
+    async upsertSalesOrders(rows) {
+      const client = await pool.connect();
+      let added = 0;
+      let updated = 0;
+
+      try {
+        await client.query("BEGIN");
+        for (const so of rows) {
+          const { rows: [old] } = await client.query(
+            "SELECT status, amount, gp_rate FROM sales_orders WHERE so_pk = $1 FOR UPDATE",
+            [String(so.so_pk)]
+          );
+          await client.query(upsertSql, salesOrderValues(so));
+
+          if (!hasTrackedChange(old, so)) continue;
+          const entry = historyEntry(old, so);
+          await client.query(
+            `INSERT INTO sales_order_history (${Object.keys(entry).join(", ")})
+            VALUES (${placeholders(Object.keys(entry).length)})`,
+            Object.values(entry)
+          );
+          if (old) updated++;
+          else added++;
+        }
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      return { added, updated };
+    },
+
+    // Move orders (and their history) to new keys: [{ from, to }]
+    async rekeySalesOrders(pairs) {
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        for (const { from, to } of pairs) {
+          await client.query("UPDATE sales_orders SET so_pk = $1 WHERE so_pk = $2", [String(to), String(from)]);
+          await client.query("UPDATE sales_order_history SET so_pk = $1 WHERE so_pk = $2", [String(to), String(from)]);
+        }
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+
+    // Status changes recorded in the last N days
+    recentStatusChanges(days) {
+      return query(
+        `SELECT h.*, o.customer_name, o.sales_rep FROM sales_order_history h
+        LEFT JOIN sales_orders o ON o.so_pk::text = h.so_pk
+        WHERE h.old_status IS NOT NULL AND h.old_status <> h.new_status
+          AND h.changed_at >= NOW() - make_interval(days => $1)
+        ORDER BY h.changed_at DESC, h.id DESC`,
+        [days]
+      );
+    },
+
+    // Full change history of one sales order
+    orderHistory(soNumber) {
+      return query(
+        "SELECT * FROM sales_order_history WHERE lower(so_number) = lower($1) ORDER BY changed_at, id",
+        [soNumber]
+      );
+    },
+
+    async getSyncWatermarks() {
+      const rows = await query("SELECT range_key, last_synced_at, rows_fetched FROM erp_sync_state");
+      return new Map(rows.map(r => [r.range_key, r]));
+    },
+
+    async saveSyncWatermark(key, { last_synced_at, rows_fetched }) {
+      await query(
+        `INSERT INTO erp_sync_state (range_key, last_synced_at, rows_fetched) VALUES ($1,$2,$3)
+        ON CONFLICT (range_key) DO UPDATE SET last_synced_at = EXCLUDED.last_synced_at, rows_fetched = EXCLUDED.rows_fetched`,
+        [key, last_synced_at, rows_fetched]
+      );
+    },
+
+    async recordSyncRun(run) {
+      await query(
+        `INSERT INTO erp_sync_history (range_key, started_at, finished_at, rows_fetched, rows_changed, error)
+        VALUES ($1,$2,$3,$4,$5,$6)`,
+        [run.range_key, run.started_at, run.finished_at, run.rows_fetched, run.rows_changed, run.error]
+      );
+    },
+
+    syncHistory(limit = 50) {
+      return query("SELECT * FROM erp_sync_history ORDER BY started_at DESC LIMIT $1", [limit]);
+    },
+
+    async findUser(username) {
+      const [user] = await query("SELECT * FROM users WHERE lower(username) = lower($1)", [username]);
+      return user;
+    },
+
+    listUsers() {
+      return query("SELECT username, role, sales_rep, division, created_at FROM users ORDER BY username");
+    },
+
+    async saveUser(user) {
+      await query(
+        `INSERT INTO users (username, password_hash, role, sales_rep, division) VALUES ($1,$2,$3,$4,$5)
+        ON CONFLICT (username) DO UPDATE SET password_hash = EXCLUDED.password_hash, role = EXCLUDED.role,
+          sales_rep = EXCLUDED.sales_rep, division = EXCLUDED.division`,
+        [user.username, user.password_hash, user.role, user.sales_rep, user.division]
+      );
+    },
+
+    async createSession({ token_hash, username, expires_at }) {
+      await query("DELETE FROM user_sessions WHERE expires_at < NOW()");
+      await query("INSERT INTO user_sessions (token_hash, username, expires_at) VALUES ($1,$2,$3)", [token_hash, username, expires_at]);
+    },
+
+    // User behind an unexpired session token
+    async sessionUser(tokenHash) {
+      const [user] = await query(
+        `SELECT u.* FROM user_sessions s JOIN users u ON u.username = s.username
+        WHERE s.token_hash = $1 AND s.expires_at > NOW()`,
+        [tokenHash]
+      );
+      return user;
+    },
+
+    async deleteSession(tokenHash) {
+      await query("DELETE FROM user_sessions WHERE token_hash = $1", [tokenHash]);
+    },
+
+    async recordQuestion(entry) {
+      await query(
+        `INSERT INTO chat_audit_log (asked_at, username, session_id, question, parsed, intent,
+          match_count, answer_type, unhandled, latency_ms, prompt_tokens, completion_tokens, error)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)`,
+        [
+          entry.asked_at, entry.username, entry.session_id, entry.question, JSON.stringify(entry.parsed),
+          entry.intent, entry.match_count, entry.answer_type, entry.unhandled, entry.latency_ms,
+          entry.prompt_tokens, entry.completion_tokens, entry.error
+        ]
+      );
+    },
+
+    // Audit entries since a date, newest first, optionally for one user
+    auditEntries({ since, username = null, limit = 1000 }) {
+      return query(
+        `SELECT * FROM chat_audit_log WHERE asked_at >= $1 AND ($2::text IS NULL OR username = $2)
+        ORDER BY asked_at DESC LIMIT $3`,
+        [since, username, limit]
+      );
+    },
+
+    // Delete audit entries asked before a date; returns how many were removed
+    async pruneQuestions(before) {
+      return (await pool.query("DELETE FROM chat_audit_log WHERE asked_at < $1", [before])).rowCount;
+    },
+
+    // Report definitions, optionally only one owner's
+    async listReports(owner = null) {
+      const rows = await query("SELECT * FROM report_definitions WHERE ($1::text IS NULL OR owner = $1) ORDER BY id", [owner]);
+      return rows.map(fromReportRow);
+    },
+
+    async findReport(id) {
+      const [row] = await query("SELECT * FROM report_definitions WHERE id = $1", [id]);
+      return row && fromReportRow(row);
+    },
+
+    // Insert a new definition, or update the one with report.id
+    async saveReport(report) {
+      const values = reportValues(report);
+      const [row] = report.id
+        ? await query(
+          `UPDATE report_definitions SET ${REPORT_COLUMNS.map((c, i) => `${c} = $${i + 1}`).join(", ")}
+          WHERE id = $${REPORT_COLUMNS.length + 1} RETURNING *`,
+          [...values, report.id]
+        )
+        : await query(
+          `INSERT INTO report_definitions (${REPORT_COLUMNS.join(", ")}) VALUES (${placeholders(REPORT_COLUMNS.length)}) RETURNING *`,
+          values
+        );
+      return row && fromReportRow(row);
+    },
+
+    async deleteReport(id) {
+      await query("DELETE FROM report_definitions WHERE id = $1", [id]);
+    },
+
+    async markReportRun(id, { last_run_at, last_error }) {
+      await query("UPDATE report_definitions SET last_run_at = $1, last_error = $2 WHERE id = $3", [last_run_at, last_error, id]);
+    },
+
+    // Alert rules, optionally only one owner's
+    async listAlertRules(owner = null) {
+      const rows = await query("SELECT * FROM alert_rules WHERE ($1::text IS NULL OR owner = $1) ORDER BY id", [owner]);
+      return rows.map(fromAlertRuleRow);
+    },
+
+    async findAlertRule(id) {
+      const [row] = await query("SELECT * FROM alert_rules WHERE id = $1", [id]);
+      return row && fromAlertRuleRow(row);
+    },
+
+    // Insert a new rule, or update the one with rule.id
+    async saveAlertRule(rule) {
+      const values = alertRuleValues(rule);
+      const [row] = rule.id
+        ? await query(
+          `UPDATE alert_rules SET ${ALERT_RULE_COLUMNS.map((c, i) => `${c} = $${i + 1}`).join(", ")}
+          WHERE id = $${ALERT_RULE_COLUMNS.length + 1} RETURNING *`,
+          [...values, rule.id]
+        )
+        : await query(
+          `INSERT INTO alert_rules (${ALERT_RULE_COLUMNS.join(", ")}) VALUES (${placeholders(ALERT_RULE_COLUMNS.length)}) RETURNING *`,
+          values
+        );
+      return row && fromAlertRuleRow(row);
+    },
+
+    async deleteAlertRule(id) {
+      await query("DELETE FROM alert_rules WHERE id = $1", [id]);
+    },
+
+    // False when the rule already raised this alert
+    async recordNotification(n) {
+      const rows = await query(
+        `INSERT INTO alert_notifications (rule_id, username, dedupe_key, message, details, delivery_pending)
+        VALUES ($1,$2,$3,$4,$5,$6)
+        ON CONFLICT (rule_id, dedupe_key) DO NOTHING RETURNING id`,
+        [n.rule_id, n.username, n.dedupe_key, n.message, JSON.stringify(n.details), !!n.delivery_pending]
+      );
+      return rows.length > 0;
+    },
+
+    // Notifications still to be pushed to a webhook, oldest first
+    async pendingDeliveries() {
+      const rows = await query("SELECT * FROM alert_notifications WHERE delivery_pending ORDER BY id");
+      return rows.map(fromNotificationRow);
+    },
+
+    async updateDelivery(id, { pending, attempts, error = null }) {
+      await query(
+        "UPDATE alert_notifications SET delivery_pending = $2, delivery_attempts = $3, delivery_error = $4 WHERE id = $1",
+        [id, pending, attempts, error]
+      );
+    },
+
+    // A user's notifications, newest first
+    async notifications(username, { unreadOnly = false, limit = 50 } = {}) {
+      const rows = await query(
+        `SELECT * FROM alert_notifications WHERE username = $1 AND (NOT $2 OR read_at IS NULL)
+        ORDER BY created_at DESC, id DESC LIMIT $3`,
+        [username, unreadOnly, limit]
+      );
+      return rows.map(fromNotificationRow);
+    },
+
+    // Mark some (or, without ids, all) of a user's notifications read
+    async markNotificationsRead(username, ids = null) {
+      await query(
+        `UPDATE alert_notifications SET read_at = NOW()
+        WHERE username = $1 AND read_at IS NULL AND ($2::int[] IS NULL OR id = ANY($2))`,
+        [username, ids]
+      );
+    },
+
+    close: () => pool.end()
+  };
+}
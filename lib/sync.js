@@ -0,0 +1,147 @@
+// Incremental ERP sync: per-range watermarks, change detection and run history
+import { toDateString } from "./salesOrders.js";
+
+const DEFAULT_START_YEAR = 2020;
+const DEFAULT_OPEN_YEARS = 2;                         // current + previous year keep changing status
+// The ERP has no modified-since filter, so every check of a year fetches all of its orders
+const DEFAULT_OPEN_RESYNC_MS = 5 * 60 * 1000;         // open years are re-fetched every 5 minutes
+const DEFAULT_FULL_RESYNC_MS = 24 * 60 * 60 * 1000;   // closed years are re-checked once a day
+
+// Fields that matter when deciding whether a stored order changed
+function defaultFingerprint(so) {
+  return JSON.stringify([
+    so.status, Number(so.amount), Number(so.gp_rate), so.customer, so.salesRep,
+    so.division, toDateString(so.date_created), so.memo || "", so.contract_description || ""
+  ]);
+}
+
+// One range per calendar year from startYear to the current year
+export function yearRanges(startYear, now = new Date()) {
+  const ranges = [];
+  for (let year = startYear; year <= now.getFullYear(); year++) {
+    ranges.push({ key: String(year), year, from: `${year}-01-01`, to: `${year}-12-31` });
+  }
+  return ranges;
+}
+
+// Decide whether a range is due given its watermark
+export function isRangeDue(range, watermark, { now, openYears, openResyncMs, fullResyncMs }) {
+  if (!watermark) return true;
+  const open = range.year > now.getFullYear() - openYears;
+  return now - new Date(watermark.last_synced_at) >= (open ? openResyncMs : fullResyncMs);
+}
+
+export function createSyncEngine({
+  fetchRange,                  // async (range) => summarized rows
+  mergeRows,                   // async (changedRows) => void
+  currentRows,                 // () => rows already cached in memory
+  store,                       // repository holding watermarks + history
+  afterSync = async () => {},  // async ({ changes, initial }) => void, after every run
+  fingerprint = defaultFingerprint,
+  startYear = DEFAULT_START_YEAR,
+  openYears = DEFAULT_OPEN_YEARS,
+  openResyncMs = DEFAULT_OPEN_RESYNC_MS,
+  fullResyncMs = DEFAULT_FULL_RESYNC_MS,
+  now = () => new Date()
+}) {
+  let running = null;
+  let timer = null;
+  let stopped = false;
+  // For health checks: when the last run finished, its first error, and the newest watermark
+  const state = { lastRunAt: null, lastError: null, lastSuccessAt: null };
+
+  // Merged rows are added to `changes` as { before, after }; before is null for new orders
+  async function syncRange(range, changes) {
+    const startedAt = new Date();
+    const run = { range_key: range.key, started_at: startedAt, rows_fetched: 0, rows_changed: 0, error: null };
+
+    try {
+      const rows = await fetchRange(range);
+      run.rows_fetched = rows.length;
+
+      const cached = currentRows();
+      const known = new Map(cached.map(o => [String(o.so_pk), o]));
+      // Orders imported from a spreadsheet are keyed by SO number until the ERP's key replaces it
+      const imported = new Map(cached.filter(o => String(o.so_pk) === String(o.so_number)).map(o => [String(o.so_number), o]));
+      const previous = (o) => known.get(String(o.so_pk)) || imported.get(String(o.so_number)) || null;
+      const changed = rows.filter(o => {
+        const before = previous(o);
+        return !before || fingerprint(before) !== fingerprint(o);
+      });
+      run.rows_changed = changed.length;
+
+      if (changed.length) {
+        await mergeRows(changed);
+        changes.push(...changed.map(o => ({ before: previous(o), after: o })));
+      }
+      await store.saveSyncWatermark(range.key, { last_synced_at: startedAt, rows_fetched: rows.length });
+    } catch (err) {
+      run.error = err.message || String(err);
+      run.fatal = !!err.fatal;
+      console.error(`ERP sync error for range ${range.key}:`, err.message || err);
+    }
+
+    run.finished_at = new Date();
+    const { fatal, ...history } = run;
+    await store.recordSyncRun(history).catch(err => console.error("Sync history error:", err));
+    return run;
+  }
+
+  async function runOnce() {
+    const current = now();
+    const watermarks = await store.getSyncWatermarks();
+    for (const w of watermarks.values()) {
+      if (!state.lastSuccessAt || new Date(w.last_synced_at) > state.lastSuccessAt) state.lastSuccessAt = new Date(w.last_synced_at);
+    }
+    const due = yearRanges(startYear, current)
+      .filter(range => isRangeDue(range, watermarks.get(range.key), { now: current, openYears, openResyncMs, fullResyncMs }));
+
+    // Nothing cached yet means this run loads everything, which isn't news to anyone
+    const initial = currentRows().length === 0;
+    const changes = [];
+    const runs = [];
+    for (const range of due) {
+      console.log(`Syncing ERP data for ${range.key}...`);
+      const run = await syncRange(range, changes);
+      runs.push(run);
+      if (run.fatal) {
+        // e.g. a rejected token: every other range would fail the same way
+        console.error(`ERP sync stopped after ${range.key}: ${run.error}`);
+        break;
+      }
+      if (!run.error) console.log(`✅ Synced ${range.key}: ${run.rows_fetched} fetched, ${run.rows_changed} changed`);
+    }
+    for (const run of runs) {
+      if (!run.error && (!state.lastSuccessAt || run.started_at > state.lastSuccessAt)) state.lastSuccessAt = run.started_at;
+    }
+    state.lastRunAt = new Date();
+    state.lastError = runs.find(r => r.error)?.error || null;
+    await afterSync({ changes, initial }).catch(err => console.error("After-sync hook failed:", err));
+    return runs;
+  }
+
+  // Concurrent callers share the in-flight run instead of starting another one
+  function run() {
+    if (!running) {
+      running = runOnce().finally(() => { running = null; });
+    }
+    return running;
+  }
+
+  // Schedule the next run only after the previous one finished so runs never overlap
+  function start(intervalMs) {
+    stopped = false;
+    const loop = async () => {
+      await run().catch(err => console.error("ERP sync failed:", err));
+      if (!stopped) timer = setTimeout(loop, intervalMs);
+    };
+    return loop();
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(timer);
+  }
+
+  return { run, start, stop, isRunning: () => running !== null, status: () => ({ running: running !== null, ...state }) };
+}
@@ -0,0 +1,152 @@
+// Delivery of scheduled reports: the rendered message, and the transports that send it
+import crypto from "crypto";
+import fetch from "node-fetch";
+import nodemailer from "nodemailer";
+import { formatPeso } from "./format.js";
+
+const MIME_TYPES = {
+  pdf: "application/pdf",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+};
+
+const escapeHtml = (text) => String(text ?? "").replace(/[&<>"']/g, (c) => (
+  { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" }[c]
+));
+
+// Table cells formatted by column type, like the chat UI does
+function formatCell(value, type) {
+  if (value == null || value === "") return "";
+  if (type === "currency") return formatPeso(value);
+  if (type === "percent") return `${Number(value).toFixed(2)}%`;
+  return String(value);
+}
+
+function tableHtml({ columns, rows }) {
+  const head = columns.map(c => `<th style="text-align:left;border-bottom:1px solid #ccc;padding:4px 8px">${escapeHtml(c.label)}</th>`).join("");
+  const body = rows.map(row => `<tr>${columns.map(c => {
+    const align = ["currency", "percent", "number"].includes(c.type) ? "right" : "left";
+    return `<td style="text-align:${align};padding:4px 8px">${escapeHtml(formatCell(row[c.key], c.type))}</td>`;
+  }).join("")}</tr>`).join("\n");
+  return `<table style="border-collapse:collapse;font-family:sans-serif;font-size:13px">\n<tr>${head}</tr>\n${body}\n</table>`;
+}
+
+function tableText({ columns, rows }) {
+  return [
+    columns.map(c => c.label).join(" | "),
+    ...rows.map(row => columns.map(c => formatCell(row[c.key], c.type)).join(" | "))
+  ].join("\n");
+}
+
+// Subject, plain text, HTML and attachments for one report run. PDF and Excel answers
+// become attachments; tables are rendered inline.
+export function reportMessage(report, answer, generatedAt = new Date()) {
+  const subject = `${report.name} (${generatedAt.toLocaleDateString("en-PH", { dateStyle: "medium" })})`;
+  const footer = `Scheduled report "${report.name}" (${report.schedule}), generated ${generatedAt.toLocaleString("en-PH")}.`;
+  // Text answers already start with the stale-data warning; other answers carry it separately
+  const warning = answer.type !== "text" ? answer.warning : null;
+
+  if (MIME_TYPES[answer.type]) {
+    const text = [warning, `The ${answer.type.toUpperCase()} report is attached.`].filter(Boolean).join("\n\n");
+    return {
+      subject,
+      text: `${text}\n\n${footer}`,
+      html: `<p style="white-space:pre-line">${escapeHtml(text)}</p><p style="color:#666">${escapeHtml(footer)}</p>`,
+      attachments: [{ filename: answer.filename, content: Buffer.from(answer.data, "base64"), contentType: MIME_TYPES[answer.type] }]
+    };
+  }
+
+  const summary = [warning, answer.data].filter(Boolean).join("\n\n");
+  const table = answer.table?.rows.length ? answer.table : null;
+  return {
+    subject,
+    text: [summary, table && tableText(table), footer].filter(Boolean).join("\n\n"),
+    html: [
+      `<p style="white-space:pre-line;font-family:sans-serif">${escapeHtml(summary)}</p>`,
+      table && tableHtml(table),
+      `<p style="color:#666;font-family:sans-serif;font-size:12px">${escapeHtml(footer)}</p>`
+    ].filter(Boolean).join("\n"),
+    attachments: []
+  };
+}
+
+// SMTP delivery; any local SMTP catcher (e.g. MailHog on port 1025) works for testing
+export function createEmailTransport({ host, port = 587, secure = false, user, pass, from }) {
+  const mailer = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: "email",
+
+    // Recipients are email addresses
+    validRecipient: (recipient) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipient),
+
+    async send(message, recipients) {
+      await mailer.sendMail({
+        from,
+        to: recipients.join(", "),
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        attachments: message.attachments
+      });
+    }
+  };
+}
+
+// Admins may send to any URL; other users only to hosts on the allowed list (WEBHOOK_HOSTS),
+// so they can't make the server call addresses on its own network
+export function webhookAllowed(user, target, allowedHosts = []) {
+  if (user?.role === "admin") return true;
+  try {
+    return allowedHosts.includes(new URL(target).hostname.toLowerCase());
+  } catch {
+    return false;
+  }
+}
+
+// JSON POST to each recipient URL. With a secret, the body is signed in
+// X-Report-Signature (sha256 HMAC, hex) so the receiver can verify it came from us.
+export function createWebhookTransport({ secret = null, timeoutMs = 10_000 } = {}) {
+  return {
+    name: "webhook",
+
+    // Recipients are http(s) URLs
+    validRecipient: (recipient) => /^https?:\/\/\S+$/.test(recipient),
+
+    async send(message, recipients, payload) {
+      const body = JSON.stringify({ ...payload, subject: message.subject, text: message.text });
+      const headers = { "Content-Type": "application/json" };
+      if (secret) headers["X-Report-Signature"] = `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+
+      for (const url of recipients) {
+        const res = await fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(timeoutMs) });
+        if (!res.ok) throw new Error(`Webhook ${url} answered ${res.status}`);
+      }
+    }
+  };
+}
+
+// Transports configured in the environment; email needs SMTP_HOST, webhooks are always available
+export function createTransports(env = process.env) {
+  const transports = {
+    webhook: createWebhookTransport({
+      secret: env.REPORT_WEBHOOK_SECRET || null,
+      timeoutMs: Number(env.REPORT_WEBHOOK_TIMEOUT_MS) || 10_000
+    })
+  };
+  if (env.SMTP_HOST) {
+    transports.email = createEmailTransport({
+      host: env.SMTP_HOST,
+      port: Number(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE === "true",
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.REPORT_EMAIL_FROM || env.SMTP_USER || "reports@localhost"
+    });
+  }
+  return transports;
+}
@@ -0,0 +1,132 @@
+import ExcelJS from "exceljs";
+
+// Header aliases (lowercase, spaces/underscores stripped) -> ERP column name
+const HEADER_ALIASES = {
+  so_pk: ["sopk"],
+  so_upk: ["soupk", "sonumber", "sono", "salesorder", "salesorderno", "salesordernumber"],
+  DateCreated_TransH: ["datecreatedtransh", "datecreated", "date", "sodate", "orderdate"],
+  TotalAmount_TransH: ["totalamounttransh", "totalamount", "amount"],
+  gpRate: ["gprate", "gp", "gp%"],
+  Status_TransH: ["statustransh", "status"],
+  Name_Dept: ["namedept", "division", "department", "dept"],
+  Name_Empl: ["nameempl", "salesrep", "salesperson", "salespersonnel", "employee"],
+  Name_Cust: ["namecust", "customer", "customername", "client"],
+  ContractDescription_TransH: ["contractdescriptiontransh", "contractdescription", "contract"],
+  Memo_TransH: ["memotransh", "memo", "remarks"]
+};
+
+// Columns a sheet must have before it is treated as a sales order sheet
+const REQUIRED_COLUMNS = ["so_upk", "TotalAmount_TransH"];
+
+// How many rows from the top to scan for the header row
+const HEADER_SCAN_ROWS = 10;
+
+function normalizeHeader(value) {
+  return String(value ?? "").toLowerCase().replace(/[\s_.\-]/g, "");
+}
+
+function resolveColumn(header) {
+  const key = normalizeHeader(header);
+  if (!key) return null;
+  return Object.keys(HEADER_ALIASES).find(col => HEADER_ALIASES[col].includes(key)) || null;
+}
+
+// Unwrap ExcelJS rich text, formula and hyperlink cell values
+function cellValue(value) {
+  if (value == null) return null;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "object") {
+    if ("result" in value) return cellValue(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map(t => t.text).join("");
+    if ("text" in value) return value.text;
+    return null;
+  }
+  return value;
+}
+
+// Find the header row of a worksheet and map column numbers to ERP columns
+function findHeader(sheet) {
+  const lastRow = Math.min(sheet.rowCount, HEADER_SCAN_ROWS);
+  for (let r = 1; r <= lastRow; r++) {
+    const columns = {};
+    sheet.getRow(r).eachCell((cell, colNumber) => {
+      const col = resolveColumn(cellValue(cell.value));
+      if (col && !Object.values(columns).includes(col)) columns[colNumber] = col;
+    });
+    const found = Object.values(columns);
+    if (REQUIRED_COLUMNS.every(c => found.includes(c))) return { headerRow: r, columns };
+  }
+  return null;
+}
+
+// Read sales order rows from a workbook (file path or Buffer) as raw ERP-shaped objects
+export async function readSalesOrderRows(source, { sheetName } = {}) {
+  const workbook = new ExcelJS.Workbook();
+  if (Buffer.isBuffer(source)) await workbook.xlsx.load(source);
+  else await workbook.xlsx.readFile(source);
+
+  const sheets = sheetName ? [workbook.getWorksheet(sheetName)].filter(Boolean) : workbook.worksheets;
+  const rows = [];
+  let matchedSheets = 0;
+
+  for (const sheet of sheets) {
+    const header = findHeader(sheet);
+    if (!header) continue;
+    matchedSheets++;
+
+    sheet.eachRow((row, rowNumber) => {
+      if (rowNumber <= header.headerRow) return;
+      const so = {};
+      for (const [colNumber, col] of Object.entries(header.columns)) {
+        const value = cellValue(row.getCell(Number(colNumber)).value);
+        if (value != null && value !== "") so[col] = value;
+      }
+      if (!so.so_upk) return;
+      // Sheets exported outside the ERP have no primary key; the SO number is unique per order,
+      // and merging matches it to the ERP's key when sync has (or later brings) the same order
+      if (so.so_pk == null) so.so_pk = so.so_upk;
+      rows.push(so);
+    });
+  }
+
+  if (!matchedSheets) {
+    throw new Error("No sales order sheet found (expected at least an SO number and amount column)");
+  }
+  return rows;
+}
+
+// Build an .xlsx download of normalized sales orders in the shape the chat UI expects
+export async function exportSalesOrdersToXlsx(orders) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Sales Orders");
+
+  sheet.columns = [
+    { header: "SO Number", key: "so_number", width: 18 },
+    { header: "Date", key: "date_created", width: 12 },
+    { header: "Customer", key: "customer", width: 36 },
+    { header: "Sales Rep", key: "salesRep", width: 24 },
+    { header: "Division", key: "division", width: 18 },
+    { header: "Status", key: "status", width: 22 },
+    { header: "Amount", key: "amount", width: 16, style: { numFmt: "\"₱\"#,##0.00" } },
+    { header: "GP Rate", key: "gp_rate", width: 10, style: { numFmt: "0.00\"%\"" } },
+    { header: "Contract Description", key: "contract_description", width: 40 },
+    { header: "Memo", key: "memo", width: 40 }
+  ];
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+
+  for (const o of orders) {
+    sheet.addRow({
+      ...o,
+      date_created: o.date_created ? String(o.date_created).slice(0, 10) : ""
+    });
+  }
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  const stamp = new Date().toISOString().slice(0, 10);
+  return {
+    type: "xlsx",
+    filename: `sales-orders-${stamp}.xlsx`,
+    data: Buffer.from(buffer).toString("base64")
+  };
+}
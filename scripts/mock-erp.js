@@ -0,0 +1,72 @@
+// Local stand-in for the ERP sales order API, so the sync can run offline.
+//
+//   node scripts/mock-erp.js            serve the fixture on MOCK_ERP_PORT (default 4000)
+//   node scripts/mock-erp.js record     fetch every year from the real ERP_API into the fixture
+//
+// Then start the app with ERP_API=http://localhost:4000/. The fixture is a JSON array of raw
+// ERP rows (MOCK_ERP_FIXTURE, default fixtures/erp-sales-orders.json) and is re-read on every
+// request, so editing it simulates new or changed orders.
+// Failure injection: MOCK_ERP_TOKEN (401 on any other bearer token), MOCK_ERP_FAIL_RATE
+// (0-1, share of requests answered 503) and MOCK_ERP_DELAY_MS (slow responses).
+import http from "http";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import "dotenv/config";
+import { erpClientFromEnv, salesOrderQuery } from "../lib/erpClient.js";
+import { yearRanges } from "../lib/sync.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE = process.env.MOCK_ERP_FIXTURE || path.join(__dirname, "..", "fixtures", "erp-sales-orders.json");
+const PORT = Number(process.env.MOCK_ERP_PORT) || 4000;
+const TOKEN = process.env.MOCK_ERP_TOKEN;
+const FAIL_RATE = Number(process.env.MOCK_ERP_FAIL_RATE) || 0;
+const DELAY_MS = Number(process.env.MOCK_ERP_DELAY_MS) || 0;
+
+// Record the real ERP's answers for every sync range into the fixture
+async function record() {
+  const erp = erpClientFromEnv();
+  const rows = [];
+  for (const range of yearRanges(Number(process.env.SYNC_START_YEAR) || 2020)) {
+    const list = await erp.fetchAll(salesOrderQuery(range));
+    console.log(`Recorded ${list.length} orders for ${range.key}`);
+    rows.push(...list);
+  }
+  fs.mkdirSync(path.dirname(FIXTURE), { recursive: true });
+  fs.writeFileSync(FIXTURE, JSON.stringify(rows, null, 2));
+  console.log(`✅ Wrote ${rows.length} orders to ${FIXTURE}`);
+}
+
+function answer(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// Same request shape as the real API: filterDate range, limit and offset; rows come back in data[0]
+function serve() {
+  http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => setTimeout(() => {
+      if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return answer(res, 401, { error: "Unauthorized" });
+      if (Math.random() < FAIL_RATE) return answer(res, 503, { error: "Injected failure" });
+
+      let query;
+      try {
+        query = JSON.parse(body || "{}");
+      } catch {
+        return answer(res, 400, { error: "Invalid JSON" });
+      }
+      const from = query.filterDate?.date1?.date || "0000-01-01";
+      const to = query.filterDate?.date2?.date || "9999-12-31";
+      const offset = Number(query.offset) || 0;
+      const limit = Number(query.limit) || 500;
+      const rows = JSON.parse(fs.readFileSync(FIXTURE, "utf-8"))
+        .filter(r => String(r.DateCreated_TransH).slice(0, 10) >= from && String(r.DateCreated_TransH).slice(0, 10) <= to);
+      answer(res, 200, { data: [rows.slice(offset, offset + limit)] });
+    }, DELAY_MS));
+  }).listen(PORT, () => console.log(`✅ Mock ERP serving ${FIXTURE} on http://localhost:${PORT}/`));
+}
+
+if (process.argv[2] === "record") await record();
+else serve();
@@ -0,0 +1,91 @@
+// Local stand-in for the OpenAI chat completions API, so the chat pipelines can run without
+// a key or network.
+//
+//   node scripts/mock-openai.js         serve on MOCK_OPENAI_PORT (default 4001)
+//
+// Then start the app with OPENAI_BASE_URL=http://localhost:4001/v1 OPENAI_API_KEY=mock.
+// Requests that offer tools replay a script (MOCK_OPENAI_SCRIPT, default
+// fixtures/openai-tool-script.json): the Nth assistant turn of a conversation is the Nth entry,
+// either { "tool_calls": [{ "name", "arguments" }] } or { "content" }. Past the end of the
+// script, or when tools are switched off, it answers with the last tool result.
+// Question parsing gets MOCK_OPENAI_INTENT (default {"intent":"general"}); other prompts get a
+// short answer citing [F1], streamed word by word when asked to.
+import http from "http";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCRIPT = process.env.MOCK_OPENAI_SCRIPT || path.join(__dirname, "..", "fixtures", "openai-tool-script.json");
+const PORT = Number(process.env.MOCK_OPENAI_PORT) || 4001;
+const INTENT = process.env.MOCK_OPENAI_INTENT || JSON.stringify({ intent: "general" });
+
+const usage = { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 };
+
+// Next scripted turn for a tool-calling conversation
+function toolTurn(request) {
+  const turn = request.messages.filter(m => m.role === "assistant").length;
+  const script = JSON.parse(fs.readFileSync(SCRIPT, "utf-8"));
+  const entry = script[turn];
+  if (entry?.tool_calls && request.tool_choice !== "none") {
+    return {
+      role: "assistant",
+      content: null,
+      tool_calls: entry.tool_calls.map((call, i) => ({
+        id: `call_${turn}_${i}`,
+        type: "function",
+        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+      }))
+    };
+  }
+  const lastResult = [...request.messages].reverse().find(m => m.role === "tool");
+  return { role: "assistant", content: entry?.content || `Mock answer from the last tool result: ${lastResult?.content || "none"}` };
+}
+
+function reply(request) {
+  if (request.tools) return toolTurn(request);
+  const prompt = request.messages.map(m => m.content).join("\n");
+  if (prompt.includes("Return a JSON")) return { role: "assistant", content: INTENT };
+  return { role: "assistant", content: "Mock answer: you have orders [F1] worth [F2] in total." };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// The text answer as server-sent chunks, usage on the last one
+function stream(res, message) {
+  res.writeHead(200, { "Content-Type": "text/event-stream" });
+  const chunk = (fields) => res.write(`data: ${JSON.stringify({ id: "mock", object: "chat.completion.chunk", created: 0, model: "mock", ...fields })}\n\n`);
+  for (const word of String(message.content).split(/(?<= )/)) {
+    chunk({ choices: [{ index: 0, delta: { content: word }, finish_reason: null }] });
+  }
+  chunk({ choices: [], usage });
+  res.end("data: [DONE]\n\n");
+}
+
+http.createServer((req, res) => {
+  let body = "";
+  req.on("data", chunk => { body += chunk; });
+  req.on("end", () => {
+    if (req.method !== "POST" || !req.url.endsWith("/chat/completions")) return send(res, 404, { error: { message: "Not found" } });
+    let request;
+    try {
+      request = JSON.parse(body);
+    } catch {
+      return send(res, 400, { error: { message: "Invalid JSON" } });
+    }
+    const message = reply(request);
+    console.log(`${request.tools ? "tools" : "chat"} turn -> ${message.tool_calls ? message.tool_calls.map(c => c.function.name).join(", ") : "text"}`);
+    if (request.stream) return stream(res, message);
+    send(res, 200, {
+      id: "mock",
+      object: "chat.completion",
+      created: 0,
+      model: request.model,
+      choices: [{ index: 0, message, finish_reason: message.tool_calls ? "tool_calls" : "stop" }],
+      usage
+    });
+  });
+}).listen(PORT, () => console.log(`✅ Mock OpenAI listening on http://localhost:${PORT}/v1`));
@@ -0,0 +1,147 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createAlertEngine, validateAlertRule } from "../lib/alerts.js";
+import { createFileRepository } from "../lib/storage/file.js";
+import { createWebhookTransport, webhookAllowed } from "../lib/transports.js";
+
+const admin = { username: "admin", role: "admin" };
+const manager = { username: "maria", role: "manager" };
+const webhook = createWebhookTransport();
+
+const order = {
+  so_pk: 1001, so_number: "SO-2025-00001", date_created: "2025-10-14", amount: 250000, gp_rate: 30,
+  status: "PENDING BILLING", division: "CNC", salesRep: "JUAN DELA CRUZ", customer: "Globe Telecom"
+};
+const newOrder = { changes: [{ before: null, after: order }], orders: [order] };
+
+describe("webhookAllowed", () => {
+  it("lets admins use any URL and other users only listed hosts", () => {
+    assert.equal(webhookAllowed(admin, "http://169.254.169.254/latest/meta-data"), true);
+    assert.equal(webhookAllowed(manager, "http://169.254.169.254/latest/meta-data"), false);
+    assert.equal(webhookAllowed(manager, "https://hooks.slack.com/services/x", ["hooks.slack.com"]), true);
+    assert.equal(webhookAllowed(manager, "https://HOOKS.slack.com/x", ["hooks.slack.com"]), true);
+    assert.equal(webhookAllowed(manager, "https://hooks.slack.com.evil.test/x", ["hooks.slack.com"]), false);
+    assert.equal(webhookAllowed(manager, "http://localhost:3000/admin", ["hooks.slack.com"]), false);
+  });
+});
+
+describe("validateAlertRule", () => {
+  const rule = (target) => ({ name: "Big orders", type: "largeOrder", params: { amount: 100000 }, delivery: "webhook", target });
+
+  it("accepts feed rules from anyone", () => {
+    const checked = validateAlertRule({ name: "Cancellations", type: "cancelled" }, { webhook, owner: manager });
+    assert.equal(checked.ok, true);
+    assert.equal(checked.rule.delivery, "feed");
+  });
+
+  it("accepts webhook rules from admins", () => {
+    assert.equal(validateAlertRule(rule("http://10.0.0.5/hook"), { webhook, owner: admin }).ok, true);
+  });
+
+  it("rejects webhook rules from other users unless the host is allowed", () => {
+    assert.deepEqual(validateAlertRule(rule("http://10.0.0.5/hook"), { webhook, owner: manager }).errors, ["only admins can send alerts to a webhook"]);
+    const webhookHosts = ["hooks.slack.com"];
+    assert.match(validateAlertRule(rule("http://10.0.0.5/hook"), { webhook, owner: manager, webhookHosts }).errors[0], /hooks\.slack\.com/);
+    assert.equal(validateAlertRule(rule("https://hooks.slack.com/services/x"), { webhook, owner: manager, webhookHosts }).ok, true);
+  });
+});
+
+describe("createAlertEngine", () => {
+  let dir;
+  let store;
+  let sent;
+  let failures;
+  const fakeWebhook = {
+    send: async (message, recipients, payload) => {
+      if (failures > 0) {
+        failures--;
+        throw new Error("Webhook answered 503");
+      }
+      sent.push({ message, recipients, payload });
+    }
+  };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "alerts-"));
+    store = createFileRepository({ file: path.join(dir, "erpData.json") });
+    await store.saveUser(admin);
+    await store.saveUser(manager);
+    sent = [];
+    failures = 0;
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const saveRule = (fields) => store.saveAlertRule({
+    name: "Big orders", owner: "admin", type: "largeOrder", params: { amount: 100000 },
+    delivery: "webhook", target: "https://example.test/hook", enabled: true, ...fields
+  });
+
+  it("records an alert once and pushes it to the webhook", async () => {
+    await saveRule();
+    const engine = createAlertEngine({ store, webhook: fakeWebhook });
+    assert.equal(await engine.evaluate(newOrder), 1);
+    assert.equal(await engine.evaluate(newOrder), 0);
+    assert.equal(sent.length, 1);
+    assert.deepEqual(sent[0].recipients, ["https://example.test/hook"]);
+    const [notification] = await store.notifications("admin");
+    assert.deepEqual([notification.delivery_pending, notification.delivery_attempts], [false, 1]);
+  });
+
+  it("keeps a failed push pending and retries it after the next sync", async () => {
+    await saveRule();
+    const engine = createAlertEngine({ store, webhook: fakeWebhook });
+    failures = 1;
+    await engine.evaluate(newOrder);
+    assert.equal(sent.length, 0);
+    let [notification] = await store.notifications("admin");
+    assert.deepEqual([notification.delivery_pending, notification.delivery_attempts, notification.delivery_error], [true, 1, "Webhook answered 503"]);
+
+    await engine.evaluate({ changes: [], orders: [order] });
+    assert.equal(sent.length, 1);
+    [notification] = await store.notifications("admin");
+    assert.deepEqual([notification.delivery_pending, notification.delivery_attempts], [false, 2]);
+  });
+
+  it("gives up after the last attempt", async () => {
+    await saveRule();
+    const engine = createAlertEngine({ store, webhook: fakeWebhook, maxDeliveryAttempts: 2 });
+    failures = 5;
+    await engine.evaluate(newOrder);
+    await engine.evaluate({ changes: [], orders: [order] });
+    await engine.evaluate({ changes: [], orders: [order] });
+    const [notification] = await store.notifications("admin");
+    assert.deepEqual([notification.delivery_pending, notification.delivery_attempts, sent.length], [false, 2, 0]);
+    assert.equal(failures, 3);
+  });
+
+  it("does not push alerts of non-admin rules to hosts that are not allowed", async () => {
+    await saveRule({ owner: "maria", target: "http://10.0.0.5/hook" });
+    const engine = createAlertEngine({ store, webhook: fakeWebhook });
+    assert.equal(await engine.evaluate(newOrder), 1);
+    assert.equal(sent.length, 0);
+    const [notification] = await store.notifications("maria");
+    assert.equal(notification.delivery_pending, false);
+  });
+
+  it("matches customer and sales rep filters by name, not by substring", async () => {
+    const globeLabs = { ...order, so_pk: 1002, so_number: "SO-2025-00002", customer: "Globe Telecom Labs" };
+    const respelled = { ...order, so_pk: 1003, so_number: "SO-2025-00003", customer: "GLOBE  TELECOM", salesRep: "Dela Cruz, Juan" };
+    await saveRule({ delivery: "feed", target: null, params: { amount: 100000, customer: "Globe Telecom", salesRep: "JUAN DELA CRUZ" } });
+    const engine = createAlertEngine({ store, webhook: fakeWebhook });
+    const orders = [order, globeLabs, respelled];
+    await engine.evaluate({ changes: orders.map(o => ({ before: null, after: o })), orders });
+    const raised = (await store.notifications("admin")).map(n => n.details.so_number).sort();
+    assert.deepEqual(raised, ["SO-2025-00001", "SO-2025-00003"]);
+  });
+
+  it("does not push feed alerts", async () => {
+    await saveRule({ delivery: "feed", target: null });
+    const engine = createAlertEngine({ store, webhook: fakeWebhook });
+    assert.equal(await engine.evaluate(newOrder), 1);
+    assert.deepEqual([sent.length, (await store.pendingDeliveries()).length], [0, 0]);
+  });
+});
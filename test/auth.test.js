@@ -0,0 +1,93 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createAuth, dataScope, inScope } from "../lib/auth.js";
+import { createFileRepository } from "../lib/storage/file.js";
+import { summarizeERPData } from "../lib/salesOrders.js";
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const orders = summarizeERPData(JSON.parse(fs.readFileSync(path.join(root, "fixtures", "erp-sales-orders.json"), "utf-8")));
+const visibleTo = (user) => orders.filter(o => inScope(o, dataScope(user)));
+const distinct = (rows, key) => [...new Set(rows.map(o => o[key]))];
+
+// Runs a middleware on a request with these headers; resolves with the status it answered or "next"
+function run(middleware, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = { get: (name) => headers[name.toLowerCase()] };
+    const res = { status: (status) => ({ json: () => resolve({ status, req }) }) };
+    middleware(req, res, err => (err ? reject(err) : resolve({ status: "next", req })));
+  });
+}
+
+describe("dataScope", () => {
+  it("limits sales reps to their own orders", () => {
+    const mine = visibleTo({ role: "sales_rep", sales_rep: "maria santos" });
+    assert.ok(mine.length > 0);
+    assert.deepEqual(distinct(mine, "salesRep"), ["MARIA SANTOS"]);
+    assert.equal(mine.length, orders.filter(o => o.salesRep === "MARIA SANTOS").length);
+  });
+
+  it("shows a sales rep without a name nothing", () => {
+    assert.deepEqual(visibleTo({ role: "sales_rep" }), []);
+  });
+
+  it("limits managers to their division and leaves admins unrestricted", () => {
+    const division = visibleTo({ role: "manager", division: "CNC" });
+    assert.deepEqual(distinct(division, "division"), ["CNC"]);
+    assert.ok(distinct(division, "salesRep").length > 1);
+    assert.equal(visibleTo({ role: "admin", division: "CNC" }).length, orders.length);
+  });
+});
+
+describe("createAuth", () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-"));
+    store = createFileRepository({ file: path.join(dir, "erpData.json") });
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("logs in with the right password and authenticates its token", async () => {
+    const auth = createAuth({ store });
+    await auth.saveUser({ username: "maria", password: "correct horse", role: "sales_rep", salesRep: "MARIA SANTOS" });
+    const session = await auth.login("Maria", "correct horse");
+    assert.deepEqual(session.user, { username: "maria", role: "sales_rep", salesRep: "MARIA SANTOS", division: null });
+    const { status, req } = await run(auth.authenticate(), { authorization: `Bearer ${session.token}` });
+    assert.equal(status, "next");
+    assert.equal(req.user.username, "maria");
+  });
+
+  it("rejects a wrong password, a missing or unknown token and an expired session", async () => {
+    const auth = createAuth({ store });
+    await auth.saveUser({ username: "maria", password: "correct horse", role: "sales_rep", salesRep: "MARIA SANTOS" });
+    assert.equal(await auth.login("maria", "wrong horse"), null);
+    assert.equal(await auth.login("nobody", "correct horse"), null);
+    assert.equal((await run(auth.authenticate())).status, 401);
+    assert.equal((await run(auth.authenticate(), { authorization: "Bearer made-up" })).status, 401);
+
+    const expiring = createAuth({ store, sessionTtlMs: -1000 });
+    const { token } = await expiring.login("maria", "correct horse");
+    assert.equal((await run(expiring.authenticate(), { authorization: `Bearer ${token}` })).status, 401);
+  });
+
+  it("answers 403 to roles that are not allowed", async () => {
+    const only = createAuth({ store }).requireRole("admin", "manager");
+    assert.equal((await run((req, res, next) => { req.user = { role: "sales_rep" }; only(req, res, next); })).status, 403);
+  });
+
+  it("treats usernames that differ only in case as one user", async () => {
+    const auth = createAuth({ store });
+    await auth.saveUser({ username: "Maria", password: "correct horse", role: "sales_rep", salesRep: "MARIA SANTOS" });
+    await store.saveUser({ username: "MARIA", role: "manager", division: "CNC" });
+    const users = await store.listUsers();
+    assert.equal(users.length, 1);
+    assert.deepEqual([users[0].username, users[0].role], ["Maria", "manager"]);
+    assert.ok(await auth.login("maria", "correct horse"));
+  });
+});
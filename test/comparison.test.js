@@ -0,0 +1,49 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import { compareTotals, growthSeries, percentChange } from "../lib/comparison.js";
+
+const order = (date_created, amount, division = "CNC", status = "BILLED") => ({ date_created, amount, division, status });
+const orders = [
+  order("2025-01-10", 1000),
+  order("2025-01-20", 500, "SIGNAGE"),
+  order("2025-03-05", 1200),
+  order("2025-04-02", 900),
+  order("2025-04-15", 50000, "CNC", "CANCELLED"),
+  order("2024-04-10", 1000, "SIGNAGE")
+];
+const now = new Date(2025, 4, 31);
+
+describe("percentChange", () => {
+  it("keeps the sign of the change and has no percent from a zero base", () => {
+    assert.equal(percentChange(150, 100), 50);
+    assert.equal(percentChange(50, 100), -50);
+    assert.equal(percentChange(-50, -100), 50);
+    assert.equal(percentChange(100, 0), null);
+  });
+});
+
+describe("growthSeries", () => {
+  it("compares each period with the one before, counting empty periods and leaving out cancelled orders", () => {
+    const series = growthSeries(orders, { interval: "month" }, { from: "2025-01-01", to: "2025-05-31" }, now);
+    assert.deepEqual(series, [
+      { period: "2025-01", total: 1500, change: null, changePct: null },
+      { period: "2025-02", total: 0, change: -1500, changePct: -100 },
+      { period: "2025-03", total: 1200, change: 1200, changePct: null },
+      { period: "2025-04", total: 900, change: -300, changePct: -25 },
+      { period: "2025-05", total: 0, change: -900, changePct: -100 }
+    ]);
+  });
+});
+
+describe("compareTotals", () => {
+  it("reports new groups without a percent and orders drops first when asked", () => {
+    const rows = compareTotals(orders, { groupBy: "division", direction: "decrease" }, {
+      current: { from: "2025-04-01", to: "2025-04-30" },
+      baseline: { from: "2024-04-01", to: "2024-04-30" }
+    });
+    assert.deepEqual(rows, [
+      { name: "SIGNAGE", current: 0, baseline: 1000, change: -1000, changePct: -100 },
+      { name: "CNC", current: 900, baseline: 0, change: 900, changePct: null }
+    ]);
+  });
+});
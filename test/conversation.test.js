@@ -0,0 +1,42 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import { createConversationStore, refineParsed } from "../lib/conversation.js";
+
+// Parsed questions carry format "text" unless a file was asked for
+const parsedAs = (fields) => ({ intent: "general", format: "text", ...fields });
+
+describe("refineParsed", () => {
+  const previous = parsedAs({ intent: "list", year: 2025, division: "CNC", format: "pdf" });
+
+  it("leaves questions that are not follow-ups alone", () => {
+    const parsed = parsedAs({ intent: "count", status: "BILLED" });
+    assert.equal(refineParsed(previous, parsed), parsed);
+  });
+
+  it("keeps a PDF or Excel request when the follow-up did not ask for a format", () => {
+    const refined = refineParsed(previous, parsedAs({ status: "billed", followUp: true }));
+    assert.deepEqual([refined.intent, refined.format, refined.division, refined.year], ["list", "pdf", "CNC", 2025]);
+    assert.equal(refineParsed(previous, parsedAs({ intent: "general", year: 2024, followUp: true })).format, "pdf");
+  });
+
+  it("switches format when the follow-up asks for another file", () => {
+    assert.equal(refineParsed(previous, parsedAs({ format: "xlsx", followUp: true })).format, "xlsx");
+  });
+
+  it("replaces every date field when the follow-up gives a new period", () => {
+    const refined = refineParsed(previous, parsedAs({ intent: "general", month: "2024-03", followUp: true }));
+    assert.deepEqual([refined.year, refined.month, refined.intent], [null, "2024-03", "list"]);
+  });
+});
+
+describe("createConversationStore", () => {
+  it("keeps the last turns of each session", () => {
+    const store = createConversationStore({ maxTurns: 2 });
+    for (const year of [2023, 2024, 2025]) store.addTurn("a", { question: `sales ${year}`, parsed: { year } });
+    store.addTurn("b", { question: "hello", parsed: { intent: "general" } });
+    assert.deepEqual(store.turns("a").map(t => t.parsed.year), [2024, 2025]);
+    assert.deepEqual(store.lastParsed("b"), { intent: "general" });
+    store.reset("a");
+    assert.deepEqual([store.turns("a"), store.lastParsed("a"), store.size()], [[], null, 1]);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import { parseCron, cronMatches, nextCronRun } from "../lib/cron.js";
+
+// Local time, like the schedules
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+// The reference answer: try every minute
+function bruteForceNext(expr, after, minutes) {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  for (let i = 0; i < minutes; i++) {
+    date.setMinutes(date.getMinutes() + 1);
+    if (cronMatches(expr, date)) return new Date(date);
+  }
+  return null;
+}
+
+describe("parseCron", () => {
+  it("reads lists, ranges, steps, names and macros", () => {
+    const cron = parseCron("0,30 9-17/4 * jan-mar MON-FRI");
+    assert.deepEqual([...cron.minute.values], [0, 30]);
+    assert.deepEqual([...cron.hour.values], [9, 13, 17]);
+    assert.deepEqual([...cron.month.values], [1, 2, 3]);
+    assert.deepEqual([...cron.weekday.values], [1, 2, 3, 4, 5]);
+    assert.equal(cron.day.any, true);
+    assert.deepEqual(parseCron("@daily").hour.values, new Set([0]));
+  });
+
+  it("treats day of week 7 as Sunday", () => {
+    assert.deepEqual([...parseCron("0 0 * * 7").weekday.values], [0]);
+  });
+
+  it("rejects malformed expressions", () => {
+    assert.throws(() => parseCron("0 7 * *"), /needs 5 fields/);
+    assert.throws(() => parseCron("60 * * * *"), /Invalid minute "60"/);
+    assert.throws(() => parseCron("0 0 0 * *"), /Invalid day of month "0"/);
+    assert.throws(() => parseCron("*/0 * * * *"), /Invalid step/);
+    assert.throws(() => parseCron("0 5-2 * * *"), /Invalid range/);
+    assert.throws(() => parseCron("0 0 * foo *"), /Invalid month "foo"/);
+  });
+});
+
+describe("cronMatches", () => {
+  it("needs either day field when both are restricted", () => {
+    // The 1st of the month or any Monday
+    assert.equal(cronMatches("0 9 1 * MON", at(2025, 10, 1, 9)), true);   // Wednesday the 1st
+    assert.equal(cronMatches("0 9 1 * MON", at(2025, 10, 6, 9)), true);   // Monday the 6th
+    assert.equal(cronMatches("0 9 1 * MON", at(2025, 10, 7, 9)), false);
+    assert.equal(cronMatches("0 9 * * MON", at(2025, 10, 1, 9)), false);
+  });
+});
+
+describe("nextCronRun", () => {
+  it("returns the first matching minute strictly after the given time", () => {
+    assert.deepEqual(nextCronRun("* * * * *", at(2025, 10, 15, 7, 0)), at(2025, 10, 15, 7, 1));
+    assert.deepEqual(nextCronRun("0 7 * * *", at(2025, 10, 15, 7, 0)), at(2025, 10, 16, 7, 0));
+    assert.deepEqual(nextCronRun("0 7 * * *", new Date(2025, 9, 15, 6, 59, 30)), at(2025, 10, 15, 7, 0));
+  });
+
+  it("rolls over hours, days, months and years", () => {
+    assert.deepEqual(nextCronRun("15 * * * *", at(2025, 12, 31, 23, 20)), at(2026, 1, 1, 0, 15));
+    assert.deepEqual(nextCronRun("0 7 * * MON", at(2025, 10, 15, 12)), at(2025, 10, 20, 7));
+    assert.deepEqual(nextCronRun("@monthly", at(2025, 1, 31, 12)), at(2025, 2, 1));
+    assert.deepEqual(nextCronRun("0 0 31 * *", at(2025, 4, 1)), at(2025, 5, 31));
+    assert.deepEqual(nextCronRun("30 8 1 jan *", at(2025, 10, 15)), at(2026, 1, 1, 8, 30));
+  });
+
+  it("finds leap days years away and returns null for dates that never come", () => {
+    assert.deepEqual(nextCronRun("0 0 29 2 *", at(2025, 3, 1)), at(2028, 2, 29));
+    const started = Date.now();
+    assert.equal(nextCronRun("0 0 31 2 *", at(2025, 1, 1)), null);
+    assert.equal(nextCronRun("0 0 30 2 *", at(2025, 1, 1)), null);
+    assert.ok(Date.now() - started < 1000, "gave up on impossible dates without walking every minute");
+  });
+
+  it("agrees with checking every minute", () => {
+    const expressions = ["*/7 * * * *", "5 */5 * * *", "0 9-17 * * MON-FRI", "0 9 1,15 * SAT", "45 23 28-31 * *", "0 12 * feb,nov SUN"];
+    const starts = [at(2025, 1, 30, 22, 50), at(2025, 2, 28, 23, 59), at(2025, 10, 15, 9, 3), at(2025, 12, 31, 23, 45)];
+    for (const expr of expressions) {
+      for (const start of starts) {
+        assert.deepEqual(nextCronRun(expr, start), bruteForceNext(expr, start, 366 * 24 * 60), `${expr} after ${start.toISOString()}`);
+      }
+    }
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createEntityIndex, loadEntityAliases, normalizeName } from "../lib/entities.js";
+
+const order = (customer, salesRep, division) => ({ customer, salesRep, division });
+const orders = [
+  order("Jollibee Foods Corporation", "JUAN DELA CRUZ", "SIGNAGE"),
+  order("Jollibee Foods Corp.", "JUAN DELA CRUZ", "SIGNAGE"),
+  order("JOLLIBEE FOODS CORPORATION", "JUAN SANTOS", "CNC"),
+  order("Ayala Land", "MARIA SANTOS", "Digital Print"),
+  order("Ayala Corporation", "MARÍA REYES", "LFP"),
+  order("Globe Telecom", "PEDRO REYES", "Events Media"),
+  order("Unknown", "Unknown", "Unknown")
+];
+const aliases = {
+  customer: { JFC: "Jollibee Foods Corporation" },
+  salesRep: { Jun: "JUAN DELA CRUZ" },
+  division: { "Large Format": "LFP" }
+};
+const index = createEntityIndex(orders, aliases);
+
+describe("normalizeName", () => {
+  it("ignores case, accents, punctuation, word order and company word spellings", () => {
+    assert.equal(normalizeName("Dela Cruz, Juan"), normalizeName("JUAN DELA CRUZ"));
+    assert.equal(normalizeName("María Reyes"), normalizeName("MARIA REYES"));
+    assert.equal(normalizeName("Jollibee Foods Corp."), normalizeName("Jollibee Foods Corporation"));
+    assert.equal(normalizeName("A&B Printing"), "a and b printing");
+  });
+});
+
+describe("createEntityIndex", () => {
+  it("groups spellings of one entity under its most common one", () => {
+    assert.equal(index.size("customer"), 5);
+    assert.deepEqual(index.resolve("customer", "jollibee foods corp"), { status: "match", name: "Jollibee Foods Corporation" });
+  });
+
+  describe("resolve", () => {
+    it("matches exact names in any order and spelling", () => {
+      assert.deepEqual(index.resolve("salesRep", "dela cruz, juan"), { status: "match", name: "JUAN DELA CRUZ" });
+      assert.deepEqual(index.resolve("salesRep", "maria reyes"), { status: "match", name: "MARÍA REYES" });
+      assert.deepEqual(index.resolve("division", "signage"), { status: "match", name: "SIGNAGE" });
+    });
+
+    it("matches aliases", () => {
+      assert.deepEqual(index.resolve("customer", "jfc"), { status: "match", name: "Jollibee Foods Corporation" });
+      assert.deepEqual(index.resolve("salesRep", "Jun"), { status: "match", name: "JUAN DELA CRUZ" });
+      assert.deepEqual(index.resolve("division", "large format"), { status: "match", name: "LFP" });
+    });
+
+    it("matches typos and partial names", () => {
+      assert.deepEqual(index.resolve("customer", "jolibee"), { status: "match", name: "Jollibee Foods Corporation" });
+      assert.deepEqual(index.resolve("salesRep", "jaun dela cruz"), { status: "match", name: "JUAN DELA CRUZ" });
+      assert.deepEqual(index.resolve("customer", "globe"), { status: "match", name: "Globe Telecom" });
+      assert.deepEqual(index.resolve("division", "signge"), { status: "match", name: "SIGNAGE" });
+    });
+
+    it("offers every close candidate for a name that fits several", () => {
+      const juan = index.resolve("salesRep", "juan");
+      assert.equal(juan.status, "ambiguous");
+      assert.deepEqual([...juan.candidates].sort(), ["JUAN DELA CRUZ", "JUAN SANTOS"]);
+      const ayala = index.resolve("customer", "ayala");
+      assert.deepEqual([ayala.status, [...ayala.candidates].sort()], ["ambiguous", ["Ayala Corporation", "Ayala Land"]]);
+    });
+
+    it("finds nothing for unrelated names and short codes with typos", () => {
+      assert.deepEqual(index.resolve("customer", "Meralco"), { status: "none" });
+      assert.deepEqual(index.resolve("division", "CNX"), { status: "none" });
+      assert.deepEqual(index.resolve("customer", "   "), { status: "none" });
+    });
+
+    it("limits matches to the names a user may see", () => {
+      assert.deepEqual(index.resolve("salesRep", "juan", { within: ["JUAN SANTOS"] }), { status: "match", name: "JUAN SANTOS" });
+      assert.deepEqual(index.resolve("customer", "Globe Telecom", { within: ["Ayala Land"] }), { status: "none" });
+    });
+  });
+
+  describe("pick", () => {
+    it("reads a reply to \"Did you mean ...?\"", () => {
+      const candidates = ["JUAN DELA CRUZ", "JUAN SANTOS"];
+      assert.equal(index.pick("salesRep", candidates, "santos"), "JUAN SANTOS");
+      assert.equal(index.pick("salesRep", candidates, "juan dela cruz po"), null);
+      assert.equal(index.pick("salesRep", candidates, "Dela Cruz"), "JUAN DELA CRUZ");
+      assert.equal(index.pick("salesRep", candidates, "maria santos"), null);
+    });
+  });
+
+  describe("mention", () => {
+    it("finds whole customer and sales rep names in any order, and aliases", () => {
+      assert.equal(index.mention("salesRep", "orders of dela cruz juan this month"), "JUAN DELA CRUZ");
+      assert.equal(index.mention("customer", "how much did JFC order"), "Jollibee Foods Corporation");
+      assert.equal(index.mention("customer", "billed orders this month"), null);
+    });
+
+    it("finds partial names after a cue word", () => {
+      assert.equal(index.mention("salesRep", "benta ni jaun santos ngayong buwan"), "jaun santos");
+      assert.equal(index.mention("customer", "orders for jolibee last year"), "jolibee");
+      assert.equal(index.mention("salesRep", "orders of 2024 for pedro"), "pedro");
+    });
+
+    it("never treats \"Unknown\" as a name", () => {
+      assert.equal(index.mention("customer", "orders with unknown customer"), null);
+    });
+
+    it("finds divisions whose words appear together and in order", () => {
+      assert.equal(index.mention("division", "signage orders this month"), "SIGNAGE");
+      assert.equal(index.mention("division", "digital print sales"), "Digital Print");
+      assert.equal(index.mention("division", "large format orders"), "LFP");
+    });
+
+    it("does not find divisions from scattered words without a cue", () => {
+      assert.equal(index.mention("division", "print the digital invoices"), null);
+      assert.equal(index.mention("division", "media coverage of events"), null);
+      assert.equal(index.mention("division", "format large orders"), null);
+    });
+
+    it("finds divisions after \"in\", \"for\" or \"sa\" and before \"division\"", () => {
+      assert.equal(index.mention("division", "orders in signge this year"), "signge");
+      assert.equal(index.mention("division", "benta sa CNC"), "CNC");
+      assert.equal(index.mention("division", "sales of the evnts media division"), "evnts media");
+      assert.equal(index.mention("division", "orders in 2024"), null);
+    });
+  });
+});
+
+describe("loadEntityAliases", () => {
+  it("reads an alias file and ignores a missing one", () => {
+    const file = path.join(os.tmpdir(), `entity-aliases-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify(aliases));
+    try {
+      assert.deepEqual(loadEntityAliases(file), aliases);
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+    assert.deepEqual(loadEntityAliases(file), {});
+    assert.deepEqual(loadEntityAliases(null), {});
+  });
+});
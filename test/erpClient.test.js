@@ -0,0 +1,77 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import { createErpClient, ErpError } from "../lib/erpClient.js";
+
+const rows = (from, count) => Array.from({ length: count }, (_, i) => ({ so_pk: from + i }));
+const json = (body, status = 200, headers = {}) => new Response(JSON.stringify(body), { status, headers });
+
+// A client whose fetch answers from `responses` in turn and whose sleeps return at once
+function stubClient(responses, options = {}) {
+  const calls = [];
+  const sleeps = [];
+  const fetch = async (url, init) => {
+    calls.push(JSON.parse(init.body));
+    const next = responses[Math.min(calls.length - 1, responses.length - 1)];
+    return typeof next === "function" ? next(init) : next.clone();
+  };
+  const client = createErpClient({
+    url: "http://erp.test/api", token: "secret", fetch, minIntervalMs: 0, sleep: async ms => { sleeps.push(ms); }, ...options
+  });
+  return { client, calls, sleeps };
+}
+
+describe("createErpClient", () => {
+  it("retries server errors and returns the rows of the first good answer", async () => {
+    const { client, calls, sleeps } = stubClient([json({}, 503), json({}, 429, { "retry-after": "2" }), json({ data: [rows(1, 2)] })]);
+    assert.deepEqual(await client.request({}), rows(1, 2));
+    assert.equal(calls.length, 3);
+    assert.equal(sleeps.length, 2);
+    assert.equal(sleeps[1], 2000, "waits as long as Retry-After asks");
+  });
+
+  it("gives up after maxRetries and reports the last error", async () => {
+    const { client, calls } = stubClient([json({}, 502)], { maxRetries: 2 });
+    await assert.rejects(client.request({}), err => err instanceof ErpError && err.status === 502 && err.retryable);
+    assert.equal(calls.length, 3);
+  });
+
+  it("does not retry a rejected token", async () => {
+    const { client, calls, sleeps } = stubClient([json({}, 401), json({ data: [rows(1, 1)] })]);
+    await assert.rejects(client.request({}), err => err.fatal && err.status === 401 && /ERP_TOKEN/.test(err.message));
+    assert.deepEqual([calls.length, sleeps.length], [1, 0]);
+  });
+
+  it("aborts a request that takes longer than timeoutMs", async () => {
+    // AbortSignal.timeout does not keep the process alive, so the hanging request holds a timer of its own
+    const hang = ({ signal }) => new Promise((resolve, reject) => {
+      const alive = setTimeout(resolve, 5000);
+      signal.addEventListener("abort", () => { clearTimeout(alive); reject(signal.reason); });
+    });
+    const { client, calls } = stubClient([hang], { timeoutMs: 20, maxRetries: 1 });
+    await assert.rejects(client.request({}), err => err.retryable && /timed out after 20 ms/.test(err.message));
+    assert.equal(calls.length, 2);
+  });
+
+  it("fails without a URL instead of returning no orders", async () => {
+    await assert.rejects(createErpClient({ url: "" }).request({}), err => err.fatal && /ERP_API/.test(err.message));
+  });
+
+  describe("fetchAll", () => {
+    it("reads pages until a short one", async () => {
+      const { client, calls } = stubClient([json({ data: [rows(1, 2)] }), json({ data: [rows(3, 2)] }), json({ data: [[]] })], { pageSize: 2 });
+      assert.deepEqual(await client.fetchAll({ status: "" }), rows(1, 4));
+      assert.deepEqual(calls.map(c => [c.limit, c.offset]), [[2, 0], [2, 2], [2, 4]]);
+    });
+
+    it("stops when the ERP sends the same page again", async () => {
+      const { client, calls } = stubClient([json({ data: [rows(1, 2)] })], { pageSize: 2 });
+      await assert.rejects(client.fetchAll({}), /same page twice at offset 2/);
+      assert.equal(calls.length, 2);
+    });
+
+    it("stops at maxPages", async () => {
+      const { client } = stubClient([(init) => json({ data: [rows(JSON.parse(init.body).offset + 1, 2)] })], { pageSize: 2, maxPages: 3 });
+      await assert.rejects(client.fetchAll({}), /more than 3 pages/);
+    });
+  });
+});
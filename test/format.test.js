@@ -0,0 +1,11 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import { formatPeso } from "../lib/format.js";
+
+describe("formatPeso", () => {
+  it("formats pesos with two decimals", () => {
+    assert.equal(formatPeso(1200000), "₱1,200,000.00");
+    assert.equal(formatPeso(0.5), "₱0.50");
+    assert.equal(formatPeso(-42), "-₱42.00");
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import { describeAge, stalenessWarning, withWarning, healthReport } from "../lib/health.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date("2025-10-15T08:00:00Z");
+const staleAfterMs = 2 * HOUR_MS;
+const hoursAgo = (hours) => new Date(now - hours * HOUR_MS);
+
+describe("describeAge", () => {
+  it("uses the largest whole unit", () => {
+    assert.equal(describeAge(45 * 1000), "45 seconds");
+    assert.equal(describeAge(HOUR_MS), "1 hour");
+    assert.equal(describeAge(50 * HOUR_MS), "2 days");
+    assert.equal(describeAge(0), "0 seconds");
+  });
+});
+
+describe("stalenessWarning", () => {
+  it("is null while the last sync is recent", () => {
+    assert.equal(stalenessWarning(hoursAgo(1), { staleAfterMs, now }), null);
+  });
+
+  it("warns with the age of stale data", () => {
+    assert.match(stalenessWarning(hoursAgo(3), { staleAfterMs, now }), /last synced 3 hours ago/);
+    assert.match(stalenessWarning(hoursAgo(3).toISOString(), { staleAfterMs, now }), /last synced 3 hours ago/);
+    assert.match(stalenessWarning(hoursAgo(3), { staleAfterMs, now, language: "fil" }), /3 oras na ang nakalipas/);
+  });
+
+  it("warns when the data was never synced", () => {
+    assert.match(stalenessWarning(null, { staleAfterMs, now }), /has not been synced/);
+    assert.match(stalenessWarning(undefined, { staleAfterMs, now, language: "fil" }), /Hindi pa na-sync/);
+  });
+});
+
+describe("withWarning", () => {
+  const stale = stalenessWarning(hoursAgo(3), { staleAfterMs, now });
+  const notSynced = stalenessWarning(null, { staleAfterMs, now });
+
+  it("leaves answers alone without a warning", () => {
+    const answer = { type: "text", data: "12 orders" };
+    assert.equal(withWarning(answer, null), answer);
+  });
+
+  it("puts the warning in front of text answers", () => {
+    for (const warning of [stale, notSynced]) {
+      const answer = withWarning({ type: "text", data: "12 orders", language: "en" }, warning);
+      assert.deepEqual(answer, { type: "text", data: `${warning}\n\n12 orders`, language: "en", warning });
+    }
+  });
+
+  it("keeps the warning beside tables, charts and files", () => {
+    for (const warning of [stale, notSynced]) {
+      for (const answer of [
+        { type: "table", data: "3 customers", columns: [], rows: [] },
+        { type: "chart", data: "Monthly totals", chart: {} },
+        { type: "file", fileName: "orders.pdf" }
+      ]) {
+        assert.deepEqual(withWarning(answer, warning), { ...answer, warning });
+      }
+    }
+  });
+});
+
+describe("healthReport", () => {
+  const report = ({ lastSuccessAt = hoursAgo(1), lastError = null, ping = async () => {}, ready = true } = {}) => healthReport({
+    store: { backend: "file", ping },
+    cache: { ready, records: ready ? 48 : 0 },
+    sync: { status: () => ({ running: false, lastRunAt: lastSuccessAt, lastSuccessAt, lastError }) },
+    llm: { disabled: true, configured: false, baseURL: null, models: {} },
+    erpConfigured: true,
+    staleAfterMs,
+    now
+  });
+
+  it("is ok with storage up, data loaded and a recent sync", async () => {
+    const health = await report();
+    assert.deepEqual([health.status, health.ready], ["ok", true]);
+    assert.equal(health.checks.data.stale, false);
+  });
+
+  it("stays ready but degraded when the data is stale", async () => {
+    const health = await report({ lastSuccessAt: hoursAgo(3) });
+    assert.deepEqual([health.status, health.ready], ["degraded", true]);
+    assert.deepEqual([health.checks.data.ok, health.checks.data.stale], [false, true]);
+  });
+
+  it("stays ready but degraded when cached data was never synced", async () => {
+    const health = await report({ lastSuccessAt: null, lastError: "connect ECONNREFUSED" });
+    assert.deepEqual([health.status, health.ready], ["degraded", true]);
+    assert.equal(health.checks.data.stale, true);
+    assert.deepEqual([health.checks.erp.ok, health.checks.erp.lastError], [false, "connect ECONNREFUSED"]);
+  });
+
+  it("is not ready until the cache is loaded", async () => {
+    const health = await report({ lastSuccessAt: null, ready: false });
+    assert.deepEqual([health.status, health.ready], ["unavailable", false]);
+  });
+
+  it("is not ready when storage does not answer", async () => {
+    const health = await report({ ping: async () => { throw new Error("connection refused"); } });
+    assert.deepEqual([health.status, health.ready], ["unavailable", false]);
+    assert.deepEqual(health.checks.database, { ok: false, backend: "file", error: "connection refused" });
+  });
+});
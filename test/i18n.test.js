@@ -0,0 +1,26 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import { detectLanguage, localizer } from "../lib/i18n.js";
+import { formatPeso } from "../lib/format.js";
+
+describe("localizer", () => {
+  it("formats pesos in the answer locale", () => {
+    assert.equal(localizer("en").peso(1200), formatPeso(1200));
+    assert.equal(localizer("fil").peso(1200), formatPeso(1200, "fil-PH"));
+    assert.equal(localizer("en").change(-1200, -15), "-₱1,200.00 (-15.0%)");
+  });
+
+  it("labels order history changes in the answer language", () => {
+    assert.equal(localizer("en").t("historyChange", "amount", "₱1.00", "₱2.00"), "amount ₱1.00 → ₱2.00");
+    assert.equal(localizer("fil").t("historyChange", "amount", "₱1.00", "₱2.00"), "halaga ₱1.00 → ₱2.00");
+    assert.equal(localizer("fil").t("orders"), "Mga Order");
+  });
+});
+
+describe("detectLanguage", () => {
+  it("tells Filipino and Taglish questions from English ones", () => {
+    assert.equal(detectLanguage("how many billed orders this month?"), "en");
+    assert.equal(detectLanguage("ilan ang billed orders ni Juan ngayong buwan?"), "fil");
+    assert.equal(detectLanguage(""), "en");
+  });
+});
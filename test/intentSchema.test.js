@@ -0,0 +1,147 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import { validateIntent } from "../lib/intentSchema.js";
+
+const now = new Date(2025, 9, 15); // 2025-10-15
+
+const accept = (raw) => {
+  const result = validateIntent(raw, {}, now);
+  assert.equal(result.ok, true, result.errors?.join("; "));
+  return result.parsed;
+};
+const reject = (raw, field) => {
+  const result = validateIntent(raw, {}, now);
+  assert.equal(result.ok, false, `accepted ${JSON.stringify(raw)}`);
+  assert.match(result.errors[0], new RegExp(`^${field}:`));
+  assert.ok(result.reply);
+};
+
+describe("validateIntent", () => {
+  it("rejects anything that is not an object", () => {
+    for (const raw of [null, "count", [], 42]) assert.equal(validateIntent(raw, {}, now).ok, false);
+  });
+
+  it("defaults a missing intent to general and keeps known intents", () => {
+    assert.equal(accept({}).intent, "general");
+    assert.equal(accept({ intent: "top_customers" }).intent, "topCustomers");
+    reject({ intent: "dance" }, "intent");
+  });
+
+  describe("dates", () => {
+    it("accepts ISO, numeric and worded dates", () => {
+      assert.equal(accept({ date: "2025-09-03" }).date, "2025-09-03");
+      assert.equal(accept({ date: "09/03/2025" }).date, "2025-09-03");
+      assert.equal(accept({ date: "2025/09/03" }).date, "2025-09-03");
+      assert.equal(accept({ date: "September 3, 2025" }).date, "2025-09-03");
+      assert.equal(accept({ date: "yesterday" }).date, "2025-10-14");
+    });
+
+    it("rejects days the month does not have instead of rolling over", () => {
+      reject({ date: "2025-02-30" }, "date");
+      reject({ date: "02/30/2025" }, "date");
+      reject({ date: "2025-04-31" }, "date");
+      reject({ date: "2025-00-10" }, "date");
+      assert.equal(accept({ date: "2024-02-29" }).date, "2024-02-29");
+      reject({ date: "2025-02-29" }, "date");
+    });
+
+    it("turns a date without a day into a month", () => {
+      const parsed = accept({ date: "Sept 2025" });
+      assert.equal(parsed.date, null);
+      assert.equal(parsed.month, "2025-09");
+    });
+
+    it("accepts months 1 to 12 only", () => {
+      assert.equal(accept({ month: "2025-2" }).month, "2025-02");
+      assert.equal(accept({ month: "2025-12" }).month, "2025-12");
+      reject({ month: "2025-13" }, "month");
+      reject({ month: "2025-00" }, "month");
+    });
+
+    it("accepts 4-digit years only", () => {
+      assert.equal(accept({ year: 2025 }).year, "2025");
+      reject({ year: "99999" }, "year");
+      reject({ year: "25" }, "year");
+    });
+
+    it("keeps the most specific date field", () => {
+      const parsed = accept({ date: "2025-09-03", month: "2025-09", year: "2025" });
+      assert.deepEqual([parsed.date, parsed.month, parsed.year], ["2025-09-03", null, null]);
+    });
+  });
+
+  describe("ranges", () => {
+    it("expands bounds to the first and last day they cover", () => {
+      const parsed = accept({ dateFrom: "2025-03", dateTo: "March 2025" });
+      assert.deepEqual([parsed.dateFrom, parsed.dateTo], ["2025-03-01", "2025-03-31"]);
+      const year = accept({ dateFrom: "2024", dateTo: "2024" });
+      assert.deepEqual([year.dateFrom, year.dateTo], ["2024-01-01", "2024-12-31"]);
+    });
+
+    it("swaps reversed bounds and rejects impossible ones", () => {
+      const parsed = accept({ dateFrom: "2025-06-30", dateTo: "2025-06-01" });
+      assert.deepEqual([parsed.dateFrom, parsed.dateTo], ["2025-06-01", "2025-06-30"]);
+      reject({ dateFrom: "2025-02-30" }, "dateFrom");
+      reject({ dateTo: "2025-13" }, "dateTo");
+    });
+
+    it("reads quarters, periods and fiscal years", () => {
+      assert.deepEqual(accept({ quarter: "Q1 2025" }).quarter, accept({ quarter: "2025-Q1" }).quarter);
+      assert.equal(accept({ period: "month to date" }).period, "thisMonth");
+      assert.equal(accept({ fiscalYear: "FY25" }).fiscalYear, 2025);
+      reject({ period: "someday" }, "period");
+      reject({ fiscalYear: "FY99999" }, "fiscalYear");
+      reject({ quarter: "Q5 2025" }, "quarter");
+    });
+  });
+
+  describe("names and text", () => {
+    it("trims names and turns blanks into null", () => {
+      const parsed = accept({ customer: "  Acme Corp ", salesRep: "", division: "SIGNAGE" });
+      assert.deepEqual([parsed.customer, parsed.salesRep, parsed.division], ["Acme Corp", null, "SIGNAGE"]);
+    });
+
+    it("rejects names that are not text", () => {
+      reject({ customer: { a: 1 } }, "customer");
+      reject({ salesRep: ["JUAN"] }, "salesRep");
+      reject({ division: true }, "division");
+    });
+
+    it("upper-cases SO numbers and requires one for detail and history", () => {
+      assert.equal(accept({ intent: "detail", soNumber: "so-2025-00123" }).soNumber, "SO-2025-00123");
+      reject({ intent: "orderHistory" }, "soNumber");
+    });
+  });
+
+  describe("other fields", () => {
+    it("coerces GP thresholds", () => {
+      assert.deepEqual(accept({ gpThreshold: "< 20%" }).gpThreshold, { operator: "<", value: 20 });
+      assert.deepEqual(accept({ gpThreshold: 55 }).gpThreshold, { operator: ">=", value: 55 });
+      reject({ gpThreshold: "lots" }, "gpThreshold");
+      reject({ gpThreshold: { operator: "!", value: 5 } }, "gpThreshold");
+    });
+
+    it("caps topN and reads number words", () => {
+      assert.equal(accept({ topN: "top three" }).topN, 3);
+      assert.equal(accept({ topN: 500 }).topN, 50);
+      reject({ topN: 0 }, "topN");
+    });
+
+    it("matches statuses loosely against known ones", () => {
+      assert.equal(accept({ status: "pending_billing" }).status, "PENDING BILLING");
+      assert.equal(accept({ status: "canceled" }).status, "CANCELLED");
+      reject({ status: "teleported" }, "status");
+    });
+
+    it("normalizes groupBy and compareTo", () => {
+      assert.equal(accept({ groupBy: "departments" }).groupBy, "division");
+      assert.equal(accept({ compareTo: "yoy" }).compareTo, "previousYear");
+      assert.deepEqual(accept({ compareTo: "Q1 2024" }).compareTo, accept({ compareTo: { quarter: "2024-Q1" } }).compareTo);
+      reject({ groupBy: "color" }, "groupBy");
+    });
+
+    it("keeps only known list fields", () => {
+      assert.deepEqual(accept({ fields: ["gpRate", "so_upk", "shoe_size"] }).fields, ["gp_rate", "so_number"]);
+    });
+  });
+});
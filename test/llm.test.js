@@ -0,0 +1,96 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import { createLlm, createRedactor } from "../lib/llm.js";
+
+const usage = { prompt_tokens: 10, completion_tokens: 5 };
+
+// An OpenAI client stand-in that records each request and answers about the first placeholder
+// (or name) in the last message, streamed word by word when asked to
+function fakeClient() {
+  const requests = [];
+  const answer = (body) => {
+    const question = body.messages.at(-1).content;
+    const customer = question.match(/CUSTOMER_\d+/)?.[0] ?? question.match(/about (.+)\?/)?.[1];
+    return `${customer} ordered ₱1,200.00 [F1].`;
+  };
+  const client = {
+    chat: {
+      completions: {
+        create: async (body) => {
+          requests.push(body);
+          const content = answer(body);
+          if (!body.stream) return { choices: [{ message: { role: "assistant", content } }], usage };
+          return (async function* chunks() {
+            for (const word of content.split(/(?<= )/)) yield { choices: [{ delta: { content: word } }] };
+            yield { choices: [], usage };
+          })();
+        }
+      }
+    }
+  };
+  return { client, requests };
+}
+
+const ask = (customer) => ({
+  messages: [
+    { role: "system", content: "Answer from the facts. Mention Globe Telecom only if asked." },
+    { role: "user", content: `F1: ${customer} booked ₱1,200.00` },
+    { role: "user", content: `How much did ${customer} order? Tell me about ${customer}?` }
+  ],
+  temperature: 0
+});
+
+function llmWith(names) {
+  const { client, requests } = fakeClient();
+  const llm = createLlm({ client, models: { answer: "mock" }, timeouts: {}, customerNames: () => names.current });
+  return { llm, requests };
+}
+
+describe("createRedactor", () => {
+  it("swaps whole names for placeholders and back, longest first", () => {
+    const redactor = createRedactor(["Acme", "Acme Corp", "Unknown", "AB"]);
+    assert.equal(redactor.mask("orders of ACME CORP and acme, not acmecorp"), "orders of CUSTOMER_1 and CUSTOMER_2, not acmecorp");
+    assert.equal(redactor.unmask("CUSTOMER_1 and CUSTOMER_2, not CUSTOMER_9"), "Acme Corp and Acme, not CUSTOMER_9");
+  });
+});
+
+describe("createLlm customer masking", () => {
+  it("never sends a customer name in user or data messages", async () => {
+    const names = { current: ["Acme Corp", "Globe Telecom"] };
+    const { llm, requests } = llmWith(names);
+    await llm.complete("answer", ask("Acme Corp"));
+    const [system, ...rest] = requests[0].messages;
+    assert.ok(rest.every(m => !/acme corp/i.test(m.content)), JSON.stringify(rest));
+    assert.match(rest[1].content, /How much did CUSTOMER_\d+ order/);
+    assert.equal(system.content, ask("Acme Corp").messages[0].content, "instructions are sent as written");
+  });
+
+  it("restores names in complete and streamed answers", async () => {
+    const names = { current: ["Acme Corp", "Globe Telecom"] };
+    const { llm } = llmWith(names);
+    assert.equal((await llm.complete("answer", ask("Acme Corp"))).content, "Acme Corp ordered ₱1,200.00 [F1].");
+    const tokens = [];
+    const text = await llm.stream("answer", ask("Globe Telecom"), { onToken: t => tokens.push(t) });
+    assert.equal(text, "Globe Telecom ordered ₱1,200.00 [F1].");
+    assert.equal(tokens.join(""), text);
+    assert.ok(tokens.every(t => !t.includes("CUSTOMER_")));
+  });
+
+  it("serves cached answers only for the same names, even after placeholders move", async () => {
+    const names = { current: ["Acme Corp", "Globe Telecom"] };
+    const { llm, requests } = llmWith(names);
+    // Two sessions asking the same question about different customers
+    assert.match((await llm.complete("answer", ask("Acme Corp"), { cache: true })).content, /^Acme Corp/);
+    assert.match((await llm.complete("answer", ask("Globe Telecom"), { cache: true })).content, /^Globe Telecom/);
+    assert.equal(requests.length, 2);
+
+    // A new, longer name takes CUSTOMER_1; the cached Acme answer still names Acme
+    names.current = ["Ayala Land Incorporated", "Acme Corp", "Globe Telecom"];
+    assert.equal((await llm.complete("answer", ask("Acme Corp"), { cache: true })).content, "Acme Corp ordered ₱1,200.00 [F1].");
+    const tokens = [];
+    assert.equal(await llm.stream("answer", ask("Globe Telecom"), { cache: true, onToken: t => tokens.push(t) }), "Globe Telecom ordered ₱1,200.00 [F1].");
+    assert.deepEqual(tokens, ["Globe Telecom ordered ₱1,200.00 [F1]."]);
+    assert.equal(requests.length, 2);
+    assert.deepEqual([llm.stats().cache.hits, llm.stats().cache.misses], [2, 2]);
+  });
+});
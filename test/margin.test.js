@@ -0,0 +1,40 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import { gpDistribution, lowestMarginOrders, marginByGroup } from "../lib/margin.js";
+
+const order = (so_number, division, amount, gp_rate) => ({ so_number, division, amount, gp_rate });
+const orders = [
+  order("SO-1", "CNC", 1000, 40),
+  order("SO-2", "CNC", 3000, -20),
+  order("SO-3", "SIGNAGE", 2000, 25),
+  order("SO-4", "SIGNAGE", 0, 90)
+];
+
+describe("marginByGroup", () => {
+  it("weights GP by amount, so a loss-making order pulls its group below zero", () => {
+    const [signage, cnc] = marginByGroup(orders, "division");
+    assert.deepEqual(cnc, { name: "CNC", orders: 2, amount: 4000, gpAmount: -200, gpRate: -5 });
+    assert.deepEqual(signage, { name: "SIGNAGE", orders: 2, amount: 2000, gpAmount: 500, gpRate: 25 });
+  });
+
+  it("lists the thinnest margins first for \"decrease\" and totals all orders without a group", () => {
+    assert.deepEqual(marginByGroup(orders, "division", "decrease").map(r => r.name), ["CNC", "SIGNAGE"]);
+    const [all] = marginByGroup(orders, null);
+    assert.deepEqual([all.name, all.amount, all.gpAmount, all.gpRate], ["All orders", 6000, 300, 5]);
+  });
+});
+
+describe("gpDistribution", () => {
+  it("puts negative GP below zero and counts every order once", () => {
+    const rows = gpDistribution(orders);
+    assert.deepEqual(rows[0], { bucket: "Below 0%", orders: 1, amount: 3000 });
+    assert.equal(rows.reduce((sum, r) => sum + r.orders, 0), orders.length);
+    assert.deepEqual(rows.at(-1), { bucket: "40% and up", orders: 2, amount: 1000 });
+  });
+});
+
+describe("lowestMarginOrders", () => {
+  it("starts with the loss-making order", () => {
+    assert.deepEqual(lowestMarginOrders(orders, 2).map(o => o.so_number), ["SO-2", "SO-3"]);
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import { buildReportHtml } from "../lib/pdfReport.js";
+
+const order = (so_number, customer, amount, gp_rate) => ({
+  so_number, customer, amount, gp_rate, date_created: "2025-10-01", salesRep: "MARIA SANTOS", status: "BILLED", division: "CNC"
+});
+const orders = [
+  order("SO-2025-00001", "Smith & Sons <Trading>", 1000, 20),
+  order("SO-2025-00002", "Globe Telecom", 3000, 40)
+];
+
+describe("buildReportHtml", () => {
+  const html = buildReportHtml(orders, { customer: "Smith & Sons" }, new Date(2025, 9, 15, 8, 0));
+
+  it("lists every order and totals the amounts with the amount-weighted GP", () => {
+    assert.match(html, /SO-2025-00001[\s\S]*SO-2025-00002/);
+    assert.match(html, /Total \(2 sales orders\)<\/td>\s*<td class="num">₱4,000\.00<\/td>\s*<td class="num">35\.00%<\/td>/);
+  });
+
+  it("escapes customer names and filters", () => {
+    assert.ok(html.includes("<td>Smith &amp; Sons &lt;Trading&gt;</td>"));
+    assert.ok(html.includes("<th>Customer</th><td>Smith &amp; Sons</td>"));
+    assert.ok(!html.includes("<Trading>"));
+  });
+
+  it("says when no filters were applied", () => {
+    assert.match(buildReportHtml([], {}), /All sales orders[\s\S]*Total \(0 sales orders\)/);
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, it, before, after } from "node:test";
+import assert from "assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createQueryTools, runToolPipeline } from "../lib/queryTools.js";
+import { createLlm } from "../lib/llm.js";
+import { createEntityIndex } from "../lib/entities.js";
+import { summarizeERPData } from "../lib/salesOrders.js";
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const orders = summarizeERPData(JSON.parse(fs.readFileSync(path.join(root, "fixtures", "erp-sales-orders.json"), "utf-8")));
+
+const sum = (rows) => Math.round(rows.reduce((total, o) => total + o.amount, 0) * 100) / 100;
+const booked2024 = orders.filter(o => o.date_created.startsWith("2024") && o.status !== "CANCELLED");
+
+describe("createQueryTools", () => {
+  it("filters by dates, status and booked orders into a new dataset", () => {
+    const tools = createQueryTools(orders);
+    const result = tools.call("filter", { dataset: "all", year: 2024, booked: true });
+    assert.equal(result.dataset, "d1");
+    assert.equal(result.orders, booked2024.length);
+    assert.equal(result.totalAmount, sum(booked2024));
+    const billed = tools.call("filter", { dataset: "d1", status: "billed" });
+    assert.equal(billed.orders, booked2024.filter(o => o.status === "BILLED").length);
+  });
+
+  it("groups, ranks and aggregates datasets from earlier calls", () => {
+    const tools = createQueryTools(orders);
+    tools.call("filter", { dataset: "all", year: 2024, booked: true });
+    const groups = tools.call("groupBy", { dataset: "d1", by: "division" });
+    assert.equal(groups.dataset, "g2");
+    assert.equal(groups.rows.reduce((total, g) => total + g.orders, 0), booked2024.length);
+    assert.ok(groups.rows.every((g, i) => i === 0 || groups.rows[i - 1].amount >= g.amount));
+
+    const top = tools.call("topN", { dataset: "g2", n: 1 });
+    assert.deepEqual(top.rows, [groups.rows[0]]);
+    const cheapest = tools.call("topN", { dataset: "d1", n: 1, by: "amount", ascending: true });
+    const amounts = booked2024.map(o => o.amount);
+    assert.equal(cheapest.rows[0].amount, amounts.reduce((min, a) => (a < min ? a : min)));
+
+    assert.equal(tools.call("aggregate", { dataset: "d1", metric: "count" }).value, booked2024.length);
+    assert.equal(tools.call("aggregate", { dataset: "d1", metric: "maxAmount" }).value, amounts.reduce((max, a) => (a > max ? a : max)));
+    assert.equal(tools.call("aggregate", { dataset: "d1", metric: "minAmount" }).value, cheapest.rows[0].amount);
+  });
+
+  it("finds the minimum and maximum of datasets too large to spread into Math.min", () => {
+    const many = Array.from({ length: 200_000 }, (_, i) => ({ ...orders[0], amount: i + 1 }));
+    const tools = createQueryTools(many);
+    assert.equal(tools.call("aggregate", { dataset: "all", metric: "minAmount" }).value, 1);
+    assert.equal(tools.call("aggregate", { dataset: "all", metric: "maxAmount" }).value, 200_000);
+  });
+
+  it("compares order datasets by metric and group datasets group by group", () => {
+    const tools = createQueryTools(orders);
+    tools.call("filter", { dataset: "all", year: 2025, booked: true });
+    tools.call("filter", { dataset: "all", year: 2024, booked: true });
+    const totals = tools.call("compare", { current: "d1", baseline: "d2" });
+    assert.equal(totals.baseline, sum(booked2024));
+    assert.equal(totals.change, Math.round((totals.current - totals.baseline) * 100) / 100);
+
+    tools.call("groupBy", { dataset: "d1", by: "customer" });
+    tools.call("groupBy", { dataset: "d2", by: "customer" });
+    const byCustomer = tools.call("compare", { current: "g3", baseline: "g4" });
+    assert.equal(byCustomer.by, "customer");
+    assert.ok(byCustomer.rows.every((row, i) => i === 0 || Math.abs(byCustomer.rows[i - 1].change) >= Math.abs(row.change)));
+    assert.match(tools.call("compare", { current: "d1", baseline: "g3" }).error, /two order datasets/);
+  });
+
+  it("looks up orders and names", () => {
+    const tools = createQueryTools(orders);
+    assert.equal(tools.call("lookup", { soNumber: "so-2024-00001" }).order.customer, "Globe Telecom");
+    assert.deepEqual(tools.call("lookup", { customer: "foods" }).customer, ["San Miguel Foods", "Jollibee Foods"]);
+    assert.match(tools.call("lookup", { soNumber: "SO-1" }).error, /No order/);
+  });
+
+  it("returns bad calls as errors the model can correct", () => {
+    const tools = createQueryTools(orders);
+    assert.match(tools.call("filter", { dataset: "d9" }).error, /Unknown dataset "d9"/);
+    assert.match(tools.call("groupBy", { dataset: "all", by: "color" }).error, /by must be one of/);
+    assert.match(tools.call("topN", { dataset: "all", n: 3, by: "orders" }).error, /orders can be sorted by/);
+    assert.match(tools.call("aggregate", { dataset: "all", metric: "median" }).error, /metric must be one of/);
+    assert.match(tools.call("dance", {}).error, /Unknown tool/);
+  });
+
+  describe("names", () => {
+    it("resolves partial names, typos and other spellings with the entity index", () => {
+      const tools = createQueryTools(orders);
+      const juan = orders.filter(o => o.salesRep === "JUAN DELA CRUZ").length;
+      assert.equal(tools.call("filter", { salesRep: "jaun dela cruz" }).orders, juan);
+      assert.equal(tools.call("filter", { salesRep: "Dela Cruz, Juan" }).orders, juan);
+      assert.equal(tools.call("filter", { division: "signage" }).orders, orders.filter(o => o.division === "SIGNAGE").length);
+      assert.equal(tools.call("filter", { customer: "jolibee" }).orders, orders.filter(o => o.customer === "Jollibee Foods").length);
+    });
+
+    it("uses a given index, aliases included", () => {
+      const index = createEntityIndex(orders, { customer: { JFC: "Jollibee Foods" } });
+      const tools = createQueryTools(orders, { index });
+      assert.equal(tools.call("filter", { customer: "JFC" }).orders, orders.filter(o => o.customer === "Jollibee Foods").length);
+    });
+
+    it("asks for one name when several fit and reports names that fit none", () => {
+      const withJuanSantos = [...orders, { ...orders[0], so_number: "SO-2025-09999", salesRep: "JUAN SANTOS" }];
+      const tools = createQueryTools(withJuanSantos);
+      const ambiguous = tools.call("filter", { salesRep: "juan" });
+      assert.match(ambiguous.error, /could be/);
+      assert.match(ambiguous.error, /JUAN SANTOS/);
+      assert.match(ambiguous.error, /JUAN DELA CRUZ/);
+      assert.match(tools.call("filter", { customer: "Nobody Inc" }).error, /No customer matches/);
+    });
+
+    it("only matches names in the orders it was given", () => {
+      const tools = createQueryTools(orders.filter(o => o.salesRep !== "PEDRO REYES"));
+      assert.match(tools.call("filter", { salesRep: "pedro reyes" }).error, /No salesRep matches/);
+    });
+  });
+});
+
+describe("runToolPipeline against the mock OpenAI server", () => {
+  const port = 4100 + (process.pid % 800);
+  const script = path.join(os.tmpdir(), `openai-tool-script-${process.pid}.json`);
+  const writeScript = (entries) => fs.writeFileSync(script, JSON.stringify(entries));
+  let server;
+  let llm;
+
+  before(async () => {
+    writeScript([]);
+    server = spawn(process.execPath, [path.join(root, "scripts", "mock-openai.js")], {
+      env: { ...process.env, MOCK_OPENAI_PORT: String(port), MOCK_OPENAI_SCRIPT: script },
+      stdio: ["ignore", "pipe", "inherit"]
+    });
+    await new Promise((resolve, reject) => {
+      server.once("exit", code => reject(new Error(`mock server exited with ${code}`)));
+      server.stdout.on("data", chunk => String(chunk).includes("listening") && resolve());
+    });
+    server.removeAllListeners("exit");
+    server.stdout.resume();
+    llm = createLlm({ baseURL: `http://127.0.0.1:${port}/v1`, models: { tools: "mock" }, timeouts: { tools: 5000 }, maxRetries: { tools: 0 } });
+  });
+
+  after(() => {
+    server?.kill();
+    fs.rmSync(script, { force: true });
+  });
+
+  it("runs a multi-step script, passing dataset ids between calls", async () => {
+    fs.copyFileSync(path.join(root, "fixtures", "openai-tool-script.json"), script);
+    const seen = [];
+    const { text, calls, stepLimitReached } = await runToolPipeline({
+      llm, question: "top 3 customers of the top division in 2024", orders, today: "2025-10-15", onCall: call => seen.push(call.name)
+    });
+    assert.equal(stepLimitReached, false);
+    assert.deepEqual(seen, ["filter", "groupBy", "topN", "filter", "groupBy", "topN"]);
+    assert.ok(calls.every(call => !call.result.error), JSON.stringify(calls.map(call => call.result.error)));
+    assert.deepEqual(calls.map(call => call.step), [1, 2, 3, 4, 5, 6]);
+    const signage2024 = booked2024.filter(o => o.division === "SIGNAGE");
+    assert.equal(calls[3].result.orders, signage2024.length);
+    assert.equal(calls[5].result.rows.length, 3);
+    assert.match(text, /Mock answer from the last tool result/);
+  });
+
+  it("stops at the step limit and asks for an answer without tools", async () => {
+    writeScript(Array.from({ length: 10 }, () => ({ tool_calls: [{ name: "aggregate", arguments: { dataset: "all", metric: "count" } }] })));
+    const { text, calls, stepLimitReached } = await runToolPipeline({ llm, question: "count forever", orders, maxSteps: 3 });
+    assert.equal(stepLimitReached, true);
+    assert.equal(calls.length, 3);
+    assert.equal(calls[2].result.value, orders.length);
+    assert.match(text, new RegExp(`"value":${orders.length}`));
+  });
+
+  it("answers without tools when the model does not call any", async () => {
+    writeScript([{ content: "There are no orders to count." }]);
+    const { text, calls, stepLimitReached } = await runToolPipeline({ llm, question: "hello", orders });
+    assert.equal(text, "There are no orders to count.");
+    assert.deepEqual([calls.length, stepLimitReached], [0, false]);
+  });
+
+  it("sends tool errors back to the model", async () => {
+    writeScript([
+      { tool_calls: [{ name: "groupBy", arguments: { dataset: "d7", by: "division" } }] },
+      { tool_calls: [{ name: "filter", arguments: { division: "signge" } }] }
+    ]);
+    const { calls } = await runToolPipeline({ llm, question: "by division", orders });
+    assert.match(calls[0].result.error, /Unknown dataset "d7"/);
+    assert.equal(calls[1].result.orders, orders.filter(o => o.division === "SIGNAGE").length);
+  });
+});
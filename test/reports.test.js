@@ -0,0 +1,70 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createReportScheduler, validateReport } from "../lib/reports.js";
+import { createFileRepository } from "../lib/storage/file.js";
+import { createWebhookTransport } from "../lib/transports.js";
+
+const admin = { username: "admin", role: "admin" };
+const manager = { username: "maria", role: "manager", division: "CNC" };
+const parsed = { intent: "count", period: "thisMonth" };
+const transports = { webhook: createWebhookTransport() };
+const definition = (recipients) => ({ name: "Monthly sales", schedule: "0 8 1 * *", transport: "webhook", recipients });
+
+describe("validateReport", () => {
+  it("accepts webhook reports from admins", () => {
+    const checked = validateReport(definition(["http://10.0.0.5/hook"]), { parsed, transports, owner: admin });
+    assert.equal(checked.ok, true);
+    assert.deepEqual(checked.report.recipients, ["http://10.0.0.5/hook"]);
+  });
+
+  it("rejects webhook reports from other users unless every host is allowed", () => {
+    assert.deepEqual(validateReport(definition(["http://169.254.169.254/latest/meta-data"]), { parsed, transports, owner: manager }).errors,
+      ["only admins can send reports to a webhook"]);
+    const webhookHosts = ["hooks.slack.com"];
+    const mixed = definition(["https://hooks.slack.com/services/x", "http://localhost:3000/admin"]);
+    assert.match(validateReport(mixed, { parsed, transports, owner: manager, webhookHosts }).errors[0], /hooks\.slack\.com/);
+    assert.equal(validateReport(definition(["https://hooks.slack.com/services/x"]), { parsed, transports, owner: manager, webhookHosts }).ok, true);
+  });
+});
+
+describe("createReportScheduler", () => {
+  let dir;
+  let store;
+  let sent;
+  const fakeWebhook = {
+    validRecipient: () => true,
+    send: async (message, recipients) => { sent.push(recipients); }
+  };
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "reports-"));
+    store = createFileRepository({ file: path.join(dir, "erpData.json") });
+    await store.saveUser(admin);
+    await store.saveUser(manager);
+    sent = [];
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const scheduler = (webhookHosts) => createReportScheduler({
+    store, transports: { webhook: fakeWebhook }, webhookHosts, runReport: async () => ({ type: "text", data: "₱1,000.00" })
+  });
+  const saveReport = (owner, recipients) => store.saveReport({ ...definition(recipients), owner, question: "sales this month", parsed, enabled: true });
+
+  it("sends to hosts the owner may use", async () => {
+    const report = await saveReport("admin", ["http://10.0.0.5/hook"]);
+    assert.equal((await scheduler().deliver(report)).error, null);
+    assert.deepEqual(sent, [["http://10.0.0.5/hook"]]);
+  });
+
+  it("refuses to send a non-admin's report to a host that is not allowed", async () => {
+    const report = await saveReport("maria", ["http://10.0.0.5/hook"]);
+    const run = await scheduler(["hooks.slack.com"]).deliver(report);
+    assert.match(run.error, /maria may not send reports to http:\/\/10\.0\.0\.5\/hook/);
+    assert.deepEqual(sent, []);
+    assert.equal((await store.findReport(report.id)).last_error, run.error);
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import { parseQuestionLocally, parseDates } from "../lib/ruleParser.js";
+
+const now = new Date(2025, 9, 15); // 2025-10-15
+const entities = {
+  customers: ["Globe Telecom", "Acme Corp"],
+  salesReps: ["JUAN DELA CRUZ", "MARIA SANTOS"],
+  statuses: []
+};
+
+const parse = (question) => parseQuestionLocally(question, entities, now);
+
+// Only the fields a case cares about
+const pick = (parsed, keys) => Object.fromEntries(keys.map(key => [key, parsed[key]]));
+const expectParse = (question, expected) => {
+  assert.deepEqual(pick(parse(question), Object.keys(expected)), expected, question);
+};
+
+describe("parseQuestionLocally", () => {
+  describe("English", () => {
+    it("counts with status, rep and year filters", () => {
+      expectParse("how many billed orders for maria santos in 2024", {
+        intent: "count", status: "BILLED", salesRep: "MARIA SANTOS", year: "2024"
+      });
+    });
+
+    it("ranks top customers, divisions and sales reps", () => {
+      expectParse("top 5 customers last month", { intent: "topCustomers", topN: 5, period: "lastMonth" });
+      expectParse("billed orders by division", { intent: "topDivision", groupBy: "division", status: "BILLED" });
+      expectParse("best sales reps this year", { intent: "topSales", year: "2025" });
+    });
+
+    it("reads GP thresholds as a list of orders", () => {
+      expectParse("orders below 20% gp this month", {
+        intent: "list", gpThreshold: { operator: "<", value: 20 }, period: "thisMonth"
+      });
+    });
+
+    it("reads single orders, searches and margins", () => {
+      expectParse("show SO-2025-00123", { intent: "detail", soNumber: "SO-2025-00123" });
+      expectParse("when was SO-2025-00123 billed?", { intent: "orderHistory", soNumber: "SO-2025-00123" });
+      expectParse("search for boiler repair", { intent: "search", searchText: "boiler repair" });
+      expectParse("average gp by sales rep", { intent: "margin", groupBy: "salesRep" });
+      expectParse("gp distribution this year", { intent: "gpDistribution", year: "2025" });
+    });
+
+    it("compares periods and finds growth", () => {
+      expectParse("Q1 2025 vs Q1 2024 by division", {
+        intent: "compare", quarter: "2025-Q1", groupBy: "division", compareTo: { quarter: "2024-Q1" }
+      });
+      expectParse("which customers dropped the most year over year", {
+        intent: "compare", compareTo: "previousYear", direction: "decrease", groupBy: "customer"
+      });
+      expectParse("quarter over quarter growth for juan dela cruz", {
+        intent: "growth", interval: "quarter", salesRep: "JUAN DELA CRUZ"
+      });
+    });
+
+    it("reads ranges, quarters, rolling windows and fiscal years", () => {
+      expectParse("orders from March to May 2025", { dateFrom: "2025-03-01", dateTo: "2025-05-31" });
+      expectParse("billed orders in the last 14 days", { status: "BILLED", lastNDays: 14 });
+      expectParse("sales in Q1 2025", { quarter: "2025-Q1" });
+      expectParse("FY2024 sales", { fiscalYear: 2024 });
+    });
+
+    it("marks follow-ups without an intent of their own", () => {
+      expectParse("what about 2024?", { intent: "general", followUp: true, year: "2024" });
+    });
+
+    it("asks for files", () => {
+      expectParse("billed orders in March 2025 as pdf", { format: "pdf", month: "2025-03" });
+      expectParse("export top customers to excel", { format: "xlsx", intent: "topCustomers" });
+    });
+  });
+
+  describe("Filipino", () => {
+    it("counts for this month, last month and this year", () => {
+      expectParse("ilan ang orders ngayong buwan?", { intent: "count", period: "thisMonth" });
+      expectParse("ilan ang billed orders nakaraang buwan", { intent: "count", status: "BILLED", period: "lastMonth" });
+      expectParse("kabuuang benta ng Globe Telecom ngayong taon", { intent: "count", customer: "Globe Telecom", year: "2025" });
+    });
+
+    it("reads Filipino month names", () => {
+      expectParse("ilan ang orders noong Mayo 2025", { intent: "count", month: "2025-05" });
+      expectParse("ikumpara ang Marso 2025 kumpara sa Marso 2024", {
+        intent: "compare", month: "2025-03", compareTo: { month: "2024-03" }
+      });
+    });
+
+    it("lists cancelled orders and ranks customers and agents", () => {
+      expectParse("ipakita ang mga kinanselang orders nakaraang buwan", { intent: "list", status: "CANCELLED", period: "lastMonth" });
+      expectParse("nangungunang kliyente noong 2024", { intent: "topCustomers", year: "2024" });
+      expectParse("pakita ang top 3 ahente ngayong linggo", { intent: "topSales", topN: 3, period: "thisWeek" });
+    });
+  });
+
+  describe("Taglish", () => {
+    it("mixes English intents with Filipino dates and names", () => {
+      expectParse("ilan ang billed orders ni Juan Dela Cruz ngayong buwan?", {
+        intent: "count", status: "BILLED", salesRep: "JUAN DELA CRUZ", period: "thisMonth"
+      });
+      expectParse("monthly sales ni Maria Santos ngayong taon", { intent: "monthlyTotals", salesRep: "MARIA SANTOS", year: "2025" });
+      expectParse("top customers noong nakaraang taon", { intent: "topCustomers", year: "2024" });
+    });
+  });
+
+  describe("\"may\"", () => {
+    it("is the month in English questions and with a day, year or cue word", () => {
+      expectParse("orders in May", { month: "2025-05" });
+      expectParse("May 2025 sales", { month: "2025-05" });
+      expectParse("May sales by division", { month: "2025-05", intent: "topDivision" });
+      expectParse("May 3, 2025 orders", { date: "2025-05-03" });
+      expectParse("ilan ang benta noong may?", { month: "2025-05" });
+    });
+
+    it("is not a month when it means \"there is\" or asks permission", () => {
+      expectParse("may cancelled orders ba ngayong buwan?", { status: "CANCELLED", period: "thisMonth", month: null });
+      expectParse("May billed orders ba si Juan Dela Cruz?", { status: "BILLED", salesRep: "JUAN DELA CRUZ", month: null });
+      expectParse("may I see the billed orders this month", { status: "BILLED", period: "thisMonth", month: null });
+    });
+  });
+});
+
+describe("parseDates", () => {
+  it("reads ISO dates, worded dates, months and years", () => {
+    assert.deepEqual(parseDates("2025-09-03", now), { date: "2025-09-03", month: null, year: null });
+    assert.deepEqual(parseDates("3 september 2025", now), { date: "2025-09-03", month: null, year: null });
+    assert.deepEqual(parseDates("sept 2024", now), { date: null, month: "2024-09", year: null });
+    assert.deepEqual(parseDates("last year", now), { date: null, month: null, year: "2024" });
+  });
+
+  it("reads \"may\" as May when given a value on its own", () => {
+    assert.equal(parseDates("may", now).month, "2025-05");
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, before, after } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createFileRepository } from "../lib/storage/file.js";
+
+const order = (so_pk, customer, memo, contract_description = "") => ({
+  so_pk, so_number: `SO-2025-0000${so_pk}`, date_created: `2025-10-0${so_pk}`, amount: 1000, gp_rate: 30,
+  status: "BILLED", division: "CNC", salesRep: "JUAN DELA CRUZ", customer, memo, contract_description
+});
+const orders = [
+  order(1, "Globe Telecom", "Boiler repair at the Makati plant"),
+  order(2, "Boiler Works Inc", "Signage for the lobby"),
+  order(3, "Ayala Land", "Tarpaulin printing", "Boiler room maintenance contract"),
+  order(4, "Jollibee Foods", "Menu boards")
+];
+
+describe("searchSalesOrders", () => {
+  let dir;
+  let repo;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "search-"));
+    repo = createFileRepository({ file: path.join(dir, "erpData.json") });
+    await repo.upsertSalesOrders(orders);
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const found = async (text) => (await repo.searchSalesOrders(text)).map(o => o.so_number);
+
+  it("ranks customer hits over contract descriptions over memos", async () => {
+    assert.deepEqual(await found("boiler"), ["SO-2025-00002", "SO-2025-00003", "SO-2025-00001"]);
+  });
+
+  it("needs every word, matching word prefixes in any case", async () => {
+    assert.deepEqual(await found("BOIL rep"), ["SO-2025-00001"]);
+    assert.deepEqual(await found("menu"), ["SO-2025-00004"]);
+  });
+
+  it("finds nothing for words no order has, or for no words", async () => {
+    assert.deepEqual(await found("escalator"), []);
+    assert.deepEqual(await found("boiler escalator"), []);
+    assert.deepEqual(await found("  ?! "), []);
+  });
+});
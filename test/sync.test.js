@@ -0,0 +1,65 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import { createSyncEngine, isRangeDue } from "../lib/sync.js";
+
+const order = {
+  so_pk: 1001, so_number: "SO-2025-00001", date_created: "2025-01-03", amount: 12919, gp_rate: 42,
+  status: "PENDING BILLING", division: "CNC", salesRep: "JUAN DELA CRUZ", customer: "Globe Telecom",
+  contract_description: "", memo: "Tarpaulin printing"
+};
+
+// A sync engine over one cached order, fetching `rows` for the current year
+function engine(rows) {
+  const merged = [];
+  const sync = createSyncEngine({
+    fetchRange: async () => rows,
+    mergeRows: async (changed) => { merged.push(...changed); },
+    currentRows: () => [order],
+    store: {
+      getSyncWatermarks: async () => new Map(),
+      saveSyncWatermark: async () => {},
+      recordSyncRun: async () => {}
+    },
+    startYear: 2025,
+    now: () => new Date(2025, 9, 15)
+  });
+  return { sync, merged };
+}
+
+describe("createSyncEngine", () => {
+  it("skips orders that did not change", async () => {
+    const { sync, merged } = engine([{ ...order }]);
+    const [run] = await sync.run();
+    assert.deepEqual([run.rows_fetched, run.rows_changed, merged.length], [1, 0, 0]);
+  });
+
+  it("merges orders whose status, amount, memo or contract description changed", async () => {
+    for (const change of [{ status: "BILLED" }, { amount: 13000 }, { memo: "Reprint" }, { contract_description: "Annual signage contract" }]) {
+      const { sync, merged } = engine([{ ...order, ...change }]);
+      const [run] = await sync.run();
+      assert.equal(run.rows_changed, 1, JSON.stringify(change));
+      assert.deepEqual(merged, [{ ...order, ...change }]);
+    }
+  });
+});
+
+describe("isRangeDue", () => {
+  const now = new Date(2025, 9, 15, 12, 0);
+  const options = { now, openYears: 2, openResyncMs: 5 * 60 * 1000, fullResyncMs: 24 * 60 * 60 * 1000 };
+  const range = (year) => ({ key: String(year), year });
+  const syncedAgo = (ms) => ({ last_synced_at: new Date(now - ms) });
+
+  it("fetches ranges that were never synced", () => {
+    assert.equal(isRangeDue(range(2020), null, options), true);
+  });
+
+  it("re-fetches open years after the open interval, not on every run", () => {
+    assert.equal(isRangeDue(range(2025), syncedAgo(60 * 1000), options), false);
+    assert.equal(isRangeDue(range(2024), syncedAgo(5 * 60 * 1000), options), true);
+  });
+
+  it("re-fetches closed years once a day", () => {
+    assert.equal(isRangeDue(range(2023), syncedAgo(60 * 60 * 1000), options), false);
+    assert.equal(isRangeDue(range(2023), syncedAgo(24 * 60 * 60 * 1000), options), true);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it } from "node:test";
+import assert from "assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { exportSalesOrdersToXlsx, readSalesOrderRows } from "../lib/xlsx.js";
+import { summarizeERPData } from "../lib/salesOrders.js";
+
+const sample = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures", "sales-orders-sample.xlsx");
+
+const orders = [
+  {
+    so_pk: 1001, so_number: "SO-2025-00001", date_created: "2025-01-03", amount: 12919.5, gp_rate: 42,
+    status: "PENDING BILLING", division: "CNC", salesRep: "JUAN DELA CRUZ", customer: "Globe Telecom",
+    contract_description: "", memo: "Tarpaulin printing"
+  },
+  {
+    so_pk: 1002, so_number: "SO-2025-00002", date_created: "2025-02-14", amount: 250000, gp_rate: 18.25,
+    status: "BILLED", division: "SIGNAGE", salesRep: "MARIA SANTOS", customer: "Smith & Sons <Trading>",
+    contract_description: "Annual signage contract", memo: ""
+  }
+];
+
+describe("exportSalesOrdersToXlsx", () => {
+  it("exports orders that read back as the same rows", async () => {
+    const file = await exportSalesOrdersToXlsx(orders);
+    assert.equal(file.type, "xlsx");
+    const imported = summarizeERPData(await readSalesOrderRows(Buffer.from(file.data, "base64")));
+    // Exported sheets carry no ERP key, so the SO number stands in for it
+    assert.deepEqual(imported, orders.map(o => ({ ...o, so_pk: o.so_number })));
+  });
+});
+
+describe("readSalesOrderRows", () => {
+  it("reads a sales order sheet with a title above the header and other column names", async () => {
+    const imported = summarizeERPData(await readSalesOrderRows(sample));
+    assert.equal(imported.length, 48);
+    assert.deepEqual(imported[0], {
+      so_pk: "SO-2024-00001", so_number: "SO-2024-00001", date_created: "2024-01-03", amount: 12919, gp_rate: 42,
+      status: "PENDING BILLING", division: "CNC", salesRep: "JUAN DELA CRUZ", customer: "Globe Telecom",
+      contract_description: "", memo: "Tarpaulin printing"
+    });
+  });
+
+  it("rejects workbooks without a sales order sheet", async () => {
+    const file = await exportSalesOrdersToXlsx([]);
+    const empty = Buffer.from(file.data, "base64");
+    await assert.rejects(readSalesOrderRows(empty, { sheetName: "Other" }), /No sales order sheet found/);
+  });
+});